@@ -24,7 +24,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { model, max_tokens, system, messages } = req.body;
+    const { model, max_tokens, system, messages, stream } = req.body;
 
     const response = await fetch('https://api.anthropic.com/v1/messages', {
       method: 'POST',
@@ -38,12 +38,12 @@ export default async function handler(req, res) {
         max_tokens: max_tokens || 4096,
         system,
         messages,
+        ...(stream && { stream: true }),
       }),
     });
 
-    const data = await response.json();
-
     if (!response.ok) {
+      const data = await response.json();
       console.error('Anthropic API error:', data);
       return res.status(response.status).json({
         error: data.error?.message || 'Anthropic API request failed',
@@ -51,9 +51,31 @@ export default async function handler(req, res) {
       });
     }
 
+    // Streaming: pipe Anthropic's SSE body straight through
+    if (stream) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      const reader = response.body.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        res.write(value);
+      }
+      return res.end();
+    }
+
+    const data = await response.json();
     return res.status(200).json(data);
   } catch (error) {
     console.error('Error calling Anthropic API:', error);
+    // Mid-stream the status is already sent; report it as an SSE error event
+    if (res.headersSent) {
+      const event = { type: 'error', error: { message: error.message || 'Stream failed' } };
+      res.write(`event: error\ndata: ${JSON.stringify(event)}\n\n`);
+      return res.end();
+    }
     return res.status(500).json({
       error: 'Failed to call Anthropic API',
       details: error.message,
@@ -0,0 +1,82 @@
+// Vercel Serverless Function to proxy OpenAI-compatible chat completions
+// The API key stays on the server instead of in the browser bundle
+
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+  // Handle preflight request
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const apiKey = process.env.LLM_API_KEY;
+  const baseUrl = (process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+
+  if (!apiKey) {
+    console.error('LLM_API_KEY not found in environment variables');
+    return res.status(500).json({ error: 'LLM API key not configured on server' });
+  }
+
+  try {
+    const { model, max_tokens, messages, stream } = req.body;
+
+    const response = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${apiKey}`,
+      },
+      body: JSON.stringify({
+        model: model || 'gpt-4o-mini',
+        max_tokens: max_tokens || 4096,
+        messages,
+        ...(stream && { stream: true }),
+      }),
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      console.error('LLM API error:', data);
+      return res.status(response.status).json({
+        error: data.error?.message || 'LLM API request failed',
+        details: data,
+      });
+    }
+
+    // Streaming: pipe the SSE body straight through
+    if (stream) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+
+      const reader = response.body.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        res.write(value);
+      }
+      return res.end();
+    }
+
+    const data = await response.json();
+    return res.status(200).json(data);
+  } catch (error) {
+    console.error('Error calling LLM API:', error);
+    // Mid-stream the status is already sent; report it as an SSE error event
+    if (res.headersSent) {
+      res.write(`data: ${JSON.stringify({ error: { message: error.message || 'Stream failed' } })}\n\n`);
+      return res.end();
+    }
+    return res.status(500).json({
+      error: 'Failed to call LLM API',
+      details: error.message,
+    });
+  }
+}
@@ -1,10 +1,28 @@
+/* eslint-env node */
 import express from 'express';
 import cors from 'cors';
 import Anthropic from '@anthropic-ai/sdk';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { readdir, readFile, stat } from 'fs/promises';
+import { createHash, timingSafeEqual } from 'crypto';
 import { createClient } from '@supabase/supabase-js';
+import {
+  isStructuredFormat,
+  parseStructuredNotes,
+  summarizeProject,
+  PARSER_VERSION,
+  DEFAULT_OWNER,
+} from './src/lib/note-parser.js';
+import { setLLMProvider } from './src/lib/llm.js';
+import {
+  isActiveProject,
+  weekStartISO,
+  projectTaskStats,
+  buildDigestMarkdown,
+} from './src/lib/project-digest.js';
+import { setPromptTemplates } from './src/lib/prompt-templates.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -36,14 +54,36 @@ app.post('/api/anthropic/messages', async (req, res) => {
   }
   
   try {
-    const { model, max_tokens, system, messages } = req.body;
+    const { model, max_tokens, system, messages, stream } = req.body;
 
-    const response = await anthropic.messages.create({
+    const params = {
       model: model || 'claude-3-haiku-20240307',
       max_tokens: max_tokens || 4096,
       system,
       messages,
-    });
+    };
+
+    // Streaming: forward Anthropic's events as SSE, same wire format as the API
+    if (stream) {
+      const events = await anthropic.messages.create({ ...params, stream: true });
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.flushHeaders();
+
+      try {
+        for await (const event of events) {
+          res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        }
+      } catch (streamError) {
+        console.error('Anthropic stream error:', streamError);
+        const error = { type: 'error', error: { message: streamError.message || 'Stream failed' } };
+        res.write(`event: error\ndata: ${JSON.stringify(error)}\n\n`);
+      }
+      return res.end();
+    }
+
+    const response = await anthropic.messages.create(params);
 
     res.json(response);
   } catch (error) {
@@ -58,6 +98,70 @@ app.post('/api/anthropic/messages', async (req, res) => {
   }
 });
 
+// ============================================
+// OpenAI-compatible API Proxy
+// ============================================
+
+// Keeps the key out of the browser: the openai LLM provider posts here unless
+// VITE_LLM_BASE_URL points it straight at a local server that needs no key
+const llmBaseUrl = (process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/$/, '');
+const llmApiKey = process.env.LLM_API_KEY;
+
+app.post('/api/openai/chat/completions', async (req, res) => {
+  try {
+    const { model, max_tokens, messages, stream } = req.body;
+
+    const response = await fetch(`${llmBaseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(llmApiKey && { Authorization: `Bearer ${llmApiKey}` }),
+      },
+      body: JSON.stringify({
+        model: model || 'gpt-4o-mini',
+        max_tokens: max_tokens || 4096,
+        messages,
+        ...(stream && { stream: true }),
+      }),
+    });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      console.error('LLM API error:', data);
+      return res.status(response.status).json({
+        error: data.error?.message || 'LLM API request failed',
+        details: data,
+      });
+    }
+
+    // Streaming: pipe the SSE body straight through
+    if (stream) {
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.flushHeaders();
+
+      const reader = response.body.getReader();
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        res.write(value);
+      }
+      return res.end();
+    }
+
+    res.json(await response.json());
+  } catch (error) {
+    console.error('LLM API error:', error);
+    // Mid-stream the status is already sent; report it as an SSE error event
+    if (res.headersSent) {
+      res.write(`data: ${JSON.stringify({ error: { message: error.message || 'Stream failed' } })}\n\n`);
+      return res.end();
+    }
+    res.status(500).json({ error: error.message || 'An error occurred while processing the request' });
+  }
+});
+
 // ============================================
 // Asana OAuth & API Proxy
 // ============================================
@@ -705,6 +809,392 @@ app.post('/api/monday/graphql', async (req, res) => {
   }
 });
 
+// ============================================
+// Notes Ingestion (watched folder / email drop)
+// ============================================
+
+// Exported meeting notes land in the AI Notes review inbox:
+//   POST /api/notes/ingest — { text, filename } or an inbound-email payload
+//                            ({ subject, 'body-plain' }), Bearer NOTES_INGEST_TOKEN
+//   NOTES_WATCH_DIR        — optional folder polled for new .md / .txt files
+// imported_files records a hash of every import so nothing comes in twice.
+
+const NOTES_INGEST_TOKEN = process.env.NOTES_INGEST_TOKEN;
+const NOTES_WATCH_DIR = process.env.NOTES_WATCH_DIR;
+const NOTES_WATCH_INTERVAL = (parseInt(process.env.NOTES_WATCH_INTERVAL, 10) || 30) * 1000;
+const NOTES_FILE_PATTERN = /\.(md|markdown|txt)$/i;
+
+// Whose tasks are "mine" when parsing without a signed-in user
+const notesOwner = process.env.NOTES_OWNER_NAME
+  ? {
+      name: process.env.NOTES_OWNER_NAME,
+      aliases: (process.env.NOTES_OWNER_ALIASES || '').split(',').map(a => a.trim()).filter(Boolean),
+    }
+  : DEFAULT_OWNER;
+
+function notesArchiveTitle(text, fileName) {
+  const firstLine = text.split('\n').map(line => line.replace(/[#*-]/g, '').trim()).find(Boolean);
+  const title = firstLine || (fileName || '').replace(NOTES_FILE_PATTERN, '') || 'Imported Notes';
+  return title.length > 50 ? title.substring(0, 50) + '...' : title;
+}
+
+// User-defined task categories, or the built-in ones before migration 014
+async function loadTaskCategories(supabase) {
+  const { data, error } = await supabase
+    .from('task_categories')
+    .select('key, label, synonyms')
+    .order('sort_order');
+  if (error) console.warn('Using default task categories:', error.message);
+  return data?.length ? data : undefined;
+}
+
+// Active prompt template versions (edited in Settings); missing ones use the built-in prompts
+async function loadPromptTemplates(supabase) {
+  const { data, error } = await supabase
+    .from('prompt_templates')
+    .select('key, body')
+    .eq('is_active', true);
+  if (error) console.warn('Using built-in prompt templates:', error.message);
+  setPromptTemplates(Object.fromEntries((data || []).map(row => [row.key, row.body])));
+}
+
+/**
+ * Archive one set of notes as a pending inbox entry. Structured (Granola
+ * recipe) notes are parsed here; freeform notes are parsed by the LLM when
+ * they are opened for review.
+ * @returns {Promise<{ archiveId: string|null, duplicate: boolean, structured: boolean }>}
+ */
+async function ingestNotes({ text, fileName, source }) {
+  if (!supabaseServiceKey) {
+    throw { status: 500, message: 'SUPABASE_SERVICE_ROLE_KEY not configured' };
+  }
+  if (!text || !text.trim()) {
+    throw { status: 400, message: 'No notes text provided' };
+  }
+
+  const supabase = createClient(supabaseUrl, supabaseServiceKey);
+  const contentHash = createHash('sha256').update(text.trim()).digest('hex');
+
+  const { data: existing, error: lookupError } = await supabase
+    .from('imported_files')
+    .select('notes_archive_id')
+    .eq('content_hash', contentHash)
+    .maybeSingle();
+  if (lookupError) throw lookupError;
+  if (existing) {
+    return { archiveId: existing.notes_archive_id, duplicate: true, structured: false };
+  }
+
+  const structured = isStructuredFormat(text);
+  const categories = structured ? await loadTaskCategories(supabase) : undefined;
+  const { data: archive, error: archiveError } = await supabase
+    .from('notes_archive')
+    .insert({
+      raw_text: text,
+      parsed_data: structured ? parseStructuredNotes(text, { owner: notesOwner, categories }) : null,
+      parser_version: structured ? PARSER_VERSION : null,
+      title: notesArchiveTitle(text, fileName),
+      source,
+      source_file: fileName || null,
+      review_status: 'pending',
+    })
+    .select('id')
+    .single();
+  if (archiveError) throw archiveError;
+
+  const { error: trackError } = await supabase
+    .from('imported_files')
+    .insert({
+      content_hash: contentHash,
+      file_name: fileName || null,
+      source,
+      notes_archive_id: archive.id,
+    });
+  if (trackError) {
+    // Dedup is keyed on imported_files, so an untracked archive row would be duplicated on retry
+    await supabase.from('notes_archive').delete().eq('id', archive.id);
+    throw trackError;
+  }
+
+  return { archiveId: archive.id, duplicate: false, structured };
+}
+
+// Ingestion endpoint (scripts, Shortcuts, inbound-email webhooks)
+app.post('/api/notes/ingest', express.urlencoded({ extended: false }), async (req, res) => {
+  if (!NOTES_INGEST_TOKEN) {
+    return res.status(503).json({ error: 'Notes ingestion not configured (set NOTES_INGEST_TOKEN)' });
+  }
+  const token = Buffer.from((req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(NOTES_INGEST_TOKEN);
+  if (token.length !== expected.length || !timingSafeEqual(token, expected)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const body = req.body || {};
+  const isEmail = !body.text && (body['body-plain'] || body.subject);
+  const text = body.text || body['body-plain'] || '';
+  const fileName = body.filename || body.subject || null;
+
+  try {
+    const result = await ingestNotes({ text, fileName, source: isEmail ? 'email' : 'api' });
+    return res.status(result.duplicate ? 200 : 201).json(result);
+  } catch (err) {
+    console.error('Notes ingest error:', err);
+    return res.status(err.status || 500).json({ error: err.message || 'Internal server error' });
+  }
+});
+
+// Folder watcher: polls NOTES_WATCH_DIR. Files are read once their size and
+// mtime stop changing, so half-written exports are not picked up.
+const seenNoteFiles = new Map(); // file name → 'size:mtime' last seen ('done' once ingested)
+
+async function scanNotesFolder() {
+  let names;
+  try {
+    names = await readdir(NOTES_WATCH_DIR);
+  } catch (err) {
+    console.error(`Notes watcher: cannot read ${NOTES_WATCH_DIR}:`, err.message);
+    return;
+  }
+
+  for (const name of names.filter(n => NOTES_FILE_PATTERN.test(n))) {
+    const path = join(NOTES_WATCH_DIR, name);
+    try {
+      const info = await stat(path);
+      if (!info.isFile()) continue;
+      const signature = `${info.size}:${info.mtimeMs}`;
+      const previous = seenNoteFiles.get(name);
+      if (previous === `done:${signature}`) continue;
+      if (previous !== signature) {
+        seenNoteFiles.set(name, signature); // wait one more poll for the write to settle
+        continue;
+      }
+
+      const result = await ingestNotes({ text: await readFile(path, 'utf8'), fileName: name, source: 'folder' });
+      seenNoteFiles.set(name, `done:${signature}`);
+      if (!result.duplicate) {
+        console.log(`📥 Imported ${name} (${result.structured ? 'structured' : 'freeform'})`);
+      }
+    } catch (err) {
+      console.error(`Notes watcher: failed to import ${name}:`, err.message || err);
+    }
+  }
+}
+
+function startNotesWatcher() {
+  if (!supabaseServiceKey) {
+    console.log('⚠️  Notes watcher disabled (add SUPABASE_SERVICE_ROLE_KEY to .env.local)');
+    return;
+  }
+  console.log(`👀 Watching ${NOTES_WATCH_DIR} for notes every ${NOTES_WATCH_INTERVAL / 1000}s`);
+  scanNotesFolder();
+  setInterval(scanNotesFolder, NOTES_WATCH_INTERVAL);
+}
+
+// ============================================
+// Weekly Digest (scheduled project summaries)
+// ============================================
+
+// Once a week every active project gets an AI summary (kept in
+// project_summaries) and the lot is written up as one markdown report in
+// weekly_digests:
+//   WEEKLY_DIGEST_DAY       — weekday to run on (monday…sunday or 0–6); unset = no schedule
+//   WEEKLY_DIGEST_HOUR      — hour of day, server local time (default 8)
+//   POST /api/digests/weekly — run this week's digest now (Supabase user token)
+// A week that was missed (server down) is caught up on the next check.
+
+const WEEKLY_DIGEST_DAY = parseWeekday(process.env.WEEKLY_DIGEST_DAY);
+const WEEKLY_DIGEST_HOUR = parseInt(process.env.WEEKLY_DIGEST_HOUR, 10) || 8;
+const DIGEST_CHECK_INTERVAL = 60 * 60 * 1000; // hourly
+
+function parseWeekday(value) {
+  if (!value) return null;
+  const names = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  const index = /^\d$/.test(value) ? parseInt(value, 10) : names.indexOf(value.trim().toLowerCase());
+  return index >= 0 && index <= 6 ? index : null;
+}
+
+// summarizeProject() goes through the notes LLM provider, which in the
+// browser calls the proxy above; here it calls the SDK directly
+if (anthropic) {
+  setLLMProvider({
+    name: 'anthropic',
+    async complete({ system, prompt, maxTokens = 4096 }) {
+      const message = await anthropic.messages.create({
+        model: 'claude-3-haiku-20240307',
+        max_tokens: maxTokens,
+        system,
+        messages: [{ role: 'user', content: prompt }],
+      });
+      return message.content[0]?.text || '';
+    },
+  });
+}
+
+let digestRunning = false;
+
+/**
+ * Summarize every active project and store the week's digest (re-running a
+ * week replaces its report and digest summaries).
+ * @returns {Promise<{ digestId: string, weekStart: string, projectCount: number }>}
+ */
+async function generateWeeklyDigest(now = new Date()) {
+  if (!supabaseServiceKey) {
+    throw { status: 500, message: 'SUPABASE_SERVICE_ROLE_KEY not configured' };
+  }
+  if (!anthropic) {
+    throw { status: 500, message: 'Anthropic API not configured' };
+  }
+  if (digestRunning) {
+    throw { status: 409, message: 'A digest is already being generated' };
+  }
+
+  digestRunning = true;
+  try {
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+    const weekStart = weekStartISO(now);
+    await loadPromptTemplates(supabase);
+
+    const { data: allProjects, error: projectsError } = await supabase.from('projects').select('*');
+    if (projectsError) throw projectsError;
+    const projects = allProjects.filter(isActiveProject);
+    const projectIds = projects.map(p => p.id);
+
+    let tasks = [];
+    let history = [];
+    if (projectIds.length > 0) {
+      const [tasksResult, historyResult] = await Promise.all([
+        supabase.from('tasks').select('*').in('project_id', projectIds),
+        supabase.from('project_summaries')
+          .select('project_id, stats, created_at, digest_id')
+          .in('project_id', projectIds)
+          .order('created_at', { ascending: false }),
+      ]);
+      if (tasksResult.error) throw tasksResult.error;
+      if (historyResult.error) throw historyResult.error;
+      tasks = tasksResult.data;
+      history = historyResult.data;
+    }
+
+    const { data: existing, error: existingError } = await supabase
+      .from('weekly_digests')
+      .select('id')
+      .eq('week_start', weekStart)
+      .maybeSingle();
+    if (existingError) throw existingError;
+
+    // One at a time keeps well inside the API rate limit
+    const entries = [];
+    for (const project of projects) {
+      const projectTasks = tasks.filter(t => t.project_id === project.id);
+      // Week over week: compare with the last digest, else the latest manual summary
+      const earlier = history.filter(s => s.project_id === project.id && (!existing || s.digest_id !== existing.id));
+      const previous = earlier.find(s => s.digest_id) || earlier[0];
+      try {
+        const summary = await summarizeProject({ ...project, tasks: projectTasks });
+        entries.push({ project, summary, stats: projectTaskStats(projectTasks, now), previousStats: previous?.stats });
+      } catch (err) {
+        console.error(`Weekly digest: failed to summarize ${project.name}:`, err.message || err);
+      }
+    }
+    // Keep the week's earlier report (and let the schedule retry) rather than replace it with nothing
+    if (entries.length === 0 && projects.length > 0) {
+      throw { status: 502, message: 'Failed to summarize any project' };
+    }
+
+    const { data: digest, error: digestError } = await supabase
+      .from('weekly_digests')
+      .upsert({
+        week_start: weekStart,
+        content: buildDigestMarkdown(weekStart, entries),
+        project_count: entries.length,
+        created_at: new Date().toISOString(),
+      }, { onConflict: 'week_start' })
+      .select('id')
+      .single();
+    if (digestError) throw digestError;
+
+    const { error: deleteError } = await supabase.from('project_summaries').delete().eq('digest_id', digest.id);
+    if (deleteError) throw deleteError;
+    if (entries.length > 0) {
+      const { error: summariesError } = await supabase.from('project_summaries').insert(
+        entries.map(({ project, summary, stats }) => ({
+          project_id: project.id,
+          summary,
+          stats,
+          source: 'digest',
+          digest_id: digest.id,
+        }))
+      );
+      if (summariesError) throw summariesError;
+    }
+
+    return { digestId: digest.id, weekStart, projectCount: entries.length };
+  } finally {
+    digestRunning = false;
+  }
+}
+
+app.post('/api/digests/weekly', async (req, res) => {
+  const token = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  if (!token) {
+    return res.status(401).json({ error: 'Missing authorization header' });
+  }
+
+  try {
+    const userClient = createClient(supabaseUrl, supabaseAnonKey, {
+      global: { headers: { Authorization: `Bearer ${token}` } },
+    });
+    const { data: { user }, error: userError } = await userClient.auth.getUser();
+    if (userError || !user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const result = await generateWeeklyDigest();
+    return res.status(201).json(result);
+  } catch (err) {
+    console.error('Weekly digest error:', err);
+    return res.status(err.status || 500).json({ error: err.message || 'Internal server error' });
+  }
+});
+
+// Runs once this week's scheduled time has passed and there is no digest yet.
+// Digest weeks start on Monday, so the scheduled time is Monday plus the
+// configured day's offset (Sunday is the last day of the week).
+async function checkWeeklyDigest() {
+  const now = new Date();
+  const scheduled = new Date(now);
+  scheduled.setDate(now.getDate() - ((now.getDay() + 6) % 7) + ((WEEKLY_DIGEST_DAY + 6) % 7));
+  scheduled.setHours(WEEKLY_DIGEST_HOUR, 0, 0, 0);
+  if (now < scheduled) return;
+
+  try {
+    const supabase = createClient(supabaseUrl, supabaseServiceKey);
+    const { data: existing, error } = await supabase
+      .from('weekly_digests')
+      .select('id')
+      .eq('week_start', weekStartISO(scheduled))
+      .maybeSingle();
+    if (error) throw error;
+    if (existing) return;
+
+    const result = await generateWeeklyDigest(scheduled);
+    console.log(`📰 Weekly digest for ${result.weekStart} (${result.projectCount} projects)`);
+  } catch (err) {
+    console.error('Weekly digest failed:', err.message || err);
+  }
+}
+
+function startDigestSchedule() {
+  if (!supabaseServiceKey || !anthropic) {
+    console.log('⚠️  Weekly digest disabled (needs SUPABASE_SERVICE_ROLE_KEY and VITE_ANTHROPIC_API_KEY)');
+    return;
+  }
+  console.log(`📰 Weekly digest scheduled for day ${WEEKLY_DIGEST_DAY} at ${WEEKLY_DIGEST_HOUR}:00`);
+  checkWeeklyDigest();
+  setInterval(checkWeeklyDigest, DIGEST_CHECK_INTERVAL);
+}
+
 // ============================================
 // Start Server
 // ============================================
@@ -714,6 +1204,7 @@ app.listen(PORT, () => {
   console.log('');
   console.log('Available endpoints:');
   console.log('  POST /api/anthropic/messages - AI parsing');
+  console.log('  POST /api/openai/chat/completions - OpenAI-compatible AI parsing');
   console.log('  GET  /api/asana/oauth-callback - OAuth redirect');
   console.log('  GET  /api/asana/workspaces - List workspaces');
   console.log('  GET  /api/asana/projects - List projects');
@@ -724,6 +1215,8 @@ app.listen(PORT, () => {
   console.log('  GET  /api/frameio/assets/:id/comments - Frame.io comments');
   console.log('  GET  /api/monday/oauth-callback - Monday.com OAuth redirect');
   console.log('  POST /api/monday/graphql - Monday.com GraphQL proxy');
+  console.log('  POST /api/notes/ingest - Import notes into the AI Notes inbox');
+  console.log('  POST /api/digests/weekly - Generate this week\'s project digest');
   console.log('');
   
   if (process.env.ASANA_CLIENT_ID) {
@@ -743,4 +1236,12 @@ app.listen(PORT, () => {
   } else {
     console.log('⚠️  Monday.com OAuth not configured (add MONDAY_CLIENT_ID to .env.local)');
   }
+
+  if (NOTES_WATCH_DIR) {
+    startNotesWatcher();
+  }
+
+  if (WEEKLY_DIGEST_DAY !== null) {
+    startDigestSchedule();
+  }
 });
@@ -8,16 +8,22 @@ import { PeopleView } from '@/components/PeopleView';
 import { AINotes } from '@/components/ai-notes';
 import { IgnoredTasks } from '@/components/IgnoredTasks';
 import { TaskArchive } from '@/components/TaskArchive';
+import { WaitingOnView } from '@/components/WaitingOnView';
+import { DigestsView } from '@/components/DigestsView';
+import { SettingsView } from '@/components/SettingsView';
 import { TasksView } from '@/components/TasksView';
 import { DealsView } from '@/components/DealsView';
 import { Navigation } from '@/components/Navigation';
 import { QuickActionFAB } from '@/components/QuickActionFAB';
+import { CommandPalette } from '@/components/CommandPalette';
 import { AddExpenseSheet } from '@/components/AddExpenseSheet';
 import { AddIncomeSheet } from '@/components/AddIncomeSheet';
 import { TasksProvider } from '@/contexts/TasksContext';
 import { ProjectsProvider } from '@/contexts/ProjectsContext';
 import { TransactionsProvider } from '@/contexts/TransactionsContext';
 import { PeopleProvider } from '@/contexts/PeopleContext';
+import { TaskCategoriesProvider } from '@/contexts/TaskCategoriesContext';
+import { PromptTemplatesProvider } from '@/contexts/PromptTemplatesContext';
 
 export default function App() {
   const [user, setUser] = useState(null);
@@ -30,16 +36,33 @@ export default function App() {
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [showExpenseSheet, setShowExpenseSheet] = useState(false);
   const [showIncomeSheet, setShowIncomeSheet] = useState(false);
+  const [restoredSession, setRestoredSession] = useState(null); // ignored items headed back to AI Notes
+  const [selectedPersonId, setSelectedPersonId] = useState(null); // contact to open in People
+  const [selectedTaskId, setSelectedTaskId] = useState(null); // task to open in Tasks
+  const [selectedDealId, setSelectedDealId] = useState(null); // deal to open in Deals
 
   // Wrap navigation to clear project filter when leaving tasks
   const handleNavigate = (view) => {
     if (view !== 'tasks') {
       setSelectedProjectId(null);
       setSelectedCategory(null);
+      setSelectedTaskId(null);
+    }
+    if (view !== 'people') {
+      setSelectedPersonId(null);
+    }
+    if (view !== 'deals') {
+      setSelectedDealId(null);
     }
     setCurrentView(view);
   };
 
+  const handleSelectProject = (projectId) => {
+    setSelectedProjectId(projectId);
+    setSelectedCategory(null);
+    setCurrentView('tasks');
+  };
+
   // Check auth state on mount
   useEffect(() => {
     if (!isSupabaseConfigured()) {
@@ -131,7 +154,7 @@ export default function App() {
             />
           );
         }
-        return <TasksView onNavigate={handleNavigate} selectedCategory={selectedCategory} onSelectCategory={(category) => { setSelectedCategory(category); setSelectedProjectId(null); }} onSelectProject={(projectId) => { setSelectedProjectId(projectId); setSelectedCategory(null); setCurrentView('tasks'); }} />;
+        return <TasksView onNavigate={handleNavigate} selectedCategory={selectedCategory} onSelectCategory={(category) => { setSelectedCategory(category); setSelectedProjectId(null); }} onSelectProject={handleSelectProject} initialTaskId={selectedTaskId} />;
       case 'projects':
         return <ProjectsV2 onNavigate={handleNavigate} />;
       case 'money':
@@ -143,15 +166,43 @@ export default function App() {
           />
         );
       case 'deals':
-        return <DealsView onNavigate={handleNavigate} />;
+        return <DealsView onNavigate={handleNavigate} initialDealId={selectedDealId} />;
       case 'people':
-        return <PeopleView onNavigate={handleNavigate} />;
+        return <PeopleView onNavigate={handleNavigate} initialPersonId={selectedPersonId} />;
       case 'ai-notes':
-        return <AINotes onNavigate={handleNavigate} />;
+        return (
+          <AINotes
+            onNavigate={handleNavigate}
+            restoredSession={restoredSession}
+            onRestoredSessionLoaded={() => setRestoredSession(null)}
+          />
+        );
       case 'ignored-tasks':
-        return <IgnoredTasks onNavigate={handleNavigate} />;
+        return (
+          <IgnoredTasks
+            onNavigate={handleNavigate}
+            onRestoreToReview={(session) => {
+              setRestoredSession(session);
+              handleNavigate('ai-notes');
+            }}
+          />
+        );
       case 'task-archive':
         return <TaskArchive onNavigate={handleNavigate} />;
+      case 'digests':
+        return <DigestsView onNavigate={handleNavigate} />;
+      case 'settings':
+        return <SettingsView onNavigate={handleNavigate} />;
+      case 'waiting-on':
+        return (
+          <WaitingOnView
+            onNavigate={handleNavigate}
+            onOpenContact={(personId) => {
+              setSelectedPersonId(personId);
+              setCurrentView('people');
+            }}
+          />
+        );
       default:
         return <DashboardV2 onNavigate={handleNavigate} />;
     }
@@ -162,6 +213,8 @@ export default function App() {
     <ProjectsProvider>
     <TransactionsProvider>
     <PeopleProvider>
+    <TaskCategoriesProvider>
+    <PromptTemplatesProvider>
       <div className="min-h-screen bg-surface">
         <Navigation
           currentView={currentView}
@@ -170,11 +223,7 @@ export default function App() {
           user={user}
           selectedProjectId={selectedProjectId}
           selectedCategory={selectedCategory}
-          onSelectProject={(projectId) => {
-            setSelectedProjectId(projectId);
-            setSelectedCategory(null);
-            setCurrentView('tasks');
-          }}
+          onSelectProject={handleSelectProject}
           onSelectCategory={(category) => {
             setSelectedCategory(category);
             setSelectedProjectId(null);
@@ -192,6 +241,28 @@ export default function App() {
         {/* Quick Action FAB */}
         <QuickActionFAB />
 
+        {/* Cmd/Ctrl-K */}
+        <CommandPalette
+          onNavigate={handleNavigate}
+          onOpenProject={handleSelectProject}
+          onOpenTask={(taskId) => {
+            handleNavigate('tasks');
+            setSelectedProjectId(null);
+            setSelectedCategory(null);
+            setSelectedTaskId(taskId);
+          }}
+          onOpenPerson={(personId) => {
+            handleNavigate('people');
+            setSelectedPersonId(personId);
+          }}
+          onOpenDeal={(dealId) => {
+            handleNavigate('deals');
+            setSelectedDealId(dealId);
+          }}
+          onLogExpense={() => setShowExpenseSheet(true)}
+          onLogIncome={() => setShowIncomeSheet(true)}
+        />
+
         {/* Sheets triggered from MoneyView */}
         <AddExpenseSheet
           isOpen={showExpenseSheet}
@@ -202,6 +273,8 @@ export default function App() {
           onClose={() => setShowIncomeSheet(false)}
         />
       </div>
+    </PromptTemplatesProvider>
+    </TaskCategoriesProvider>
     </PeopleProvider>
     </TransactionsProvider>
     </ProjectsProvider>
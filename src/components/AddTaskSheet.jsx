@@ -1,12 +1,16 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo } from 'react';
 import { useTasks } from '@/contexts/TasksContext';
 import { useProjects } from '@/contexts/ProjectsContext';
+import { useTaskCategories } from '@/hooks/useTaskCategories';
 import { Sheet } from '@/components/ui/Sheet';
 import { Button } from '@/components/ui/Button';
+import { QuickEntryPreview } from '@/components/QuickEntryPreview';
+import { parseQuickEntry } from '@/lib/quick-entry';
 
 export function AddTaskSheet({ isOpen, onClose, preselectedProjectId }) {
   const { addTask } = useTasks();
   const { activeProjects } = useProjects();
+  const { categories } = useTaskCategories();
 
   const [formData, setFormData] = useState({
     title: '',
@@ -18,6 +22,15 @@ export function AddTaskSheet({ isOpen, onClose, preselectedProjectId }) {
   });
   const [saving, setSaving] = useState(false);
 
+  // The title line may carry a date, !priority, #project and @category;
+  // fields set below take precedence over what the line says
+  const parsed = useMemo(() =>
+    parseQuickEntry(formData.title, { projects: activeProjects, categories }),
+  [formData.title, activeProjects, categories]);
+  const projectId = formData.project_id || parsed.project_id || '';
+  const dueDate = formData.due_date || parsed.due_date || '';
+  const priority = formData.priority || parsed.priority || '';
+
   useEffect(() => {
     if (isOpen) {
       setFormData({
@@ -38,11 +51,13 @@ export function AddTaskSheet({ isOpen, onClose, preselectedProjectId }) {
     setSaving(true);
     try {
       await addTask({
-        title: formData.title.trim(),
+        title: parsed.title || formData.title.trim(),
         subtitle: formData.subtitle.trim() || null,
-        project_id: formData.project_id || null,
-        due_date: formData.due_date || null,
-        priority: formData.priority || null,
+        project_id: projectId || null,
+        due_date: dueDate || null,
+        priority: priority || null,
+        energy: parsed.energy,
+        tags: parsed.tags,
         status: formData.status,
         is_mine: true,
       });
@@ -68,10 +83,11 @@ export function AddTaskSheet({ isOpen, onClose, preselectedProjectId }) {
             value={formData.title}
             onChange={(e) => setFormData({ ...formData, title: e.target.value })}
             className="w-full px-3 py-3 border border-outline rounded-md focus:ring-2 focus:ring-primary focus:border-primary text-lg"
-            placeholder="Order media server"
+            placeholder="Order media server fri !high #project @category"
             autoFocus
             required
           />
+          <QuickEntryPreview parsed={parsed} showTitle className="mt-2" />
         </div>
 
         {/* Notes */}
@@ -94,7 +110,7 @@ export function AddTaskSheet({ isOpen, onClose, preselectedProjectId }) {
             Project
           </label>
           <select
-            value={formData.project_id}
+            value={projectId}
             onChange={(e) => setFormData({ ...formData, project_id: e.target.value })}
             className="w-full px-3 py-3 border border-outline rounded-md focus:ring-2 focus:ring-primary focus:border-primary"
           >
@@ -112,7 +128,7 @@ export function AddTaskSheet({ isOpen, onClose, preselectedProjectId }) {
           </label>
           <input
             type="date"
-            value={formData.due_date}
+            value={dueDate}
             onChange={(e) => setFormData({ ...formData, due_date: e.target.value })}
             className="w-full px-3 py-3 border border-outline rounded-md focus:ring-2 focus:ring-primary focus:border-primary"
           />
@@ -135,7 +151,7 @@ export function AddTaskSheet({ isOpen, onClose, preselectedProjectId }) {
                 type="button"
                 onClick={() => setFormData({ ...formData, priority: p.id })}
                 className={`flex-1 px-3 py-2 text-sm font-medium rounded-md transition-colors ${
-                  formData.priority === p.id
+                  priority === p.id
                     ? `${p.color} ring-2 ring-offset-1 ring-outline`
                     : 'bg-surface-container text-outline hover:bg-surface-container-high'
                 }`}
@@ -3,7 +3,9 @@ import { Sheet } from '@/components/ui/Sheet';
 import { Button } from '@/components/ui/Button';
 import { Card } from '@/components/ui/Card';
 import { useAsana } from '@/hooks/useAsana';
-import { PRIORITY_DISPLAY, ENERGY_DISPLAY } from '@/lib/asana';
+import { useTaskCategories } from '@/hooks/useTaskCategories';
+import { PRIORITY_DISPLAY, formatTaskCategory } from '@/lib/asana';
+import { getTaskCategory } from '@/lib/task-categories';
 
 /**
  * Asana Export Sheet
@@ -25,6 +27,7 @@ export function AsanaExportSheet({ isOpen, onClose, tasks, onExportComplete }) {
     exportTasks,
     clearError,
   } = useAsana();
+  const { categories } = useTaskCategories();
 
   const [selectedWorkspace, setSelectedWorkspace] = useState('');
   const [selectedProject, setSelectedProject] = useState('');
@@ -90,7 +93,7 @@ export function AsanaExportSheet({ isOpen, onClose, tasks, onExportComplete }) {
     clearError();
 
     try {
-      const result = await exportTasks(tasks, selectedProject, selectedWorkspace, saveAsDefault);
+      const result = await exportTasks(tasks, selectedProject, selectedWorkspace, saveAsDefault, categories);
       setExportResult(result);
 
       if (result.created > 0 && result.failed === 0) {
@@ -312,7 +315,7 @@ export function AsanaExportSheet({ isOpen, onClose, tasks, onExportComplete }) {
           </label>
           <div className="max-h-48 overflow-y-auto space-y-2 border border-outline-variant rounded-md p-2">
             {tasks.map((task, index) => (
-              <TaskPreviewItem key={task.id || index} task={task} />
+              <TaskPreviewItem key={task.id || index} task={task} categories={categories} />
             ))}
           </div>
         </div>
@@ -352,9 +355,9 @@ export function AsanaExportSheet({ isOpen, onClose, tasks, onExportComplete }) {
 /**
  * Task preview item for the export list
  */
-function TaskPreviewItem({ task }) {
+function TaskPreviewItem({ task, categories }) {
   const priorityInfo = task.priority ? PRIORITY_DISPLAY[task.priority] : null;
-  const energyInfo = task.energy ? ENERGY_DISPLAY[task.energy] : null;
+  const category = getTaskCategory(task.energy, categories);
 
   return (
     <Card className="p-2">
@@ -370,9 +373,9 @@ function TaskPreviewItem({ task }) {
                 {priorityInfo.label}
               </span>
             )}
-            {energyInfo && (
-              <span className={`text-xs ${energyInfo.color}`}>
-                {energyInfo.label}
+            {category && (
+              <span className="text-xs" style={{ color: category.color }}>
+                {formatTaskCategory(task.energy, categories)}
               </span>
             )}
             {task.due_date && (
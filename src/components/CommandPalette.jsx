@@ -0,0 +1,248 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { useTasks } from '@/contexts/TasksContext';
+import { useProjects } from '@/contexts/ProjectsContext';
+import { usePeople } from '@/contexts/PeopleContext';
+import { useOpportunities } from '@/hooks/useOpportunities';
+import { AddTaskSheet } from '@/components/AddTaskSheet';
+import { PomodoroTimer } from '@/components/PomodoroTimer';
+import { fuzzySearch } from '@/lib/fuzzy-search';
+
+/**
+ * Command Palette
+ * Cmd/Ctrl-K from anywhere: fuzzy-search projects, tasks, people and deals,
+ * or run an action (new task, Pomodoro, log expense, jump to a view).
+ */
+
+// Labels match the sidebar
+const VIEWS = [
+  { id: 'dashboard', label: 'Dashboard' },
+  { id: 'tasks', label: 'Projects' },
+  { id: 'projects', label: 'Scopes' },
+  { id: 'money', label: 'Finance' },
+  { id: 'people', label: 'Contacts' },
+  { id: 'deals', label: 'Deals' },
+  { id: 'waiting-on', label: 'Waiting' },
+  { id: 'digests', label: 'Digest' },
+  { id: 'ai-notes', label: 'Parse' },
+  { id: 'settings', label: 'Settings' },
+  { id: 'task-archive', label: 'Task Archive' },
+  { id: 'ignored-tasks', label: 'Ignored Items' },
+];
+
+const RESULTS_PER_GROUP = 5;
+
+export function CommandPalette({ onNavigate, onOpenProject, onOpenTask, onOpenPerson, onOpenDeal, onLogExpense, onLogIncome }) {
+  const { updateTask } = useTasks();
+  const [isOpen, setIsOpen] = useState(false);
+  const [showAddTask, setShowAddTask] = useState(false);
+  const [pomodoroTask, setPomodoroTask] = useState(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.key.toLowerCase() === 'k') {
+        e.preventDefault();
+        setIsOpen(prev => !prev);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const actions = {
+    onNavigate,
+    onOpenProject,
+    onOpenTask,
+    onOpenPerson,
+    onOpenDeal,
+    onLogExpense,
+    onLogIncome,
+    onNewTask: () => setShowAddTask(true),
+    onStartPomodoro: setPomodoroTask,
+  };
+
+  return (
+    <>
+      {isOpen && <PaletteDialog actions={actions} onClose={() => setIsOpen(false)} />}
+
+      <AddTaskSheet isOpen={showAddTask} onClose={() => setShowAddTask(false)} />
+
+      {pomodoroTask && (
+        <PomodoroTimer
+          task={pomodoroTask}
+          taskTitle={pomodoroTask.title}
+          onUpdateTask={updateTask}
+          onClose={() => setPomodoroTask(null)}
+        />
+      )}
+    </>
+  );
+}
+
+// Mounted only while open, so deals are fetched when the palette is used
+function PaletteDialog({ actions, onClose }) {
+  const { tasks } = useTasks();
+  const { activeProjects } = useProjects();
+  const { people } = usePeople();
+  const { opportunities } = useOpportunities();
+  const [query, setQuery] = useState('');
+  const [mode, setMode] = useState('search'); // 'search' | 'pomodoro' (picking a task)
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listRef = useRef(null);
+
+  const projectNames = useMemo(() =>
+    Object.fromEntries(activeProjects.map(p => [p.id, p.name])), [activeProjects]);
+  const openTasks = useMemo(() =>
+    (tasks || []).filter(t => t.status !== 'done'), [tasks]);
+
+  const commands = useMemo(() => [
+    { key: 'new-task', label: 'New task', hint: 'Q', run: actions.onNewTask },
+    { key: 'pomodoro', label: 'Start Pomodoro on a task...', keepOpen: true, run: () => { setMode('pomodoro'); setQuery(''); } },
+    { key: 'expense', label: 'Log expense', run: actions.onLogExpense },
+    { key: 'income', label: 'Log income', run: actions.onLogIncome },
+    ...VIEWS.map(view => ({ key: `view-${view.id}`, label: `Go to ${view.label}`, run: () => actions.onNavigate(view.id) })),
+  ], [actions]);
+
+  // [{ label, entries: [{ key, label, detail, hint, run, runAlt, keepOpen }] }]
+  const groups = useMemo(() => {
+    const taskEntry = (task, run) => ({
+      key: `task-${task.id}`,
+      label: task.title,
+      detail: projectNames[task.project_id],
+      run,
+      runAlt: () => actions.onStartPomodoro(task),
+    });
+
+    if (mode === 'pomodoro') {
+      // Focus tasks first when nothing is typed
+      const candidates = query ? openTasks : [...openTasks].sort((a, b) => !!b.is_focus - !!a.is_focus);
+      return [{
+        label: 'Start Pomodoro on',
+        entries: fuzzySearch(candidates, query, t => t.title, 10)
+          .map(task => taskEntry(task, () => actions.onStartPomodoro(task))),
+      }];
+    }
+
+    const result = [{ label: 'Actions', entries: fuzzySearch(commands, query, c => c.label, query ? RESULTS_PER_GROUP : Infinity) }];
+    if (!query.trim()) return result;
+
+    result.push({
+      label: 'Projects',
+      entries: fuzzySearch(activeProjects, query, p => `${p.name} ${p.client || ''}`, RESULTS_PER_GROUP)
+        .map(project => ({ key: `project-${project.id}`, label: project.name, detail: project.client, run: () => actions.onOpenProject(project.id) })),
+    });
+    result.push({
+      label: 'Tasks',
+      entries: fuzzySearch(openTasks, query, t => t.title, RESULTS_PER_GROUP)
+        .map(task => taskEntry(task, () => actions.onOpenTask(task.id))),
+    });
+    result.push({
+      label: 'People',
+      entries: fuzzySearch(people, query, p => `${p.name} ${p.company || ''}`, RESULTS_PER_GROUP)
+        .map(person => ({ key: `person-${person.id}`, label: person.name, detail: person.company, run: () => actions.onOpenPerson(person.id) })),
+    });
+    result.push({
+      label: 'Deals',
+      entries: fuzzySearch(opportunities, query, d => d.title, RESULTS_PER_GROUP)
+        .map(deal => ({ key: `deal-${deal.id}`, label: deal.title, detail: deal.stage?.replace('_', ' '), run: () => actions.onOpenDeal(deal.id) })),
+    });
+    return result.filter(group => group.entries.length > 0);
+  }, [mode, query, commands, activeProjects, openTasks, people, opportunities, projectNames, actions]);
+
+  const entries = groups.flatMap(group => group.entries);
+  const active = entries[Math.min(activeIndex, entries.length - 1)];
+
+  // Back to the top whenever the results change
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query, mode]);
+
+  useEffect(() => {
+    listRef.current?.querySelector('[data-active="true"]')?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const runEntry = (entry, alt = false) => {
+    if (!entry) return;
+    const run = alt && entry.runAlt ? entry.runAlt : entry.run;
+    run?.();
+    if (!entry.keepOpen) onClose();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(i => Math.min(i + 1, entries.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(i => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runEntry(active, e.shiftKey);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      e.stopPropagation();
+      if (mode === 'pomodoro') {
+        setMode('search');
+        setQuery('');
+      } else {
+        onClose();
+      }
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60]">
+      <div className="fixed inset-0 bg-scrim/50" onClick={onClose} />
+
+      <div className="relative mx-auto mt-[12vh] w-[calc(100%-2rem)] max-w-xl bg-surface-container-highest rounded-xl shadow-elevation-4 overflow-hidden">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={mode === 'pomodoro' ? 'Pick a task for the Pomodoro...' : 'Search projects, tasks, people, deals or actions...'}
+          className="w-full px-4 py-3 bg-transparent text-surface-on border-b border-outline-variant outline-none"
+          autoFocus
+        />
+
+        <div ref={listRef} className="max-h-[60vh] overflow-y-auto py-2">
+          {entries.length === 0 && (
+            <p className="px-4 py-6 text-sm text-center text-outline">No matches</p>
+          )}
+          {groups.map(group => (
+            <div key={group.label}>
+              <p className="px-4 pt-2 pb-1 text-[11px] font-medium uppercase tracking-wide text-outline">{group.label}</p>
+              {group.entries.map(entry => {
+                const isActive = entry === active;
+                return (
+                  <button
+                    key={entry.key}
+                    data-active={isActive}
+                    onMouseEnter={() => setActiveIndex(entries.indexOf(entry))}
+                    onClick={(e) => runEntry(entry, e.shiftKey)}
+                    className={`w-full flex items-center gap-3 px-4 py-2 text-left text-sm transition-colors ${
+                      isActive ? 'bg-primary-container text-primary-on-container' : 'text-surface-on'
+                    }`}
+                  >
+                    <span className="flex-1 min-w-0 truncate">{entry.label}</span>
+                    {entry.detail && (
+                      <span className="text-xs text-outline truncate max-w-[40%]">{entry.detail}</span>
+                    )}
+                    {entry.hint && <kbd className="text-[11px] text-outline font-mono">{entry.hint}</kbd>}
+                  </button>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+
+        <div className="px-4 py-2 border-t border-outline-variant text-[11px] text-outline flex gap-4">
+          <span>↑↓ to move</span>
+          <span>↵ to open</span>
+          {mode === 'search' && <span>⇧↵ on a task starts a Pomodoro</span>}
+          <span>esc to {mode === 'pomodoro' ? 'go back' : 'close'}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useEffect, useRef } from 'react';
 import { useOpportunities } from '@/hooks/useOpportunities';
 import { usePeople } from '@/contexts/PeopleContext';
 import { useProjects } from '@/contexts/ProjectsContext';
@@ -22,7 +22,7 @@ function getContactName(deal, people) {
   return deal.contact || '';
 }
 
-export function DealsView({ onNavigate }) {
+export function DealsView({ onNavigate, initialDealId }) {
   const {
     opportunities, loading, addOpportunity, updateOpportunity, deleteOpportunity,
     markAsWon, markAsLost, opportunitiesByStage, pipelineValue,
@@ -36,6 +36,17 @@ export function DealsView({ onNavigate }) {
   const [editData, setEditData] = useState({});
   const [showClosed, setShowClosed] = useState(false);
 
+  // Open the deal we were linked to (e.g. from the command palette) once deals load
+  const openedDealId = useRef(null);
+  useEffect(() => {
+    if (!initialDealId || openedDealId.current === initialDealId) return;
+    const deal = opportunities.find(d => d.id === initialDealId);
+    if (deal) {
+      openedDealId.current = initialDealId;
+      setSelectedDeal(deal);
+    }
+  }, [initialDealId, opportunities]);
+
   // New deal form state
   const [newDeal, setNewDeal] = useState({
     title: '', value: '', contact_id: '', stage: 'lead',
@@ -0,0 +1,137 @@
+import { useState, useMemo } from 'react';
+import { useWeeklyDigests } from '@/hooks/useProjectSummaries';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { formatDate } from '@/lib/utils';
+
+export function DigestsView({ onNavigate }) {
+  const { digests, loading, generating, canGenerate, generateDigest } = useWeeklyDigests();
+  const [selectedId, setSelectedId] = useState(null);
+
+  const selected = useMemo(
+    () => digests.find(d => d.id === selectedId) || digests[0] || null,
+    [digests, selectedId]
+  );
+
+  const handleGenerate = async () => {
+    const { data, error } = await generateDigest();
+    if (error) {
+      alert(`Failed to generate digest: ${error.message}`);
+      return;
+    }
+    setSelectedId(data.digestId);
+  };
+
+  // Markdown export: download as a .md file
+  const handleExport = () => {
+    const blob = new Blob([selected.content], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `weekly-digest-${selected.week_start}.md`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(selected.content);
+    } catch (err) {
+      alert(`Failed to copy: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="space-y-6 pb-20 animate-in fade-in duration-500">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-surface-on tracking-tight">Weekly Digest</h2>
+          <p className="text-surface-on-variant mt-1">AI summaries of every active project, once a week.</p>
+        </div>
+        <div className="flex gap-2">
+          <Button variant="secondary" onClick={() => onNavigate?.('projects')}>
+            ← Back to Scopes
+          </Button>
+          {canGenerate && (
+            <Button onClick={handleGenerate} disabled={generating}>
+              {generating ? 'Summarizing...' : 'Generate This Week'}
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center min-h-[30vh]">
+          <div className="w-8 h-8 border-2 border-primary border-t-transparent rounded-full animate-spin" />
+        </div>
+      ) : !selected ? (
+        <Card className="p-12 text-center">
+          <div className="text-outline text-lg">No digests yet</div>
+          <p className="text-sm text-surface-on-variant mt-2">
+            Set WEEKLY_DIGEST_DAY for the local server to run one every week
+            {canGenerate ? ', or generate one now' : ''}
+          </p>
+        </Card>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          {/* Past weeks */}
+          <Card className="p-2 md:col-span-1 h-fit">
+            {digests.map(digest => (
+              <button
+                key={digest.id}
+                onClick={() => setSelectedId(digest.id)}
+                className={`w-full text-left px-3 py-2 rounded-md text-sm transition-colors ${
+                  digest.id === selected.id
+                    ? 'bg-primary-container text-primary-on-container'
+                    : 'text-surface-on-variant hover:bg-surface-container-high'
+                }`}
+              >
+                <div className="font-medium">Week of {formatDate(digest.week_start + 'T12:00:00')}</div>
+                <div className="text-xs text-outline">
+                  {digest.project_count} project{digest.project_count !== 1 ? 's' : ''}
+                </div>
+              </button>
+            ))}
+          </Card>
+
+          {/* Report */}
+          <Card className="p-6 md:col-span-3">
+            <div className="flex justify-end gap-3 mb-4">
+              <button onClick={handleCopy} className="text-sm text-primary hover:underline font-medium">
+                Copy markdown
+              </button>
+              <button onClick={handleExport} className="text-sm text-primary hover:underline font-medium">
+                Export .md
+              </button>
+            </div>
+            <DigestContent content={selected.content} />
+          </Card>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Renders the subset of markdown buildDigestMarkdown() writes: headings,
+// an italic facts line per project, and plain paragraphs
+function DigestContent({ content }) {
+  const blocks = content.split(/\n{2,}/).map(block => block.trim()).filter(Boolean);
+
+  return (
+    <div className="space-y-3">
+      {blocks.map((block, i) => {
+        if (block.startsWith('# ')) {
+          return <h3 key={i} className="text-xl font-bold text-surface-on">{block.slice(2)}</h3>;
+        }
+        if (block.startsWith('## ')) {
+          return <h4 key={i} className="text-lg font-semibold text-surface-on pt-3">{block.slice(3)}</h4>;
+        }
+        if (/^_.*_$/.test(block)) {
+          return <p key={i} className="text-xs text-outline">{block.slice(1, -1)}</p>;
+        }
+        return <p key={i} className="text-sm text-surface-on-variant whitespace-pre-wrap">{block}</p>;
+      })}
+    </div>
+  );
+}
@@ -1,12 +1,35 @@
 import { useState } from 'react';
-import { useIgnoredItems } from '@/hooks/useNotesArchive';
+import { useIgnoredItems, useNotesArchive } from '@/hooks/useNotesArchive';
+import { useTasks } from '@/contexts/TasksContext';
+import { useProjects } from '@/contexts/ProjectsContext';
+import { usePeople } from '@/contexts/PeopleContext';
+import { useOpportunities } from '@/hooks/useOpportunities';
+import { useOwner } from '@/hooks/useOwner';
 import { Button } from '@/components/ui/Button';
 import { Card } from '@/components/ui/Card';
 import { formatDate } from '@/lib/utils';
+import {
+  matchProject,
+  toTaskRecord,
+  toWaitingOnRecords,
+  toProjectRecord,
+  toOpportunityRecord,
+  toContactRecord,
+} from '@/lib/note-records';
 
-export function IgnoredTasks({ onNavigate }) {
+// Item types that can be created straight from this screen
+const DIRECT_CREATE_TYPES = ['task', 'project', 'opportunity', 'contact'];
+
+export function IgnoredTasks({ onNavigate, onRestoreToReview }) {
   const { ignoredItems, deleteIgnoredItem } = useIgnoredItems();
+  const { notesArchive } = useNotesArchive();
+  const { addTask, addWaitingOn } = useTasks();
+  const { projects, addProject } = useProjects();
+  const { people, addPerson: addContact } = usePeople();
+  const { addOpportunity } = useOpportunities();
+  const { owner } = useOwner();
   const [selectedItem, setSelectedItem] = useState(null);
+  const [restoringId, setRestoringId] = useState(null);
 
   const handleDelete = (id) => {
     if (window.confirm('Permanently delete this ignored item?')) {
@@ -17,15 +40,70 @@ export function IgnoredTasks({ onNavigate }) {
     }
   };
 
-  const handleRestore = (item) => {
-    // This would restore the item back to the AI Notes parser
-    // For now, we'll just show a message
-    alert('Restore functionality coming soon! This will allow you to bring the item back to the AI Notes parser.');
-  };
-
   // Helper to get item data (supports both old mock format and new Supabase format)
   const getItemData = (item) => item.item_data || item.item || {};
   const getItemType = (item) => item.item_type || item.type || 'unknown';
+  const getSourceArchive = (item) =>
+    item.notes_archive_id ? notesArchive.find(a => a.id === item.notes_archive_id) || null : null;
+
+  // Send the item back to an AI Notes review session with its source notes.
+  // It only opens in review once it has left the ignored list.
+  const handleRestore = async (item) => {
+    try {
+      const result = await deleteIgnoredItem(item.id);
+      if (result?.error) throw result.error;
+      onRestoreToReview({
+        items: [{ type: getItemType(item), data: getItemData(item) }],
+        archive: getSourceArchive(item),
+      });
+    } catch (err) {
+      console.error('Failed to restore item:', err);
+      alert(`Failed to restore item: ${err.message}`);
+    }
+  };
+
+  // Create the item right away, skipping the review session
+  const handleCreate = async (item) => {
+    const data = getItemData(item);
+    setRestoringId(item.id);
+
+    try {
+      let result;
+      switch (getItemType(item)) {
+        case 'task': {
+          const match = matchProject(projects, data.project_name);
+          result = await addTask({
+            ...toTaskRecord(data, { owner, sourceNoteId: item.notes_archive_id }),
+            ...(match && { project_id: match.project.id }),
+          });
+          if (result?.data) await addWaitingOn(toWaitingOnRecords(data, result.data.id, people));
+          break;
+        }
+        case 'project':
+          result = await addProject(toProjectRecord(data));
+          break;
+        case 'opportunity':
+          result = await addOpportunity(toOpportunityRecord(data, people));
+          break;
+        case 'contact':
+          result = await addContact(toContactRecord(data));
+          break;
+        default:
+          throw new Error('This item can only be restored for review');
+      }
+
+      if (result?.error) throw result.error;
+      await deleteIgnoredItem(item.id);
+      if (selectedItem?.id === item.id) {
+        setSelectedItem(null);
+      }
+    } catch (err) {
+      console.error('Failed to restore item:', err);
+      alert(`Failed to restore item: ${err.message}`);
+    } finally {
+      setRestoringId(null);
+    }
+  };
 
   const getItemTitle = (item) => {
     const data = getItemData(item);
@@ -229,7 +307,8 @@ export function IgnoredTasks({ onNavigate }) {
                       <div className="flex-1">
                         {getItemDetails(item)}
                         <div className="text-xs text-outline mt-2">
-                          Ignored on {formatDate(item.ignored_at)}
+                          Ignored on {formatDate(item.ignored_at || item.created_at)}
+                          {getSourceArchive(item) && ` • From “${getSourceArchive(item).title}”`}
                         </div>
                       </div>
                       <div className="flex items-center gap-2 shrink-0">
@@ -240,9 +319,23 @@ export function IgnoredTasks({ onNavigate }) {
                             e.stopPropagation();
                             handleRestore(item);
                           }}
+                          title="Back to AI Notes for review"
                         >
                           Restore
                         </Button>
+                        {DIRECT_CREATE_TYPES.includes(type) && (
+                          <Button
+                            variant="secondary"
+                            className="text-xs px-3 py-1.5"
+                            disabled={restoringId === item.id}
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              handleCreate(item);
+                            }}
+                          >
+                            {restoringId === item.id ? 'Creating...' : 'Create'}
+                          </Button>
+                        )}
                         <Button
                           variant="secondary"
                           className="text-xs px-3 py-1.5 text-red-400 hover:bg-red-500/15"
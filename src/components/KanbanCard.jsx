@@ -1,5 +1,11 @@
 import { useState, useRef, useEffect } from 'react';
 import { formatDate, daysUntil } from '@/lib/utils';
+import { useTaskCategories } from '@/hooks/useTaskCategories';
+import { useTasks } from '@/contexts/TasksContext';
+import { getTaskCategory } from '@/lib/task-categories';
+import { describeRecurrence } from '@/lib/task-recurrence';
+import { TAG_PRESETS } from '@/lib/task-tags';
+import { ChecklistProgress, ChecklistEditor } from '@/components/TaskChecklist';
 
 const icons = {
   calendar: (
@@ -36,15 +42,6 @@ const icons = {
   ),
 };
 
-const TAG_PRESETS = [
-  { label: 'bug', color: '#ef4444' },
-  { label: 'feature', color: '#22d3ee' },
-  { label: 'design', color: '#60a5fa' },
-  { label: 'urgent', color: '#f97316' },
-  { label: 'research', color: '#a78bfa' },
-  { label: 'finance', color: '#10b981' },
-];
-
 // Urgency border color based on days until due
 function urgencyBorder(days) {
   if (days === null) return 'border-l-green-500'; // no date = calm
@@ -57,6 +54,10 @@ export function KanbanCard({ task, isDragOverlay, onToggleStatus, onDelete, onUp
   const [expanded, setExpanded] = useState(false);
   const [editingField, setEditingField] = useState(null); // 'title' | 'subtitle' | 'due_date' | 'tags' | 'notes'
   const cardRef = useRef(null);
+  const { categories } = useTaskCategories();
+  const category = getTaskCategory(task.energy, categories);
+  const { getTaskSeries } = useTasks();
+  const series = getTaskSeries(task.series_id);
 
   const isDone = task.status === 'done';
   const isInProgress = task.status === 'in_progress';
@@ -89,7 +90,7 @@ export function KanbanCard({ task, isDragOverlay, onToggleStatus, onDelete, onUp
 
   const handleUpdate = (key, value) => {
     onUpdate?.(key, value);
-    if (key !== 'tags') setEditingField(null);
+    if (key !== 'tags' && key !== 'checklist') setEditingField(null);
   };
 
   const borderColor = isDone ? 'border-l-outline' : isInProgress ? 'border-l-orange-500' : urgencyBorder(days);
@@ -219,10 +220,16 @@ export function KanbanCard({ task, isDragOverlay, onToggleStatus, onDelete, onUp
         </div>
       </div>
 
-      {/* Tags — always visible when present */}
-      {task.tags?.length > 0 && !isDone && (
+      {/* Category + tags — always visible when present */}
+      {(category || task.tags?.length > 0) && !isDone && (
         <div className="flex flex-wrap gap-1 mt-2">
-          {task.tags.map((tag, i) => (
+          {category && (
+            <span className="text-[10px] font-medium px-1.5 py-0.5 rounded"
+              style={{ backgroundColor: `${category.color}20`, color: category.color }}>
+              {category.icon && `${category.icon} `}{category.label}
+            </span>
+          )}
+          {task.tags?.map((tag, i) => (
             <span key={i} className="text-[10px] font-medium px-1.5 py-0.5 rounded"
               style={{ backgroundColor: `${tag.color}20`, color: tag.color }}>
               {tag.label}
@@ -231,19 +238,25 @@ export function KanbanCard({ task, isDragOverlay, onToggleStatus, onDelete, onUp
         </div>
       )}
 
-      {/* Due date — always visible when set */}
-      {task.due_date && !isDone && (
-        <div className="mt-1.5">
-          <span className={`text-[10px] font-medium ${
-            days <= 1 ? 'text-red-400' :
-            days <= 4 ? 'text-amber-400' :
-            'text-outline'
-          }`}>
-            {days < 0 ? `${Math.abs(days)}d overdue` :
-             days === 0 ? 'Today' :
-             days === 1 ? 'Tomorrow' :
-             formatDate(task.due_date)}
-          </span>
+      {/* Due date — always visible when set; recurring tasks show their rule */}
+      {(task.due_date || series || task.checklist?.length > 0) && !isDone && (
+        <div className="mt-1.5 flex items-center gap-2">
+          {task.due_date && (
+            <span className={`text-[10px] font-medium ${
+              days <= 1 ? 'text-red-400' :
+              days <= 4 ? 'text-amber-400' :
+              'text-outline'
+            }`}>
+              {days < 0 ? `${Math.abs(days)}d overdue` :
+               days === 0 ? 'Today' :
+               days === 1 ? 'Tomorrow' :
+               formatDate(task.due_date)}
+            </span>
+          )}
+          {series && (
+            <span className="text-[10px] text-outline">↻ {describeRecurrence(series)}</span>
+          )}
+          <ChecklistProgress checklist={task.checklist} className="text-[10px]" />
         </div>
       )}
 
@@ -295,6 +308,31 @@ export function KanbanCard({ task, isDragOverlay, onToggleStatus, onDelete, onUp
             </div>
           </div>
 
+          {/* Category — click the current one again to clear it */}
+          <div className="mt-2 flex flex-wrap gap-1" data-editor onClick={(e) => e.stopPropagation()}>
+            {categories.map(cat => (
+              <button key={cat.key}
+                className="text-[10px] font-medium px-1.5 py-0.5 rounded hover:opacity-80 cursor-pointer"
+                style={cat.key === task.energy
+                  ? { backgroundColor: `${cat.color}30`, color: cat.color, boxShadow: `inset 0 0 0 1px ${cat.color}` }
+                  : { backgroundColor: `${cat.color}10`, color: `${cat.color}99` }}
+                onClick={() => handleUpdate('energy', cat.key === task.energy ? '' : cat.key)}
+                title={cat.key === task.energy ? 'Clear category' : 'Set category'}
+              >
+                {cat.icon && `${cat.icon} `}{cat.label}
+              </button>
+            ))}
+          </div>
+
+          {/* Checklist — tick off, reorder, add */}
+          <div className="mt-2" data-editor onClick={(e) => e.stopPropagation()}>
+            <ChecklistEditor
+              checklist={task.checklist || []}
+              onChange={(next) => handleUpdate('checklist', next)}
+              compact
+            />
+          </div>
+
           {/* Notes input — always shown when expanded */}
           <div className="mt-2" data-editor>
             <input
@@ -1,12 +1,14 @@
-import { useState, useMemo } from 'react';
+import { useState, useMemo, useEffect, useRef } from 'react';
 import { usePeople } from '@/contexts/PeopleContext';
+import { useTasks } from '@/contexts/TasksContext';
 import { useOpportunities } from '@/hooks/useOpportunities';
 import { Card } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
 import { Sheet } from '@/components/ui/Sheet';
 import { formatDate } from '@/lib/utils';
+import { findContact } from '@/lib/note-records';
 
-export function PeopleView({ onNavigate }) {
+export function PeopleView({ onNavigate, initialPersonId }) {
   const [selectedPerson, setSelectedPerson] = useState(null);
   const [showNewPerson, setShowNewPerson] = useState(false);
   const [showLogContact, setShowLogContact] = useState(false);
@@ -23,6 +25,17 @@ export function PeopleView({ onNavigate }) {
   } = usePeople();
   const { addOpportunity } = useOpportunities();
 
+  // Open the contact we were linked to (e.g. from Waiting On) once people load
+  const openedPersonId = useRef(null);
+  useEffect(() => {
+    if (!initialPersonId || openedPersonId.current === initialPersonId) return;
+    const person = peopleWithLastContact.find(p => p.id === initialPersonId);
+    if (person) {
+      openedPersonId.current = initialPersonId;
+      setSelectedPerson(person);
+    }
+  }, [initialPersonId, peopleWithLastContact]);
+
   // Board columns
   const COLUMNS = [
     { id: 'lead', label: 'Leads', color: 'border-orange-400', bgHeader: 'bg-orange-500/10 text-orange-400', roles: ['lead'] },
@@ -338,6 +351,11 @@ function NewPersonSheet({ isOpen, onClose, onSave }) {
 function PersonDetailSheet({ isOpen, onClose, person, interactions, onEdit, onDelete, onLogContact, onCreateDeal }) {
   const [editing, setEditing] = useState(false);
   const [editData, setEditData] = useState({});
+  const { tasks, openWaitingOn } = useTasks();
+
+  // Open waiting-on items linked to this person, or naming them or their company
+  const waitingOnThem = openWaitingOn.filter(item =>
+    item.contact_id ? item.contact_id === person.id : findContact([person], item.contact_name));
 
   const handleSave = async () => {
     await onEdit(person.id, editData);
@@ -489,6 +507,24 @@ function PersonDetailSheet({ isOpen, onClose, person, interactions, onEdit, onDe
           )}
         </div>
 
+        {/* Waiting On */}
+        {waitingOnThem.length > 0 && (
+          <div>
+            <h3 className="font-semibold text-surface-on mb-3">Waiting On Them</h3>
+            <div className="space-y-2">
+              {waitingOnThem.map(item => (
+                <div key={item.id} className="p-3 bg-surface rounded-md">
+                  <p className="text-sm text-surface-on">{item.description || 'No description'}</p>
+                  <p className="text-xs text-outline mt-0.5">
+                    {tasks.find(t => t.id === item.task_id)?.title}
+                    {item.follow_up_date && ` · follow up ${formatDate(item.follow_up_date)}`}
+                  </p>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Interaction History */}
         <div>
           <h3 className="font-semibold text-surface-on mb-3">Contact History</h3>
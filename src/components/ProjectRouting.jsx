@@ -0,0 +1,108 @@
+/**
+ * Project Routing
+ * One row per project name in the parsed notes: where its tasks, updates and
+ * time entries will go, how sure the fuzzy match is, and shortcuts to create
+ * the project or remember the name as an alias.
+ */
+import { confidenceLevel, isUntaggedProject } from '@/lib/note-records';
+
+const CONFIDENCE_STYLES = {
+  high: 'bg-green-500/15 text-green-400',
+  medium: 'bg-amber-500/15 text-amber-400',
+  low: 'bg-red-500/15 text-red-400',
+};
+
+export function ProjectRouting({ groups, projects, onRoute, onCreateProject, onRememberAlias, creatingName }) {
+  if (!groups || groups.length === 0) return null;
+
+  return (
+    <div className="p-3 bg-surface-container-high rounded-md space-y-3">
+      <h4 className="text-sm font-bold text-surface-on-variant uppercase tracking-wide">Project Routing</h4>
+      {groups.map(group => {
+        const untagged = isUntaggedProject(group.name);
+        const routedTo = projects.find(p => p.id === group.projectId);
+        const knownName = routedTo && [routedTo.name, ...(routedTo.aliases || [])]
+          .some(name => name.toLowerCase() === group.name.trim().toLowerCase());
+
+        return (
+          <div key={group.name} className="space-y-1">
+            <div className="flex items-center gap-2 text-sm">
+              <span className="font-medium text-surface-on flex-1 truncate">
+                {untagged ? 'Untagged' : group.name}
+                <span className="ml-2 text-xs font-normal text-outline">{describeCounts(group)}</span>
+              </span>
+              <ConfidenceBadge group={group} />
+            </div>
+            <div className="flex items-center gap-2">
+              <select
+                value={group.projectId}
+                onChange={(e) => onRoute(group.name, e.target.value)}
+                className="flex-1 text-sm px-2 py-1 border border-outline-variant rounded-md focus:ring-1 focus:ring-primary"
+              >
+                <option value="">— No project —</option>
+                {group.suggestions.length > 0 && (
+                  <optgroup label="Suggested">
+                    {group.suggestions.map(({ project, confidence }) => (
+                      <option key={project.id} value={project.id}>
+                        {project.name} ({Math.round(confidence * 100)}%)
+                      </option>
+                    ))}
+                  </optgroup>
+                )}
+                <optgroup label="All projects">
+                  {projects.map(project => (
+                    <option key={project.id} value={project.id}>{project.name}</option>
+                  ))}
+                </optgroup>
+              </select>
+              {!untagged && !group.projectId && (
+                <button
+                  onClick={() => onCreateProject(group.name)}
+                  disabled={creatingName === group.name}
+                  className="text-xs font-medium text-primary hover:underline shrink-0"
+                >
+                  {creatingName === group.name ? 'Creating...' : '+ Create project'}
+                </button>
+              )}
+            </div>
+            {!untagged && group.manual && routedTo && !knownName && (
+              <button
+                onClick={() => onRememberAlias(routedTo, group.name)}
+                className="text-xs text-primary hover:underline"
+              >
+                Remember “{group.name}” as an alias of {routedTo.name}
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function ConfidenceBadge({ group }) {
+  if (group.manual) {
+    return <span className="text-xs px-2 py-0.5 rounded-full bg-surface-container text-surface-on-variant">Chosen</span>;
+  }
+  if (!group.match) {
+    const label = group.suggestions.length > 1 ? `${group.suggestions.length} possible` : 'No match';
+    return <span className={`text-xs px-2 py-0.5 rounded-full ${CONFIDENCE_STYLES.low}`}>{label}</span>;
+  }
+  const level = confidenceLevel(group.match.confidence);
+  return (
+    <span
+      className={`text-xs px-2 py-0.5 rounded-full ${CONFIDENCE_STYLES[level]}`}
+      title={`Matched on ${group.match.via}`}
+    >
+      {Math.round(group.match.confidence * 100)}% · {group.match.via}
+    </span>
+  );
+}
+
+function describeCounts(group) {
+  return [
+    group.tasks && `${group.tasks} task${group.tasks !== 1 ? 's' : ''}`,
+    group.project_updates && `${group.project_updates} update${group.project_updates !== 1 ? 's' : ''}`,
+    group.time_entries && `${group.time_entries} time entr${group.time_entries !== 1 ? 'ies' : 'y'}`,
+  ].filter(Boolean).join(', ');
+}
@@ -3,12 +3,20 @@ import { useProjects } from '@/contexts/ProjectsContext';
 import { useTransactions } from '@/contexts/TransactionsContext';
 import { usePeople } from '@/contexts/PeopleContext';
 import { useTasks } from '@/contexts/TasksContext';
+import { useOwner } from '@/hooks/useOwner';
+import { useTaskCategories } from '@/hooks/useTaskCategories';
+import { useProjectSummaries } from '@/hooks/useProjectSummaries';
+import { useNotesArchive } from '@/hooks/useNotesArchive';
+import { projectTaskStats, describeStats, findComparisonSummary } from '@/lib/project-digest';
+import { findCriticalPath } from '@/lib/task-dependencies';
+import { parseQuickEntry } from '@/lib/quick-entry';
+import { QuickEntryPreview } from '@/components/QuickEntryPreview';
 import { Card } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
 import { Sheet } from '@/components/ui/Sheet';
 import { AddExpenseSheet } from '@/components/AddExpenseSheet';
 import { AddIncomeSheet } from '@/components/AddIncomeSheet';
-import { isStructuredFormat, parseStructuredNotes, normalizeWithLLM, parseForNewProject, summarizeProject } from '@/lib/note-parser';
+import { isStructuredFormat, parseStructuredNotes, serializeStructuredNotes, diffParsedTasks, normalizeAndParse, parseForNewProject, summarizeProject, PARSER_VERSION } from '@/lib/note-parser';
 import { formatCurrency, formatDate, daysUntil } from '@/lib/utils';
 import { KanbanCard } from '@/components/KanbanCard';
 import {
@@ -433,16 +441,30 @@ function TransactionsList({ transactions, type }) {
 }
 
 function OverviewTab({ project, editing, editData, setEditData, onEdit, onSave, onCancel, onDelete, onUpdate }) {
-  const { addTask, updateTask, deleteTask } = useTasks();
+  const { addTask, updateTask, deleteTask, dependencies } = useTasks();
+  const { summaries, addSummary } = useProjectSummaries(project.id);
+  const { owner } = useOwner();
+  const { categories } = useTaskCategories();
+  const [compareSummaryId, setCompareSummaryId] = useState(null);
   const milestones = (editing ? (editData.milestones ?? project.milestones) : project.milestones) || [];
   const sortedMilestones = [...milestones].sort((a, b) => (a.date || '').localeCompare(b.date || ''));
 
+  // Longest chain of dependent tasks that has to finish by the next open milestone
+  const nextMilestone = sortedMilestones.find(m => !m.completed && m.date) || null;
+  const criticalPath = useMemo(() =>
+    findCriticalPath(project.tasks || [], dependencies, { until: nextMilestone?.date }),
+  [project.tasks, dependencies, nextMilestone?.date]);
+
   // Task state
   const [newTaskTitle, setNewTaskTitle] = useState('');
   const [newTaskDueDate, setNewTaskDueDate] = useState('');
   const [newTaskPriority, setNewTaskPriority] = useState('');
   const [addingTask, setAddingTask] = useState(false);
   const [showCompleted, setShowCompleted] = useState(false);
+  const { activeProjects } = useProjects();
+  const newTaskParsed = useMemo(() =>
+    parseQuickEntry(newTaskTitle, { projects: activeProjects, categories }),
+  [newTaskTitle, activeProjects, categories]);
 
   // Links state
   const [showAddLink, setShowAddLink] = useState(false);
@@ -467,10 +489,12 @@ function OverviewTab({ project, editing, editData, setEditData, onEdit, onSave,
     setAddingTask(true);
     try {
       await addTask({
-        title: newTaskTitle.trim(),
-        project_id: project.id,
-        due_date: newTaskDueDate || null,
-        priority: newTaskPriority || null,
+        title: newTaskParsed.title || newTaskTitle.trim(),
+        project_id: newTaskParsed.project_id || project.id,
+        due_date: newTaskDueDate || newTaskParsed.due_date,
+        priority: newTaskPriority || newTaskParsed.priority,
+        energy: newTaskParsed.energy,
+        tags: newTaskParsed.tags,
         status: 'todo',
         is_mine: true,
       });
@@ -736,17 +760,21 @@ function OverviewTab({ project, editing, editData, setEditData, onEdit, onSave,
     </svg>
   );
 
-  // AI Summary
-  const [aiSummary, setAiSummary] = useState(null);
+  // AI Summary (saved, so it can be compared with earlier ones)
   const [summaryLoading, setSummaryLoading] = useState(false);
   const [summaryError, setSummaryError] = useState(null);
+  const latestSummary = summaries[0] || null;
+  const comparedSummary = summaries.find(s => s.id === compareSummaryId)
+    || findComparisonSummary(summaries, latestSummary);
 
   const handleSummarize = async () => {
     setSummaryLoading(true);
     setSummaryError(null);
     try {
-      const summary = await summarizeProject(project);
-      setAiSummary(summary);
+      const summary = await summarizeProject(project, { owner, categories });
+      const { error } = await addSummary({ summary, stats: projectTaskStats(project.tasks) });
+      if (error) throw error;
+      setCompareSummaryId(null);
     } catch (err) {
       setSummaryError(err.message);
     } finally {
@@ -775,6 +803,7 @@ function OverviewTab({ project, editing, editData, setEditData, onEdit, onSave,
     else if (field === 'hours_estimate') update.hours_estimate = val ? parseFloat(val) : null;
     else if (field === 'category') update.category = val || null;
     else if (field === 'client') update.client = val || null;
+    else if (field === 'aliases') update.aliases = val.split(',').map(a => a.trim()).filter(Boolean);
     else if (field === 'drive_folder_url') update.drive_folder_url = val || null;
     await onUpdate(project.id, update);
     setEditingField(null);
@@ -818,7 +847,7 @@ function OverviewTab({ project, editing, editData, setEditData, onEdit, onSave,
             disabled={summaryLoading}
             className="text-xs text-primary hover:opacity-90 font-medium disabled:opacity-50"
           >
-            {summaryLoading ? 'Analyzing...' : aiSummary ? 'Refresh' : 'Summarize'}
+            {summaryLoading ? 'Analyzing...' : latestSummary ? 'Refresh' : 'Summarize'}
           </button>
         </div>
         {summaryLoading && (
@@ -830,10 +859,34 @@ function OverviewTab({ project, editing, editData, setEditData, onEdit, onSave,
         {summaryError && (
           <p className="text-sm text-red-400">{summaryError}</p>
         )}
-        {aiSummary && !summaryLoading && (
-          <p className="text-sm text-surface-on-variant whitespace-pre-wrap">{aiSummary}</p>
+        {latestSummary && !summaryLoading && (
+          <div className="space-y-3">
+            <SummaryEntry entry={latestSummary} />
+            {comparedSummary && (
+              <div className="pt-3 border-t border-outline-variant">
+                <div className="flex items-center gap-2 mb-1">
+                  <span className="text-xs font-medium text-outline uppercase tracking-wide">Compare with</span>
+                  <select
+                    value={comparedSummary.id}
+                    onChange={(e) => setCompareSummaryId(e.target.value)}
+                    className="text-xs px-1.5 py-0.5 border border-outline-variant rounded-md bg-transparent"
+                  >
+                    {summaries.slice(1).map(s => (
+                      <option key={s.id} value={s.id}>
+                        {formatDate(s.created_at)}{s.source === 'digest' ? ' (weekly digest)' : ''}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <SummaryEntry entry={comparedSummary} muted />
+                <p className="text-xs text-outline mt-1">
+                  Since then: {describeStats(latestSummary.stats, comparedSummary.stats)}
+                </p>
+              </div>
+            )}
+          </div>
         )}
-        {!aiSummary && !summaryLoading && !summaryError && (
+        {!latestSummary && !summaryLoading && !summaryError && (
           <p className="text-sm text-outline italic">Click "Summarize" to get an AI analysis of this project's status.</p>
         )}
       </Card>
@@ -849,7 +902,7 @@ function OverviewTab({ project, editing, editData, setEditData, onEdit, onSave,
               type="text"
               value={newTaskTitle}
               onChange={(e) => setNewTaskTitle(e.target.value)}
-              placeholder="Add a task..."
+              placeholder="Add a task... (fri !high @category)"
               className="flex-1 px-3 py-2 border border-outline rounded-md focus:ring-2 focus:ring-primary focus:border-primary text-sm"
               disabled={addingTask}
             />
@@ -861,6 +914,7 @@ function OverviewTab({ project, editing, editData, setEditData, onEdit, onSave,
               Add
             </button>
           </div>
+          <QuickEntryPreview parsed={newTaskParsed} className="mt-2" />
           {newTaskTitle.trim() && (
             <div className="flex items-center gap-3 mt-2">
               <input
@@ -1128,6 +1182,36 @@ function OverviewTab({ project, editing, editData, setEditData, onEdit, onSave,
             )}
           </Card>
 
+          {/* Critical path — only worth showing once tasks depend on each other */}
+          {criticalPath.length > 1 && (
+            <Card className="p-4">
+              <h3 className="font-semibold text-surface-on mb-1">Critical path</h3>
+              <p className="text-xs text-outline mb-3">
+                {nextMilestone
+                  ? `To ${nextMilestone.title} · ${formatDate(nextMilestone.date)}`
+                  : 'Longest chain of blocked tasks'}
+              </p>
+              <ol className="space-y-1">
+                {criticalPath.map((task, idx) => {
+                  const days = task.due_date ? daysUntil(task.due_date) : null;
+                  return (
+                    <li key={task.id}>
+                      {idx > 0 && <div className="text-xs text-outline pl-1">↓</div>}
+                      <div className="flex items-center gap-2 text-sm">
+                        <span className="flex-1 min-w-0 truncate text-surface-on">{task.title}</span>
+                        {task.due_date && (
+                          <span className={`text-xs flex-shrink-0 ${days < 0 ? 'text-red-400' : 'text-surface-on-variant'}`}>
+                            {days < 0 ? `${Math.abs(days)}d overdue` : formatDate(task.due_date)}
+                          </span>
+                        )}
+                      </div>
+                    </li>
+                  );
+                })}
+              </ol>
+            </Card>
+          )}
+
           {/* Details (inline editable) */}
           <Card className="p-4">
             <h3 className="font-semibold text-surface-on mb-3">Details</h3>
@@ -1180,6 +1264,29 @@ function OverviewTab({ project, editing, editData, setEditData, onEdit, onSave,
                 </dd>
               </div>
 
+              {/* Aliases (other names used in meeting notes) */}
+              <div className="flex justify-between items-center py-1">
+                <dt className="text-surface-on-variant">Aliases</dt>
+                <dd>
+                  {editingField === 'aliases' ? (
+                    <input
+                      type="text"
+                      value={fieldValue}
+                      onChange={(e) => setFieldValue(e.target.value)}
+                      onBlur={() => saveField('aliases')}
+                      onKeyDown={(e) => e.key === 'Enter' && saveField('aliases')}
+                      className="text-sm px-2 py-0.5 border border-outline-variant rounded-md focus:ring-1 focus:ring-primary w-36 text-right"
+                      placeholder="Comma-separated"
+                      autoFocus
+                    />
+                  ) : (
+                    <button onClick={() => startEditField('aliases', (project.aliases || []).join(', '))} className="font-medium hover:bg-surface-container-high rounded px-1 -mx-1 transition-colors text-right">
+                      {project.aliases?.length > 0 ? project.aliases.join(', ') : <span className="text-outline">—</span>}
+                    </button>
+                  )}
+                </dd>
+              </div>
+
               {/* Phase */}
               <div className="flex justify-between items-center py-1">
                 <dt className="text-surface-on-variant">Phase</dt>
@@ -1358,6 +1465,20 @@ function OverviewTab({ project, editing, editData, setEditData, onEdit, onSave,
   );
 }
 
+// A saved AI summary with when it was written and the task counts at the time
+function SummaryEntry({ entry, muted }) {
+  return (
+    <div>
+      <p className={`text-sm whitespace-pre-wrap ${muted ? 'text-outline' : 'text-surface-on-variant'}`}>{entry.summary}</p>
+      <p className="text-xs text-outline mt-1">
+        {formatDate(entry.created_at)}
+        {entry.source === 'digest' && ' · weekly digest'}
+        {entry.stats && ` · ${describeStats(entry.stats)}`}
+      </p>
+    </div>
+  );
+}
+
 // Compact inline task item for the overview dashboard
 function InlineTaskItem({ task, onToggle, onDelete }) {
   const isDone = task.status === 'done';
@@ -1462,9 +1583,14 @@ function kanbanCollision(args) {
 
 function TasksTab({ tasks, projectId }) {
   const { addTask, updateTask, deleteTask } = useTasks();
+  const { activeProjects } = useProjects();
+  const { categories } = useTaskCategories();
   const [newTaskTitle, setNewTaskTitle] = useState('');
   const [newTaskDueDate, setNewTaskDueDate] = useState('');
   const [newTaskPriority, setNewTaskPriority] = useState('');
+  const newTaskParsed = useMemo(() =>
+    parseQuickEntry(newTaskTitle, { projects: activeProjects, categories }),
+  [newTaskTitle, activeProjects, categories]);
   const [adding, setAdding] = useState(false);
   const [activeId, setActiveId] = useState(null);
   // Temporary column assignments during drag (null when not dragging)
@@ -1599,10 +1725,12 @@ function TasksTab({ tasks, projectId }) {
     setAdding(true);
     try {
       await addTask({
-        title: newTaskTitle.trim(),
-        project_id: projectId,
-        due_date: newTaskDueDate || null,
-        priority: newTaskPriority || null,
+        title: newTaskParsed.title || newTaskTitle.trim(),
+        project_id: newTaskParsed.project_id || projectId,
+        due_date: newTaskDueDate || newTaskParsed.due_date,
+        priority: newTaskPriority || newTaskParsed.priority,
+        energy: newTaskParsed.energy,
+        tags: newTaskParsed.tags,
         status: 'todo',
         is_mine: true,
       });
@@ -1640,7 +1768,7 @@ function TasksTab({ tasks, projectId }) {
             type="text"
             value={newTaskTitle}
             onChange={(e) => setNewTaskTitle(e.target.value)}
-            placeholder="Add a next step..."
+            placeholder="Add a next step... (fri !high @category)"
             className="flex-1 px-3 py-2 border border-outline rounded-md focus:ring-2 focus:ring-primary focus:border-primary"
             disabled={adding}
           />
@@ -1648,6 +1776,7 @@ function TasksTab({ tasks, projectId }) {
             {adding ? '...' : 'Add'}
           </Button>
         </div>
+        <QuickEntryPreview parsed={newTaskParsed} />
         <div className="flex items-center gap-3 flex-wrap">
           <input
             type="date"
@@ -1800,8 +1929,14 @@ function ParseTab({ projectId, projectName, onUpdate, project }) {
   const [error, setError] = useState(null);
   const [createdItems, setCreatedItems] = useState(new Set());
   const [parseMethod, setParseMethod] = useState(null);
+  const [taskDiff, setTaskDiff] = useState([]); // [{ status, task, existing, changes }]
+  const [archiveId, setArchiveId] = useState(null); // notes_archive row new tasks link back to
+  const [archiveError, setArchiveError] = useState(null);
 
-  const { addTask } = useTasks();
+  const { addTask, updateTask } = useTasks();
+  const { addNotesArchive } = useNotesArchive();
+  const { owner } = useOwner();
+  const { categories } = useTaskCategories();
 
   const handleParse = async () => {
     if (!noteText.trim()) return;
@@ -1812,17 +1947,24 @@ function ParseTab({ projectId, projectName, onUpdate, project }) {
     try {
       let result;
       if (isStructuredFormat(noteText)) {
-        result = parseStructuredNotes(noteText);
+        result = parseStructuredNotes(noteText, { owner, categories });
         setParseMethod('structured');
       } else {
-        const normalizedText = await normalizeWithLLM(noteText);
-        if (!normalizedText || normalizedText.includes('No tasks found.')) {
-          result = { tasks: [], project_updates: [] };
-        } else {
-          result = parseStructuredNotes(normalizedText);
-        }
+        ({ result } = await normalizeAndParse(noteText, { owner, categories }));
         setParseMethod('freeform');
       }
+      // Archive before showing results, so created tasks get a source_note_id
+      const { data: archive, error: saveError } = await addNotesArchive({
+        raw_text: noteText,
+        parsed_data: result,
+        title: `${projectName} notes`,
+        parser_version: PARSER_VERSION,
+      });
+      setArchiveId(archive?.id ?? null);
+      setArchiveError(saveError ? `Notes weren't archived, so new tasks won't link back to them: ${saveError.message}` : null);
+
+      // Classify against the project's tasks once, so applying changes doesn't reshuffle the list
+      setTaskDiff(diffParsedTasks(result.tasks || [], project.tasks || []));
       setParsedData(result);
     } catch (err) {
       console.error('Failed to parse notes:', err);
@@ -1839,6 +1981,24 @@ function ParseTab({ projectId, projectName, onUpdate, project }) {
     setError(null);
     setCreatedItems(new Set());
     setParseMethod(null);
+    setTaskDiff([]);
+    setArchiveId(null);
+    setArchiveError(null);
+  };
+
+  // Load the project's open backlog as structured text for editing + re-import
+  const handleLoadBacklog = () => {
+    const openTasks = (project.tasks || [])
+      .filter(t => t.status !== 'done')
+      .map(t => ({ ...t, project_name: projectName }));
+    setNoteText(serializeStructuredNotes({
+      tasks: openTasks,
+      project_updates: [{
+        project_name: projectName,
+        scope: project.scope,
+        milestones: (project.milestones || []).filter(m => !m.completed),
+      }],
+    }, { categories }));
   };
 
   const handleCreateTask = async (task, index) => {
@@ -1848,9 +2008,12 @@ function ParseTab({ projectId, projectName, onUpdate, project }) {
         subtitle: task.subtitle || null,
         status: 'todo',
         priority: task.priority || '',
-        is_mine: true,
+        assignee: task.assignee || owner.name,
+        is_mine: task.is_mine ?? true,
         due_date: task.due_date || null,
+        checklist: task.checklist || [],
         project_id: projectId,
+        source_note_id: archiveId,
       });
       setCreatedItems(prev => new Set([...prev, `task-${index}`]));
     } catch (err) {
@@ -1858,6 +2021,36 @@ function ParseTab({ projectId, projectName, onUpdate, project }) {
     }
   };
 
+  const handleUpdateExistingTask = async (entry, index) => {
+    try {
+      await updateTask(entry.existing.id, entry.changes);
+      setCreatedItems(prev => new Set([...prev, `task-${index}`]));
+    } catch (err) {
+      console.error('Failed to update task:', err);
+    }
+  };
+
+  const handleApplyTaskChange = (entry, index) =>
+    entry.status === 'new'
+      ? handleCreateTask(entry.task, index)
+      : handleUpdateExistingTask(entry, index);
+
+  const handleApplyAllTaskChanges = async () => {
+    for (let i = 0; i < taskDiff.length; i++) {
+      if (taskDiff[i].status !== 'unchanged' && !createdItems.has(`task-${i}`)) {
+        await handleApplyTaskChange(taskDiff[i], i);
+      }
+    }
+  };
+
+  const diffCounts = taskDiff.reduce((acc, entry) => {
+    acc[entry.status] = (acc[entry.status] || 0) + 1;
+    return acc;
+  }, {});
+  const pendingChanges = taskDiff.filter((entry, i) =>
+    entry.status !== 'unchanged' && !createdItems.has(`task-${i}`)
+  ).length;
+
   const handleApplyProjectUpdate = async (update, index) => {
     try {
       const updates = {};
@@ -1896,9 +2089,14 @@ function ParseTab({ projectId, projectName, onUpdate, project }) {
             disabled={isParsing}
           />
           {error && <p className="text-sm text-red-600">{error}</p>}
-          <Button onClick={handleParse} disabled={isParsing || !noteText.trim()}>
-            {isParsing ? 'Parsing...' : 'Parse Notes'}
-          </Button>
+          <div className="flex gap-2">
+            <Button onClick={handleParse} disabled={isParsing || !noteText.trim()}>
+              {isParsing ? 'Parsing...' : 'Parse Notes'}
+            </Button>
+            <Button variant="secondary" onClick={handleLoadBacklog} disabled={isParsing}>
+              Edit Backlog as Text
+            </Button>
+          </div>
         </Card>
       )}
 
@@ -1909,22 +2107,38 @@ function ParseTab({ projectId, projectName, onUpdate, project }) {
               <h3 className="font-semibold text-surface-on">Parsed Results</h3>
               <p className="text-xs text-outline">
                 {parseMethod === 'structured' ? 'Deterministic parse' : 'AI-assisted parse'}
-                {' \u2022 '}{parsedData.tasks?.length || 0} tasks found
+                {' \u2022 '}{diffCounts.new || 0} new, {diffCounts.updated || 0} updated, {diffCounts.unchanged || 0} unchanged
               </p>
             </div>
             <Button variant="secondary" onClick={handleClear}>Parse New</Button>
           </div>
+          {archiveError && <p className="text-sm text-red-600">{archiveError}</p>}
 
-          {parsedData.tasks?.length > 0 && (
+          {taskDiff.length > 0 && (
             <Card className="p-4 space-y-3">
-              <h4 className="text-sm font-medium text-surface-on">Tasks</h4>
-              {parsedData.tasks.map((task, i) => {
-                const isCreated = createdItems.has(`task-${i}`);
+              <div className="flex items-center justify-between">
+                <h4 className="text-sm font-medium text-surface-on">Tasks</h4>
+                {pendingChanges > 0 && (
+                  <Button onClick={handleApplyAllTaskChanges} className="text-xs">
+                    Apply {pendingChanges} Change{pendingChanges !== 1 ? 's' : ''}
+                  </Button>
+                )}
+              </div>
+              {taskDiff.map((entry, i) => {
+                const { task, status } = entry;
+                const isApplied = createdItems.has(`task-${i}`);
+                const isUnchanged = status === 'unchanged';
                 return (
-                  <div key={i} className={`p-3 rounded-md border ${isCreated ? 'bg-green-500/10 border-green-500/25' : 'border-outline-variant'}`}>
+                  <div key={i} className={`p-3 rounded-md border ${
+                    isApplied ? 'bg-green-500/10 border-green-500/25' :
+                    isUnchanged ? 'border-outline-variant opacity-60' : 'border-outline-variant'
+                  }`}>
                     <div className="flex items-start justify-between gap-2">
                       <div className="flex-1">
-                        <p className="font-medium text-surface-on text-sm">{task.title}</p>
+                        <div className="flex items-center gap-2">
+                          <p className="font-medium text-surface-on text-sm">{task.title}</p>
+                          <DiffBadge status={status} />
+                        </div>
                         {task.subtitle && <p className="text-xs text-surface-on-variant mt-1">{task.subtitle}</p>}
                         <div className="flex gap-2 mt-1">
                           {task.priority && (
@@ -1936,11 +2150,26 @@ function ParseTab({ projectId, projectName, onUpdate, project }) {
                           )}
                           {task.due_date && <span className="text-xs text-outline">Due: {formatDate(task.due_date)}</span>}
                         </div>
+                        {status === 'updated' && (
+                          <div className="mt-2 space-y-0.5">
+                            {Object.entries(entry.changes).map(([field, value]) => (
+                              <p key={field} className="text-xs text-surface-on-variant">
+                                <span className="font-medium">{DIFF_FIELD_LABELS[field]}:</span>{' '}
+                                <span className="line-through text-outline">{entry.existing[field] || 'none'}</span>
+                                {' \u2192 '}{value}
+                              </p>
+                            ))}
+                          </div>
+                        )}
                       </div>
-                      {isCreated ? (
-                        <span className="text-xs text-green-400 font-medium">Created</span>
-                      ) : (
-                        <Button onClick={() => handleCreateTask(task, i)} className="text-xs">Add Task</Button>
+                      {isApplied ? (
+                        <span className="text-xs text-green-400 font-medium">
+                          {status === 'new' ? 'Created' : 'Updated'}
+                        </span>
+                      ) : !isUnchanged && (
+                        <Button onClick={() => handleApplyTaskChange(entry, i)} className="text-xs">
+                          {status === 'new' ? 'Add Task' : 'Apply Update'}
+                        </Button>
                       )}
                     </div>
                   </div>
@@ -1998,6 +2227,25 @@ function ParseTab({ projectId, projectName, onUpdate, project }) {
   );
 }
 
+const DIFF_FIELD_LABELS = {
+  due_date: 'Due',
+  priority: 'Priority',
+  subtitle: 'Notes',
+};
+
+function DiffBadge({ status }) {
+  const styles = {
+    new: 'bg-blue-500/15 text-blue-400',
+    updated: 'bg-amber-500/15 text-amber-400',
+    unchanged: 'bg-surface-container-high text-surface-on-variant',
+  };
+  return (
+    <span className={`text-xs px-1.5 py-0.5 rounded ${styles[status]}`}>
+      {status}
+    </span>
+  );
+}
+
 function StatusBadge({ status }) {
   const styles = {
     active: 'bg-blue-500/15 text-blue-400',
@@ -2025,6 +2273,8 @@ function StatusBadge({ status }) {
 }
 
 function NewProjectSheet({ isOpen, onClose, onSave }) {
+  const { owner } = useOwner();
+  const { categories } = useTaskCategories();
   const [formData, setFormData] = useState({
     name: '',
     client: '',
@@ -2051,7 +2301,7 @@ function NewProjectSheet({ isOpen, onClose, onSave }) {
     setParseError(null);
 
     try {
-      const parsed = await parseForNewProject(pasteText);
+      const parsed = await parseForNewProject(pasteText, { owner, categories });
       if (!parsed) return;
 
       // Auto-fill form fields (only overwrite if parsed value is non-empty)
@@ -2,6 +2,7 @@ import { useState, useEffect, useRef } from 'react';
 import { AddExpenseSheet } from './AddExpenseSheet';
 import { AddIncomeSheet } from './AddIncomeSheet';
 import { AddTaskSheet } from './AddTaskSheet';
+import { isTypingTarget } from '@/lib/utils';
 
 export function QuickActionFAB() {
   const [isOpen, setIsOpen] = useState(false);
@@ -39,6 +40,19 @@ export function QuickActionFAB() {
     return () => document.removeEventListener('keydown', handleEscape);
   }, []);
 
+  // "q" opens a new task from anywhere you aren't typing
+  useEffect(() => {
+    const handleShortcut = (e) => {
+      if (e.key !== 'q' || e.metaKey || e.ctrlKey || e.altKey || isTypingTarget(e.target)) return;
+      e.preventDefault();
+      setIsOpen(false);
+      setActiveSheet(current => current || 'task');
+    };
+
+    document.addEventListener('keydown', handleShortcut);
+    return () => document.removeEventListener('keydown', handleShortcut);
+  }, []);
+
   const handleAction = (action) => {
     setIsOpen(false);
     setActiveSheet(action);
@@ -47,7 +61,7 @@ export function QuickActionFAB() {
   const actions = [
     { id: 'expense', label: 'Add Expense', icon: '💳', color: 'bg-red-500' },
     { id: 'income', label: 'Add Income', icon: '💰', color: 'bg-green-500' },
-    { id: 'task', label: 'Add Task', icon: '📋', color: 'bg-blue-500' },
+    { id: 'task', label: 'Add Task', icon: '📋', color: 'bg-blue-500', shortcut: 'Q' },
   ];
 
   return (
@@ -68,6 +82,9 @@ export function QuickActionFAB() {
                 >
                   <span className="text-xl">{action.icon}</span>
                   <span className="text-sm font-medium text-surface-on">{action.label}</span>
+                  {action.shortcut && (
+                    <kbd className="ml-auto text-[11px] text-outline font-mono">{action.shortcut}</kbd>
+                  )}
                 </button>
               ))}
             </div>
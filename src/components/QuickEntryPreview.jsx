@@ -0,0 +1,52 @@
+import { useTaskCategories } from '@/hooks/useTaskCategories';
+import { getTaskCategory } from '@/lib/task-categories';
+import { hasQuickEntryFields } from '@/lib/quick-entry';
+import { formatDate } from '@/lib/utils';
+
+/**
+ * Quick Entry Preview
+ * What parseQuickEntry read from the line, as chips under the input.
+ */
+
+const PRIORITY_STYLES = {
+  high: 'bg-red-500/15 text-red-400',
+  medium: 'bg-amber-500/15 text-amber-400',
+  low: 'bg-green-500/15 text-green-400',
+};
+
+const chip = 'inline-flex items-center px-1.5 py-0.5 text-[11px] font-medium rounded';
+
+export function QuickEntryPreview({ parsed, showTitle = false, className = '' }) {
+  const { categories } = useTaskCategories();
+  if (!hasQuickEntryFields(parsed)) return null;
+  const category = getTaskCategory(parsed.energy, categories);
+
+  return (
+    <div className={`flex flex-wrap items-center gap-1 ${className}`}>
+      {showTitle && parsed.title && (
+        <span className="text-xs text-surface-on mr-1">{parsed.title}</span>
+      )}
+      {parsed.due_date && (
+        <span className={`${chip} bg-surface-container-high text-surface-on-variant`} title={parsed.dateText}>
+          📅 {formatDate(parsed.due_date)}
+        </span>
+      )}
+      {parsed.priority && (
+        <span className={`${chip} ${PRIORITY_STYLES[parsed.priority]} capitalize`}>{parsed.priority}</span>
+      )}
+      {parsed.project && (
+        <span className={`${chip} bg-primary-container text-primary-on-container`}>📁 {parsed.project.name}</span>
+      )}
+      {category && (
+        <span className={chip} style={{ backgroundColor: `${category.color}20`, color: category.color }}>
+          {category.icon && `${category.icon} `}{category.label}
+        </span>
+      )}
+      {parsed.tags.map(tag => (
+        <span key={tag.label} className={chip} style={{ backgroundColor: `${tag.color}20`, color: tag.color }}>
+          #{tag.label}
+        </span>
+      ))}
+    </div>
+  );
+}
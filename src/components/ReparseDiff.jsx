@@ -0,0 +1,78 @@
+/**
+ * Reparse Diff
+ * Shows what changed between an archived parse and a fresh re-parse
+ * (output of diffParsedResults from the notes parser)
+ */
+
+const COLLECTION_LABELS = {
+  tasks: 'Tasks',
+  projects: 'Projects',
+  project_updates: 'Project Updates',
+  opportunities: 'Deals',
+  contacts: 'Contacts',
+  time_entries: 'Time Entries',
+};
+
+const KEY_FIELDS = {
+  tasks: 'title',
+  projects: 'name',
+  project_updates: 'project_name',
+  opportunities: 'name',
+  contacts: 'name',
+  time_entries: 'notes',
+};
+
+export function ReparseDiff({ diff }) {
+  if (!diff) return null;
+
+  if (diff.total === 0) {
+    return (
+      <p className="text-sm text-surface-on-variant">
+        No differences — the current parser gives the same result.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      {Object.entries(COLLECTION_LABELS).map(([collection, label]) => {
+        const entry = diff[collection];
+        if (!entry || entry.added.length + entry.removed.length + entry.changed.length === 0) return null;
+        const keyField = KEY_FIELDS[collection];
+
+        return (
+          <div key={collection} className="space-y-1">
+            <h5 className="text-xs font-bold text-surface-on-variant uppercase tracking-wide">{label}</h5>
+            {entry.added.map((item, i) => (
+              <div key={`added-${i}`} className="text-green-400">+ {item[keyField]}</div>
+            ))}
+            {entry.removed.map((item, i) => (
+              <div key={`removed-${i}`} className="text-red-400 line-through">− {item[keyField]}</div>
+            ))}
+            {entry.changed.map(({ before, after, fields }, i) => (
+              <div key={`changed-${i}`} className="text-surface-on">
+                ~ {after[keyField]}
+                <ul className="ml-4 text-xs text-surface-on-variant">
+                  {fields.map(field => (
+                    <li key={field}>
+                      {field}: <span className="line-through text-outline">{formatValue(before[field])}</span>
+                      {' → '}
+                      {formatValue(after[field])}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.length === 0 ? '—' : `${value.length} item${value.length !== 1 ? 's' : ''}`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
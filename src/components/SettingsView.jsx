@@ -0,0 +1,309 @@
+import { useState, useMemo } from 'react';
+import { usePromptTemplates } from '@/hooks/usePromptTemplates';
+import { useTaskCategories } from '@/hooks/useTaskCategories';
+import { useProjects } from '@/contexts/ProjectsContext';
+import { useTasks } from '@/contexts/TasksContext';
+import { useOwner } from '@/hooks/useOwner';
+import { useNotesArchive, useIgnoredItems } from '@/hooks/useNotesArchive';
+import {
+  DEFAULT_PROMPT_TEMPLATES,
+  PROMPT_KEYS,
+  PROMPT_VARIABLES,
+  buildPromptVariables,
+  renderPromptTemplate,
+  findUnknownVariables,
+} from '@/lib/prompt-templates';
+import { normalizeAndParse, parseForNewProject, summarizeProject, diffParsedResults } from '@/lib/note-parser';
+import { toIgnoredExamples } from '@/lib/note-records';
+import { ReparseDiff } from '@/components/ReparseDiff';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { formatDate } from '@/lib/utils';
+
+export function SettingsView({ onNavigate }) {
+  const { activeTemplates, error, versionsFor, saveTemplate, activateVersion } = usePromptTemplates();
+  const [selectedKey, setSelectedKey] = useState(PROMPT_KEYS[0]);
+  const [draft, setDraft] = useState(null); // null until edited: shows the active body
+  const [note, setNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const template = DEFAULT_PROMPT_TEMPLATES[selectedKey];
+  const active = activeTemplates[selectedKey] || null;
+  const activeBody = active?.body || template.body;
+  const text = draft ?? activeBody;
+  const versions = versionsFor(selectedKey);
+  const nextVersion = (versions[0]?.version || 0) + 1;
+  const unknownVariables = useMemo(() => findUnknownVariables(text), [text]);
+
+  const handleSelectKey = (key) => {
+    setSelectedKey(key);
+    setDraft(null);
+    setNote('');
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    const { error: saveError } = await saveTemplate(selectedKey, text, note);
+    setSaving(false);
+    if (saveError) {
+      alert(`Failed to save template: ${saveError.message}`);
+      return;
+    }
+    setDraft(null);
+    setNote('');
+  };
+
+  // Rollback: make an earlier version (or the built-in prompt, id null) active
+  const handleActivate = async (id, label) => {
+    if (!window.confirm(`Use ${label} of "${template.label}" from now on?`)) return;
+    const { error: activateError } = await activateVersion(selectedKey, id);
+    if (activateError) {
+      alert(`Failed to switch version: ${activateError.message}`);
+      return;
+    }
+    setDraft(null);
+  };
+
+  return (
+    <div className="space-y-6 pb-20 animate-in fade-in duration-500">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-surface-on tracking-tight">Settings</h2>
+          <p className="text-surface-on-variant mt-1">Prompt templates for the notes parser and AI summaries.</p>
+        </div>
+        <Button variant="secondary" onClick={() => onNavigate?.('ai-notes')}>
+          ← Back to Parse
+        </Button>
+      </div>
+
+      {error && (
+        <Card className="p-4 text-sm text-surface-on-variant">
+          Saved versions are unavailable ({error}). Run the prompt templates migration (016) to edit templates.
+        </Card>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+        {/* Templates */}
+        <Card className="p-2 md:col-span-1 h-fit">
+          {PROMPT_KEYS.map(key => (
+            <button
+              key={key}
+              onClick={() => handleSelectKey(key)}
+              className={`w-full text-left px-3 py-2 rounded-md text-sm transition-colors ${
+                key === selectedKey
+                  ? 'bg-primary-container text-primary-on-container'
+                  : 'text-surface-on-variant hover:bg-surface-container-high'
+              }`}
+            >
+              <div className="font-medium">{DEFAULT_PROMPT_TEMPLATES[key].label}</div>
+              <div className="text-xs text-outline">
+                {activeTemplates[key] ? `v${activeTemplates[key].version}` : 'Built-in'}
+              </div>
+            </button>
+          ))}
+        </Card>
+
+        <div className="md:col-span-3 space-y-4">
+          {/* Editor */}
+          <Card className="p-6 space-y-4">
+            <div>
+              <h3 className="text-lg font-semibold text-surface-on">{template.label}</h3>
+              <p className="text-sm text-surface-on-variant mt-1">{template.description}</p>
+            </div>
+
+            <textarea
+              value={text}
+              onChange={(e) => setDraft(e.target.value)}
+              rows={18}
+              spellCheck={false}
+              className="w-full px-3 py-2 text-xs font-mono border border-outline-variant rounded-md bg-surface-container-lowest text-surface-on"
+            />
+
+            <div className="text-xs text-surface-on-variant space-y-1">
+              {Object.entries(PROMPT_VARIABLES).map(([name, description]) => (
+                <div key={name}>
+                  <code className="text-primary">{`{{${name}}}`}</code> — {description}
+                </div>
+              ))}
+            </div>
+
+            {unknownVariables.length > 0 && (
+              <p className="text-sm text-amber-400">
+                Unknown variables (sent as written): {unknownVariables.map(name => `{{${name}}}`).join(', ')}
+              </p>
+            )}
+
+            <div className="flex flex-col sm:flex-row gap-2">
+              <input
+                type="text"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                placeholder="What changed? (optional)"
+                className="flex-1 px-3 py-2 text-sm border border-outline-variant rounded-md"
+              />
+              {draft !== null && (
+                <Button variant="secondary" onClick={() => setDraft(null)}>
+                  Discard
+                </Button>
+              )}
+              <Button onClick={handleSave} disabled={saving || !!error || !text.trim() || text === activeBody}>
+                {saving ? 'Saving...' : `Save as v${nextVersion}`}
+              </Button>
+            </div>
+          </Card>
+
+          {/* Version history */}
+          <Card className="p-6">
+            <h3 className="text-sm font-medium text-surface-on mb-3">Versions</h3>
+            <div className="space-y-2">
+              {versions.map(version => (
+                <VersionRow
+                  key={version.id}
+                  label={`v${version.version}`}
+                  detail={[version.note, formatDate(version.created_at)].filter(Boolean).join(' · ')}
+                  isActive={version.is_active}
+                  onLoad={() => setDraft(version.body)}
+                  onActivate={() => handleActivate(version.id, `v${version.version}`)}
+                />
+              ))}
+              <VersionRow
+                label="Built-in"
+                detail="The prompt shipped with the app"
+                isActive={!active}
+                onLoad={() => setDraft(template.body)}
+                onActivate={() => handleActivate(null, 'the built-in version')}
+              />
+            </div>
+          </Card>
+
+          <PromptPreview key={selectedKey} templateKey={selectedKey} body={text} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function VersionRow({ label, detail, isActive, onLoad, onActivate }) {
+  return (
+    <div className="flex items-center gap-3 px-3 py-2 bg-surface-container-high rounded-md text-sm">
+      <span className="font-medium text-surface-on">{label}</span>
+      {isActive && (
+        <span className="text-xs px-2 py-0.5 rounded-full bg-primary-container text-primary-on-container">Active</span>
+      )}
+      <span className="flex-1 text-xs text-outline truncate">{detail}</span>
+      <button onClick={onLoad} className="text-xs text-primary hover:underline font-medium">
+        Load
+      </button>
+      {!isActive && (
+        <button onClick={onActivate} className="text-xs text-primary hover:underline font-medium">
+          Roll back
+        </button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Prompt Preview
+ * Runs the template being edited (saved or not) against an archived note —
+ * or, for the summary template, a project — without changing anything.
+ */
+function PromptPreview({ templateKey, body }) {
+  const { owner } = useOwner();
+  const { categories } = useTaskCategories();
+  const { notesArchive } = useNotesArchive();
+  const { ignoredItems } = useIgnoredItems();
+  const { projects } = useProjects();
+  const { tasks } = useTasks();
+  const [sourceId, setSourceId] = useState('');
+  const [running, setRunning] = useState(false);
+  const [preview, setPreview] = useState(null); // { diff } | { json } | { summary }
+  const [previewError, setPreviewError] = useState(null);
+  const [showRendered, setShowRendered] = useState(false);
+
+  const usesProject = templateKey === 'summary';
+  const sources = usesProject ? projects : notesArchive;
+  const rendered = renderPromptTemplate(body, buildPromptVariables(owner, categories));
+
+  const handleRun = async () => {
+    const source = sources.find(s => s.id === sourceId);
+    if (!source) return;
+
+    setRunning(true);
+    setPreviewError(null);
+    try {
+      const options = { owner, categories, promptTemplate: body };
+      if (templateKey === 'normalize') {
+        const ignoredExamples = toIgnoredExamples(ignoredItems);
+        const { result: fresh } = await normalizeAndParse(source.raw_text, { ...options, ignoredExamples });
+        setPreview({ diff: diffParsedResults(source.parsed_data, fresh) });
+      } else if (templateKey === 'new-project') {
+        const parsed = await parseForNewProject(source.raw_text, options);
+        setPreview({ json: JSON.stringify(parsed, null, 2) });
+      } else {
+        const projectTasks = (tasks || []).filter(t => t.project_id === source.id);
+        const summary = await summarizeProject({ ...source, tasks: projectTasks }, options);
+        setPreview({ summary });
+      }
+    } catch (err) {
+      console.error('Prompt preview failed:', err);
+      setPreviewError(err.message);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  return (
+    <Card className="p-6 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-medium text-surface-on">Preview</h3>
+        <button
+          onClick={() => setShowRendered(!showRendered)}
+          className="text-xs text-primary hover:underline font-medium"
+        >
+          {showRendered ? 'Hide rendered prompt' : 'Show rendered prompt'}
+        </button>
+      </div>
+
+      {showRendered && (
+        <pre className="max-h-64 overflow-auto p-3 text-xs whitespace-pre-wrap bg-surface-container-high rounded-md text-surface-on-variant">
+          {rendered}
+        </pre>
+      )}
+
+      <div className="flex flex-col sm:flex-row gap-2">
+        <select
+          value={sourceId}
+          onChange={(e) => setSourceId(e.target.value)}
+          className="flex-1 px-3 py-2 text-sm border border-outline-variant rounded-md"
+        >
+          <option value="">{usesProject ? 'Choose a project...' : 'Choose an archived note...'}</option>
+          {sources.map(source => (
+            <option key={source.id} value={source.id}>
+              {usesProject ? source.name : `${source.title || 'Untitled'} · ${formatDate(source.created_at)}`}
+            </option>
+          ))}
+        </select>
+        <Button onClick={handleRun} disabled={running || !sourceId || !body.trim()}>
+          {running ? 'Running...' : 'Test'}
+        </Button>
+      </div>
+
+      {templateKey === 'normalize' && (
+        <p className="text-xs text-outline">Compared with the result stored for the note.</p>
+      )}
+      {previewError && <p className="text-sm text-red-400">{previewError}</p>}
+
+      {preview?.diff && <ReparseDiff diff={preview.diff} />}
+      {preview?.json && (
+        <pre className="max-h-96 overflow-auto p-3 text-xs bg-surface-container-high rounded-md text-surface-on-variant">
+          {preview.json}
+        </pre>
+      )}
+      {preview?.summary && (
+        <p className="text-sm text-surface-on-variant whitespace-pre-wrap">{preview.summary}</p>
+      )}
+    </Card>
+  );
+}
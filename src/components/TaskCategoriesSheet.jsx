@@ -0,0 +1,154 @@
+import { useState } from 'react';
+import { Sheet } from '@/components/ui/Sheet';
+import { Button } from '@/components/ui/Button';
+import { useTaskCategories } from '@/hooks/useTaskCategories';
+
+const splitSynonyms = (text) => text.split(',').map(s => s.trim()).filter(Boolean);
+
+/**
+ * Task Categories Sheet
+ * Add, rename, recolor and delete task categories. Synonyms are extra words
+ * the notes parser accepts for a category.
+ */
+export function TaskCategoriesSheet({ isOpen, onClose }) {
+  const { categories, addCategory, updateCategory, deleteCategory } = useTaskCategories();
+  const [newCategory, setNewCategory] = useState({ label: '', color: '#60a5fa', icon: '', synonyms: '' });
+  const [saving, setSaving] = useState(false);
+
+  // The built-in list is shown until the task_categories table has rows
+  const usingDefaults = categories.length > 0 && !categories[0].id;
+
+  const handleSave = async (category, updates) => {
+    const { error } = await updateCategory(category.id, updates);
+    if (error) alert(`Failed to update category: ${error.message}`);
+  };
+
+  const handleDelete = async (category) => {
+    if (!window.confirm(`Delete "${category.label}"? Tasks in it will show as uncategorized.`)) return;
+    const { error } = await deleteCategory(category.id);
+    if (error) alert(`Failed to delete category: ${error.message}`);
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newCategory.label.trim()) return;
+
+    setSaving(true);
+    const { error } = await addCategory({
+      label: newCategory.label,
+      color: newCategory.color,
+      icon: newCategory.icon.trim(),
+      synonyms: splitSynonyms(newCategory.synonyms),
+    });
+    setSaving(false);
+    if (error) {
+      alert(`Failed to add category: ${error.message}`);
+      return;
+    }
+    setNewCategory({ label: '', color: newCategory.color, icon: '', synonyms: '' });
+  };
+
+  return (
+    <Sheet isOpen={isOpen} onClose={onClose} title="Task Categories">
+      <div className="space-y-4">
+        {usingDefaults && (
+          <p className="text-sm text-surface-on-variant">
+            Showing the built-in categories. Run the task categories migration (014) to edit them.
+          </p>
+        )}
+
+        <div className="space-y-3">
+          {categories.map(category => (
+            <div key={category.key} className="p-3 bg-surface-container-high rounded-md space-y-2">
+              <div className="flex items-center gap-2">
+                <input
+                  type="color"
+                  defaultValue={category.color}
+                  disabled={usingDefaults}
+                  onBlur={(e) => e.target.value !== category.color && handleSave(category, { color: e.target.value })}
+                  className="w-8 h-8 rounded border border-outline-variant bg-transparent cursor-pointer"
+                  title="Color"
+                />
+                <input
+                  type="text"
+                  defaultValue={category.icon || ''}
+                  disabled={usingDefaults}
+                  maxLength={4}
+                  placeholder="🏷️"
+                  onBlur={(e) => e.target.value !== (category.icon || '') && handleSave(category, { icon: e.target.value.trim() || null })}
+                  className="w-12 px-2 py-1 text-center border border-outline-variant rounded-md"
+                  title="Icon"
+                />
+                <input
+                  type="text"
+                  defaultValue={category.label}
+                  disabled={usingDefaults}
+                  onBlur={(e) => e.target.value.trim() && e.target.value !== category.label && handleSave(category, { label: e.target.value.trim() })}
+                  className="flex-1 px-2 py-1 text-sm font-medium border border-outline-variant rounded-md"
+                />
+                {!usingDefaults && (
+                  <button
+                    onClick={() => handleDelete(category)}
+                    className="text-xs text-red-400 hover:text-red-400 font-medium"
+                  >
+                    Delete
+                  </button>
+                )}
+              </div>
+              <input
+                type="text"
+                defaultValue={(category.synonyms || []).join(', ')}
+                disabled={usingDefaults}
+                placeholder="Synonyms, comma-separated"
+                onBlur={(e) => {
+                  const synonyms = splitSynonyms(e.target.value);
+                  if (synonyms.join(',') !== (category.synonyms || []).join(',')) handleSave(category, { synonyms });
+                }}
+                className="w-full px-2 py-1 text-xs border border-outline-variant rounded-md"
+              />
+            </div>
+          ))}
+        </div>
+
+        {!usingDefaults && (
+          <form onSubmit={handleAdd} className="pt-4 border-t border-outline-variant space-y-2">
+            <h3 className="text-sm font-medium text-surface-on">New Category</h3>
+            <div className="flex items-center gap-2">
+              <input
+                type="color"
+                value={newCategory.color}
+                onChange={(e) => setNewCategory({ ...newCategory, color: e.target.value })}
+                className="w-8 h-8 rounded border border-outline-variant bg-transparent cursor-pointer"
+              />
+              <input
+                type="text"
+                value={newCategory.icon}
+                maxLength={4}
+                placeholder="🏷️"
+                onChange={(e) => setNewCategory({ ...newCategory, icon: e.target.value })}
+                className="w-12 px-2 py-1 text-center border border-outline-variant rounded-md"
+              />
+              <input
+                type="text"
+                value={newCategory.label}
+                placeholder="Name"
+                onChange={(e) => setNewCategory({ ...newCategory, label: e.target.value })}
+                className="flex-1 px-2 py-1 text-sm border border-outline-variant rounded-md"
+              />
+            </div>
+            <input
+              type="text"
+              value={newCategory.synonyms}
+              placeholder="Synonyms, comma-separated"
+              onChange={(e) => setNewCategory({ ...newCategory, synonyms: e.target.value })}
+              className="w-full px-2 py-1 text-xs border border-outline-variant rounded-md"
+            />
+            <Button type="submit" disabled={saving || !newCategory.label.trim()} className="w-full">
+              {saving ? 'Adding...' : '+ Add Category'}
+            </Button>
+          </form>
+        )}
+      </div>
+    </Sheet>
+  );
+}
@@ -0,0 +1,98 @@
+import { useState } from 'react';
+
+/**
+ * Task Checklist
+ * Checklist items live on tasks.checklist as [{ text, done }] in display order.
+ */
+
+/** "2/5" with a progress bar; nothing when the task has no checklist */
+export function ChecklistProgress({ checklist, className = '' }) {
+  const total = checklist?.length || 0;
+  if (total === 0) return null;
+  const done = checklist.filter(item => item.done).length;
+
+  return (
+    <span className={`inline-flex items-center gap-1.5 font-medium ${done === total ? 'text-green-400' : 'text-outline'} ${className}`}>
+      <span className="w-10 h-1 rounded-full bg-surface-container-high overflow-hidden">
+        <span
+          className={`block h-full ${done === total ? 'bg-green-500' : 'bg-primary'}`}
+          style={{ width: `${(done / total) * 100}%` }}
+        />
+      </span>
+      {done}/{total}
+    </span>
+  );
+}
+
+/**
+ * Tick off, reorder, remove and add checklist items.
+ * onChange receives the whole new list; compact is for KanbanCard.
+ */
+export function ChecklistEditor({ checklist = [], onChange, compact = false }) {
+  const [newItem, setNewItem] = useState('');
+  const textSize = compact ? 'text-[10px]' : 'text-sm';
+
+  const toggle = (index) =>
+    onChange(checklist.map((item, i) => i === index ? { ...item, done: !item.done } : item));
+
+  const move = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= checklist.length) return;
+    const next = [...checklist];
+    [next[index], next[target]] = [next[target], next[index]];
+    onChange(next);
+  };
+
+  const removeItem = (index) => onChange(checklist.filter((_, i) => i !== index));
+
+  const addItem = () => {
+    if (!newItem.trim()) return;
+    onChange([...checklist, { text: newItem.trim(), done: false }]);
+    setNewItem('');
+  };
+
+  return (
+    <div className="space-y-1">
+      {checklist.map((item, i) => (
+        <div key={i} className={`group flex items-center gap-2 ${textSize}`}>
+          <button
+            type="button"
+            onClick={() => toggle(i)}
+            className={`w-4 h-4 flex-shrink-0 rounded border flex items-center justify-center ${
+              item.done ? 'bg-green-500 border-green-500 text-white' : 'border-outline hover:border-primary'
+            }`}
+          >
+            {item.done && (
+              <svg className="w-2.5 h-2.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={3} d="M5 13l4 4L19 7" />
+              </svg>
+            )}
+          </button>
+          <span className={`flex-1 min-w-0 ${item.done ? 'line-through text-outline' : 'text-surface-on'}`}>
+            {item.text}
+          </span>
+          <div className="flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity text-outline">
+            <button type="button" onClick={() => move(i, -1)} disabled={i === 0} className="hover:text-primary disabled:opacity-30" title="Move up">↑</button>
+            <button type="button" onClick={() => move(i, 1)} disabled={i === checklist.length - 1} className="hover:text-primary disabled:opacity-30" title="Move down">↓</button>
+            <button type="button" onClick={() => removeItem(i)} className="hover:text-red-400" title="Remove">×</button>
+          </div>
+        </div>
+      ))}
+      <input
+        type="text"
+        value={newItem}
+        onChange={(e) => setNewItem(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            addItem();
+          }
+        }}
+        placeholder="Add a checklist item..."
+        className={compact
+          ? 'w-full bg-surface-container-high border border-outline-variant rounded px-2 py-1 text-xs text-surface-on outline-none focus:border-primary'
+          : 'w-full px-3 py-2 text-sm border border-outline rounded-md focus:ring-2 focus:ring-primary focus:border-primary'}
+      />
+    </div>
+  );
+}
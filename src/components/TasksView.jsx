@@ -1,11 +1,14 @@
-import { useState, useMemo, useCallback, useEffect, useRef } from 'react';
+import { useState, useMemo, useCallback, useEffect, useRef, createContext, useContext } from 'react';
 import { useTasks } from '@/contexts/TasksContext';
 import { useProjects } from '@/contexts/ProjectsContext';
 import { Card } from '@/components/ui/Card';
 import { Button } from '@/components/ui/Button';
 import { Sheet } from '@/components/ui/Sheet';
 import { AddTaskSheet } from '@/components/AddTaskSheet';
-import { formatDate, daysUntil } from '@/lib/utils';
+import { ChecklistProgress, ChecklistEditor } from '@/components/TaskChecklist';
+import { TaskCategoriesSheet } from '@/components/TaskCategoriesSheet';
+import { useTaskCategories } from '@/hooks/useTaskCategories';
+import { formatDate, daysUntil, isTypingTarget } from '@/lib/utils';
 import {
   DndContext,
   DragOverlay,
@@ -23,6 +26,17 @@ import {
 import { CSS } from '@dnd-kit/utilities';
 import { useDroppable, useDraggable } from '@dnd-kit/core';
 import { CATEGORIES, CATEGORY_TONES } from '@/lib/categories';
+import { useNoteSource } from '@/hooks/useNotesArchive';
+import { findSourceExcerpt } from '@/lib/note-parser';
+import { getTaskCategory } from '@/lib/task-categories';
+import {
+  REPEAT_TYPES,
+  WEEKDAY_LABELS,
+  SERIES_TASK_FIELDS,
+  defaultRule,
+  pickRule,
+  describeRecurrence,
+} from '@/lib/task-recurrence';
 
 const STATUSES = [
   { id: 'todo', label: 'To Do' },
@@ -30,14 +44,26 @@ const STATUSES = [
   { id: 'done', label: 'Done' },
 ];
 
-export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onSelectCategory, onSelectProject }) {
+// Project groups in the list show this many tasks
+const GROUP_VISIBLE_TASKS = 3;
+
+// Task under the keyboard cursor (j/k), highlighted by TaskItem
+const TaskCursorContext = createContext(null);
+
+export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onSelectCategory, onSelectProject, initialTaskId }) {
   const {
     tasks,
     loading,
     updateTask,
     deleteTask,
+    getTaskSeries,
+    createTaskSeries,
+    updateTaskSeries,
+    deleteTaskSeries,
+    dependencyBlockedIds,
   } = useTasks();
   const { projects, activeProjects, updateProject, loading: projectsLoading } = useProjects();
+  const { categories: taskCategories } = useTaskCategories();
 
   const [viewMode, setViewMode] = useState('list');
   const [projectFilter, setProjectFilter] = useState(selectedProjectId || 'all'); // 'all' | project_id | '__none__'
@@ -46,6 +72,8 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
   useEffect(() => {
     setProjectFilter(selectedProjectId || 'all');
   }, [selectedProjectId]);
+  const [taskCategoryFilter, setTaskCategoryFilter] = useState('all'); // 'all' | category key | '__none__'
+  const [showTaskCategories, setShowTaskCategories] = useState(false);
   const [showAddTask, setShowAddTask] = useState(false);
   const [showCompleted, setShowCompleted] = useState(false);
   const [collapsedGroups, setCollapsedGroups] = useState({});
@@ -59,6 +87,21 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
   // Edit
   const [editingTask, setEditingTask] = useState(null);
 
+  // Keyboard cursor
+  const [cursorId, setCursorId] = useState(null);
+
+  // Open the task we were linked to (e.g. from the command palette) once tasks load
+  const openedTaskId = useRef(null);
+  useEffect(() => {
+    if (!initialTaskId || openedTaskId.current === initialTaskId) return;
+    const task = (tasks || []).find(t => t.id === initialTaskId);
+    if (task) {
+      openedTaskId.current = initialTaskId;
+      setEditingTask(task);
+      setCursorId(task.id);
+    }
+  }, [initialTaskId, tasks]);
+
   // Project lookup
   const projectMap = useMemo(() => {
     const map = {};
@@ -101,8 +144,14 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
         result = result.filter(t => t.project_id === projectFilter);
       }
     }
+    if (taskCategoryFilter !== 'all') {
+      // Keys of deleted categories count as uncategorized
+      result = taskCategoryFilter === '__none__'
+        ? result.filter(t => !getTaskCategory(t.energy, taskCategories))
+        : result.filter(t => t.energy === taskCategoryFilter);
+    }
     return result;
-  }, [tasks, projectFilter, categoryProjectIds]);
+  }, [tasks, projectFilter, categoryProjectIds, taskCategoryFilter, taskCategories]);
 
   const filteredActive = useMemo(() =>
     filteredTasks.filter(t => t.status !== 'done'), [filteredTasks]);
@@ -110,12 +159,13 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
   const filteredDone = useMemo(() =>
     filteredTasks.filter(t => t.status === 'done'), [filteredTasks]);
 
-  // Focus tasks (pulled from filteredActive, shown in Focus section)
+  // Focus tasks (pulled from filteredActive, shown in Focus section).
+  // Blocked tasks wait in their project group until their blockers are done.
   const focusTasks = useMemo(() =>
-    filteredActive.filter(t => t.is_focus), [filteredActive]);
+    filteredActive.filter(t => t.is_focus && !dependencyBlockedIds.has(t.id)), [filteredActive, dependencyBlockedIds]);
 
   const nonFocusActive = useMemo(() =>
-    filteredActive.filter(t => !t.is_focus), [filteredActive]);
+    filteredActive.filter(t => !t.is_focus || dependencyBlockedIds.has(t.id)), [filteredActive, dependencyBlockedIds]);
 
   // Group active (non-focus) tasks by project
   const groupedByProject = useMemo(() => {
@@ -131,7 +181,7 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
       return (projectOrderMap[a] ?? 0) - (projectOrderMap[b] ?? 0) || (projectMap[a] || '').localeCompare(projectMap[b] || '');
     });
     return sorted;
-  }, [filteredActive, projectMap, projectOrderMap]);
+  }, [nonFocusActive, projectMap, projectOrderMap]);
 
   // Default to all collapsed on first load
   useEffect(() => {
@@ -168,10 +218,12 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
 
   // --- Handlers ---
 
-  const handleToggleStatus = async (task) => {
+  const handleToggleStatus = useCallback(async (task) => {
     const newStatus = task.status === 'done' ? 'todo' : 'done';
-    await updateTask(task.id, { status: newStatus });
-  };
+    const { error } = await updateTask(task.id, { status: newStatus });
+    if (error) alert(`Failed to update task: ${error.message}`);
+    return { error };
+  }, [updateTask]);
 
   const handleDelete = async (taskId) => {
     if (window.confirm('Delete this task?')) {
@@ -179,10 +231,10 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
     }
   };
 
-  const handleToggleFocus = async (taskId) => {
+  const handleToggleFocus = useCallback(async (taskId) => {
     const task = (tasks || []).find(t => t.id === taskId);
     if (task) await updateTask(taskId, { is_focus: !task.is_focus });
-  };
+  }, [tasks, updateTask]);
 
   const handleToggleFavorite = async (projectId) => {
     const project = projects.find(p => p.id === projectId);
@@ -190,7 +242,8 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
   };
 
   const handleStatusChange = async (taskId, newStatus) => {
-    await updateTask(taskId, { status: newStatus });
+    const { error } = await updateTask(taskId, { status: newStatus });
+    if (error) alert(`Failed to update task: ${error.message}`);
   };
 
   const toggleGroup = (groupKey) => {
@@ -229,13 +282,53 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
   const handleBulkComplete = async () => {
     const ids = [...selectedIds];
     setSelectedIds(new Set());
-    await Promise.all(ids.map(id => updateTask(id, { status: 'done' })));
+    const results = await Promise.all(ids.map(id => updateTask(id, { status: 'done' })));
+    const failed = results.filter(result => result.error);
+    if (failed.length > 0) {
+      alert(`Failed to complete ${failed.length} task${failed.length > 1 ? 's' : ''}: ${failed[0].error.message}`);
+    }
   };
 
-  // Edit handler
-  const handleEditSave = async (updates) => {
+  // Edit handler — a recurring task's shared fields and rule are saved on its series.
+  // On failure the sheet stays open so the edit can be retried.
+  const handleEditSave = async (updates, { repeat, repeatEnd } = {}) => {
     if (!editingTask) return;
-    await updateTask(editingTask.id, updates);
+    const series = getTaskSeries(editingTask.series_id);
+    if (series && !repeat) {
+      // Delete the series first: if that fails the task still belongs to it
+      const { error: seriesError } = await deleteTaskSeries(series.id);
+      if (seriesError) {
+        alert(`Failed to stop repeating: ${seriesError.message}`);
+        return;
+      }
+      const { error } = await updateTask(editingTask.id, updates);
+      if (error) {
+        alert(`Failed to update task: ${error.message}`);
+        return;
+      }
+      setEditingTask(null);
+      return;
+    }
+    if (series) {
+      const shared = Object.fromEntries(SERIES_TASK_FIELDS.map(field => [field, updates[field]]));
+      const { error } = await updateTaskSeries(series.id, { ...shared, ...repeat, end_date: repeatEnd || null });
+      if (error) {
+        alert(`Failed to update repeat: ${error.message}`);
+        return;
+      }
+    }
+    const { error } = await updateTask(editingTask.id, updates);
+    if (error) {
+      alert(`Failed to update task: ${error.message}`);
+      return;
+    }
+    if (!series && repeat) {
+      const { error: seriesError } = await createTaskSeries({ ...editingTask, ...updates }, repeat, { endDate: repeatEnd || null });
+      if (seriesError) {
+        alert(`Failed to make task repeat: ${seriesError.message}`);
+        return;
+      }
+    }
     setEditingTask(null);
   };
 
@@ -307,6 +400,62 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
   const noProjectGroup = useMemo(() =>
     groupedByProject.find(([id]) => id === '__none__'), [groupedByProject]);
 
+  // Tasks in the order the list shows them, for j/k
+  const keyboardTasks = useMemo(() => {
+    const groups = [...favoriteGroups, ...sortableGroups, ...(noProjectGroup ? [noProjectGroup] : [])];
+    const groupTasks = groups
+      .filter(([id]) => !collapsedGroups[id])
+      .flatMap(([, projectTasks]) => projectTasks.slice(0, GROUP_VISIBLE_TASKS));
+    return [...focusTasks, ...groupTasks, ...(showCompleted ? filteredDone : [])];
+  }, [focusTasks, favoriteGroups, sortableGroups, noProjectGroup, collapsedGroups, showCompleted, filteredDone]);
+
+  // Vim-style list shortcuts: j/k move, x complete, e edit, f focus
+  useEffect(() => {
+    if (viewMode !== 'list') return;
+
+    const handleKeyDown = async (e) => {
+      if (e.metaKey || e.ctrlKey || e.altKey || isTypingTarget(e.target)) return;
+      if (editingTask || showAddTask || showTaskCategories) return;
+
+      const index = keyboardTasks.findIndex(t => t.id === cursorId);
+      const task = keyboardTasks[index];
+
+      if (e.key === 'j' || e.key === 'k') {
+        e.preventDefault();
+        if (keyboardTasks.length === 0) return;
+        const next = index === -1
+          ? 0
+          : Math.min(Math.max(index + (e.key === 'j' ? 1 : -1), 0), keyboardTasks.length - 1);
+        setCursorId(keyboardTasks[next].id);
+      } else if (e.key === 'Escape') {
+        setCursorId(null);
+      } else if (task && e.key === 'x') {
+        e.preventDefault();
+        const nextId = (keyboardTasks[index + 1] || keyboardTasks[index - 1])?.id || null;
+        const { error } = await handleToggleStatus(task);
+        // Completed tasks leave the list, so the cursor moves on to the next one
+        if (!error && task.status !== 'done' && !showCompleted) setCursorId(nextId);
+      } else if (task && e.key === 'e') {
+        e.preventDefault();
+        setEditingTask(task);
+      } else if (task && e.key === 'f') {
+        e.preventDefault();
+        handleToggleFocus(task.id);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [
+    viewMode, keyboardTasks, cursorId, editingTask, showAddTask, showTaskCategories, showCompleted,
+    handleToggleStatus, handleToggleFocus,
+  ]);
+
+  useEffect(() => {
+    if (!cursorId) return;
+    document.querySelector(`[data-task-id="${cursorId}"]`)?.scrollIntoView({ block: 'nearest' });
+  }, [cursorId]);
+
   if (loading || projectsLoading) {
     return (
       <div className="flex items-center justify-center min-h-[50vh]">
@@ -377,6 +526,25 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
           <option value="__none__">No Project</option>
         </select>
 
+        {/* Task category filter */}
+        <select
+          value={taskCategoryFilter}
+          onChange={(e) => setTaskCategoryFilter(e.target.value)}
+          className="px-3 py-2 text-sm border border-outline rounded-md focus:ring-2 focus:ring-primary focus:border-primary bg-surface-container"
+        >
+          <option value="all">All Categories</option>
+          {taskCategories.map(cat => (
+            <option key={cat.key} value={cat.key}>{cat.icon ? `${cat.icon} ` : ''}{cat.label}</option>
+          ))}
+          <option value="__none__">Uncategorized</option>
+        </select>
+        <button
+          onClick={() => setShowTaskCategories(true)}
+          className="text-xs font-medium text-primary hover:underline whitespace-nowrap"
+        >
+          Edit categories
+        </button>
+
         {/* Done toggle */}
         <button
           onClick={() => setShowCompleted(!showCompleted)}
@@ -453,6 +621,12 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
             {selectedIds.size === allVisibleIds.length && allVisibleIds.length > 0 ? 'Deselect All' : 'Select All'}
           </button>
 
+          {!selectionActive && (
+            <span className="hidden md:inline text-xs text-outline">
+              j/k move · x done · e edit · f focus
+            </span>
+          )}
+
           {selectionActive && (
             <div className="flex items-center gap-2">
               <span className="text-xs text-surface-on-variant">{selectedIds.size} selected</span>
@@ -487,6 +661,7 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
 
       {/* List View */}
       {viewMode === 'list' && (
+        <TaskCursorContext.Provider value={cursorId}>
         <DndContext
           sensors={sensors}
           collisionDetection={closestCorners}
@@ -694,6 +869,7 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
             ) : null}
           </DragOverlay>
         </DndContext>
+        </TaskCursorContext.Provider>
       )}
 
       {/* Board View */}
@@ -730,6 +906,7 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
       )}
 
       <AddTaskSheet isOpen={showAddTask} onClose={() => setShowAddTask(false)} />
+      <TaskCategoriesSheet isOpen={showTaskCategories} onClose={() => setShowTaskCategories(false)} />
 
       {/* Edit Task Sheet */}
       <EditTaskSheet
@@ -747,7 +924,10 @@ export function TasksView({ onNavigate, selectedProjectId, selectedCategory, onS
 // --- Edit Task Sheet ---
 
 function EditTaskSheet({ task, isOpen, onClose, onSave, onDelete, projects }) {
+  const { categories } = useTaskCategories();
+  const { getTaskSeries } = useTasks();
   const [formData, setFormData] = useState({});
+  const series = getTaskSeries(task?.series_id);
 
   // Reset form when task changes
   const taskId = task?.id;
@@ -760,6 +940,7 @@ function EditTaskSheet({ task, isOpen, onClose, onSave, onDelete, projects }) {
         due_date: task.due_date || '',
         priority: task.priority || '',
         status: task.status || 'todo',
+        energy: task.energy || '',
       });
     }
   }, [taskId]);
@@ -774,6 +955,10 @@ function EditTaskSheet({ task, isOpen, onClose, onSave, onDelete, projects }) {
       due_date: task.due_date || '',
       priority: task.priority || '',
       status: task.status || 'todo',
+      energy: task.energy || '',
+      checklist: task.checklist || [],
+      repeat: series ? pickRule(series) : null,
+      repeat_end: series?.end_date || '',
     });
   }
 
@@ -792,7 +977,9 @@ function EditTaskSheet({ task, isOpen, onClose, onSave, onDelete, projects }) {
         due_date: formData.due_date || null,
         priority: formData.priority || null,
         status: formData.status,
-      });
+        energy: formData.energy || '',
+        checklist: formData.checklist || [],
+      }, { repeat: formData.repeat, repeatEnd: formData.repeat_end });
     } catch (err) {
       console.error('Failed to update task:', err);
     } finally {
@@ -826,6 +1013,18 @@ function EditTaskSheet({ task, isOpen, onClose, onSave, onDelete, projects }) {
           />
         </div>
 
+        {/* Checklist */}
+        <div>
+          <div className="flex items-center justify-between mb-1">
+            <label className="block text-sm font-medium text-surface-on">Checklist</label>
+            <ChecklistProgress checklist={formData.checklist} className="text-xs" />
+          </div>
+          <ChecklistEditor
+            checklist={formData.checklist || []}
+            onChange={(checklist) => setFormData({ ...formData, checklist })}
+          />
+        </div>
+
         {/* Project */}
         <div>
           <label className="block text-sm font-medium text-surface-on mb-1">Project</label>
@@ -841,6 +1040,25 @@ function EditTaskSheet({ task, isOpen, onClose, onSave, onDelete, projects }) {
           </select>
         </div>
 
+        {/* Category */}
+        <div>
+          <label className="block text-sm font-medium text-surface-on mb-1">Category</label>
+          <select
+            value={formData.energy || ''}
+            onChange={(e) => setFormData({ ...formData, energy: e.target.value })}
+            className="w-full px-3 py-3 border border-outline rounded-md focus:ring-2 focus:ring-primary focus:border-primary"
+          >
+            <option value="">Uncategorized</option>
+            {categories.map(cat => (
+              <option key={cat.key} value={cat.key}>{cat.icon ? `${cat.icon} ` : ''}{cat.label}</option>
+            ))}
+            {/* Keep a deleted category selectable so saving doesn't silently drop it */}
+            {formData.energy && !getTaskCategory(formData.energy, categories) && (
+              <option value={formData.energy}>{formData.energy}</option>
+            )}
+          </select>
+        </div>
+
         {/* Status */}
         <div>
           <label className="block text-sm font-medium text-surface-on mb-2">Status</label>
@@ -899,6 +1117,19 @@ function EditTaskSheet({ task, isOpen, onClose, onSave, onDelete, projects }) {
           </div>
         </div>
 
+        {/* Dependencies — saved right away */}
+        {task && <DependencyFields task={task} />}
+
+        {/* Repeat */}
+        <RepeatFields
+          repeat={formData.repeat}
+          repeatEnd={formData.repeat_end || ''}
+          dueDate={formData.due_date}
+          onChange={(changes) => setFormData({ ...formData, ...changes })}
+        />
+
+        {task?.source_note_id && <TaskProvenance noteId={task.source_note_id} title={task.title} />}
+
         <Button type="submit" disabled={saving || !formData.title?.trim()} className="w-full py-3 text-lg">
           {saving ? 'Saving...' : 'Save Changes'}
         </Button>
@@ -918,6 +1149,202 @@ function EditTaskSheet({ task, isOpen, onClose, onSave, onDelete, projects }) {
   );
 }
 
+// "Blocked by" links for EditTaskSheet; adding or removing one saves immediately
+function DependencyFields({ task }) {
+  const { tasks, getDependenciesOf, addDependency, removeDependency } = useTasks();
+  const [error, setError] = useState(null);
+  const links = getDependenciesOf(task.id);
+  const taskById = useMemo(() => new Map((tasks || []).map(t => [t.id, t])), [tasks]);
+
+  // Open tasks that could block this one, same project first
+  const candidates = (tasks || [])
+    .filter(t => t.id !== task.id && t.status !== 'done' && !links.some(dep => dep.blocker_id === t.id))
+    .sort((a, b) => (b.project_id === task.project_id) - (a.project_id === task.project_id) || a.title.localeCompare(b.title));
+
+  const handleAdd = async (blockerId) => {
+    if (!blockerId) return;
+    setError(null);
+    const { error: addError } = await addDependency(blockerId, task.id);
+    if (addError) setError(addError.message);
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-surface-on mb-1">Blocked by</label>
+      {links.length > 0 && (
+        <div className="space-y-1 mb-2">
+          {links.map(dep => {
+            const blocker = taskById.get(dep.blocker_id);
+            return (
+              <div key={dep.id} className="flex items-center gap-2 px-3 py-2 bg-surface-container-high rounded-md text-sm">
+                <span className={`flex-1 min-w-0 truncate ${blocker?.status === 'done' ? 'line-through text-outline' : 'text-surface-on'}`}>
+                  {blocker?.title || 'Deleted task'}
+                </span>
+                <button
+                  type="button"
+                  onClick={() => removeDependency(dep.id)}
+                  className="text-xs text-red-400 hover:underline font-medium"
+                >
+                  Remove
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+      <select
+        value=""
+        onChange={(e) => handleAdd(e.target.value)}
+        className="w-full px-3 py-3 border border-outline rounded-md focus:ring-2 focus:ring-primary focus:border-primary"
+      >
+        <option value="">Add a blocking task...</option>
+        {candidates.map(t => (
+          <option key={t.id} value={t.id}>{t.title}</option>
+        ))}
+      </select>
+      {error && <p className="text-xs text-red-400 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+// Repeat rule editor for EditTaskSheet; repeat is null for a one-off task
+function RepeatFields({ repeat, repeatEnd, dueDate, onChange }) {
+  const setRule = (updates) => onChange({ repeat: { ...repeat, ...updates } });
+  const inputClass = 'px-3 py-2 border border-outline rounded-md focus:ring-2 focus:ring-primary focus:border-primary';
+
+  const toggleWeekday = (day) => {
+    const weekdays = repeat.weekdays?.includes(day)
+      ? repeat.weekdays.filter(d => d !== day)
+      : [...(repeat.weekdays || []), day];
+    if (weekdays.length > 0) setRule({ weekdays });
+  };
+
+  return (
+    <div>
+      <label className="block text-sm font-medium text-surface-on mb-1">Repeat</label>
+      <select
+        value={repeat?.repeat_type || ''}
+        onChange={(e) => onChange({
+          repeat: e.target.value ? { ...(repeat || defaultRule(dueDate)), repeat_type: e.target.value } : null,
+        })}
+        className={`w-full py-3 ${inputClass}`}
+      >
+        <option value="">Does not repeat</option>
+        {REPEAT_TYPES.map(type => (
+          <option key={type.id} value={type.id}>{type.label}</option>
+        ))}
+      </select>
+
+      {repeat && (
+        <div className="mt-2 space-y-2">
+          {(repeat.repeat_type === 'interval' || repeat.repeat_type === 'after_completion') && (
+            <div className="flex items-center gap-2 text-sm text-surface-on-variant">
+              <span>Every</span>
+              <input
+                type="number"
+                min={1}
+                value={repeat.repeat_every || 1}
+                onChange={(e) => setRule({ repeat_every: Math.max(1, parseInt(e.target.value, 10) || 1) })}
+                className={`w-20 ${inputClass}`}
+              />
+              <select
+                value={repeat.repeat_unit || 'days'}
+                onChange={(e) => setRule({ repeat_unit: e.target.value })}
+                className={inputClass}
+              >
+                <option value="days">days</option>
+                <option value="weeks">weeks</option>
+              </select>
+              {repeat.repeat_type === 'after_completion' && <span>after completion</span>}
+            </div>
+          )}
+
+          {repeat.repeat_type === 'weekdays' && (
+            <div className="flex gap-1">
+              {WEEKDAY_LABELS.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  onClick={() => toggleWeekday(day)}
+                  className={`flex-1 py-2 text-xs font-medium rounded-md transition-colors ${
+                    repeat.weekdays?.includes(day)
+                      ? 'bg-surface-on text-surface'
+                      : 'bg-surface-container-high text-surface-on-variant hover:bg-surface-container-highest'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          {repeat.repeat_type === 'monthly_weekday' && (
+            <div className="flex items-center gap-2 text-sm text-surface-on-variant">
+              <select
+                value={repeat.week_of_month ?? 1}
+                onChange={(e) => setRule({ week_of_month: parseInt(e.target.value, 10) })}
+                className={inputClass}
+              >
+                <option value={1}>1st</option>
+                <option value={2}>2nd</option>
+                <option value={3}>3rd</option>
+                <option value={4}>4th</option>
+                <option value={-1}>Last</option>
+              </select>
+              <select
+                value={repeat.weekday ?? 1}
+                onChange={(e) => setRule({ weekday: parseInt(e.target.value, 10) })}
+                className={inputClass}
+              >
+                {WEEKDAY_LABELS.map((label, day) => (
+                  <option key={label} value={day}>{label}</option>
+                ))}
+              </select>
+              <span>of the month</span>
+            </div>
+          )}
+
+          <div className="flex items-center gap-2 text-sm text-surface-on-variant">
+            <span>Until</span>
+            <input
+              type="date"
+              value={repeatEnd}
+              onChange={(e) => onChange({ repeat_end: e.target.value })}
+              className={`flex-1 ${inputClass}`}
+            />
+          </div>
+          <p className="text-xs text-outline">
+            {describeRecurrence(repeat)}. Completing this task creates the next one; title, notes, project, category and priority apply to the whole series.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Which meeting notes a task was extracted from, with the matching passage
+function TaskProvenance({ noteId, title }) {
+  const note = useNoteSource(noteId);
+  const excerpt = useMemo(() => findSourceExcerpt(note?.raw_text, title), [note, title]);
+
+  if (!note) return null;
+
+  return (
+    <div className="p-3 bg-surface-container-high rounded-md text-sm space-y-2">
+      <p className="text-surface-on-variant">
+        Created from: <span className="font-medium text-surface-on">{note.title}</span> on {formatDate(note.created_at)}
+      </p>
+      {excerpt && (
+        <pre className="text-xs text-outline whitespace-pre-wrap font-mono">
+          {excerpt.before && `${excerpt.before}\n`}
+          <mark className="bg-amber-500/25 text-surface-on rounded-sm">{excerpt.match}</mark>
+          {excerpt.after && `\n${excerpt.after}`}
+        </pre>
+      )}
+    </div>
+  );
+}
+
 // --- Focus Zone ---
 
 function FocusZone({ tasks, projectMap, onToggleStatus, onDelete, onStatusChange, onEdit, onToggleFocus, selectedIds, onToggleSelect, selectionActive }) {
@@ -981,7 +1408,7 @@ function FocusZone({ tasks, projectMap, onToggleStatus, onDelete, onStatusChange
 
 function ProjectGroup({ projectId, projectName, tasks, collapsed, onToggleCollapse, onToggleStatus, onDelete, onStatusChange, onEdit, selectedIds, onToggleSelect, selectionActive, onSelectProject, category, onToggleFocus, dragHandleProps, isFavorite, onToggleFavorite }) {
   const isNoProject = projectId === '__none__';
-  const visibleTasks = tasks.slice(0, 3);
+  const visibleTasks = tasks.slice(0, GROUP_VISIBLE_TASKS);
   const hiddenCount = tasks.length - visibleTasks.length;
   const tone = !isNoProject && category ? CATEGORY_TONES[category] : null;
   const { setNodeRef, isOver } = useDroppable({ id: `group-${projectId}` });
@@ -1189,8 +1616,15 @@ function DraggableTaskItem(props) {
 }
 
 function TaskItem({ task, projectName, showProject, onToggle, onDelete, onStatusChange, onEdit, onToggleFocus, selectedIds, onToggleSelect, selectionActive, dragHandleProps, isDragOverlay, compact, focusMode }) {
+  const { getOpenWaitingOnByTask, getTaskSeries, getOpenBlockers } = useTasks();
+  const series = getTaskSeries(task.series_id);
+  const { categories } = useTaskCategories();
+  const category = getTaskCategory(task.energy, categories);
   const isDone = task.status === 'done';
   const isSelected = selectedIds?.has(task.id);
+  const isCursor = useContext(TaskCursorContext) === task.id && !isDragOverlay;
+  const waitingOn = isDone ? [] : getOpenWaitingOnByTask(task.id);
+  const blockers = isDone ? [] : getOpenBlockers(task.id);
 
   const borderColor = isDone ? 'border-l-transparent' :
     task.priority === 'high' ? 'border-l-red-500/40' :
@@ -1213,8 +1647,9 @@ function TaskItem({ task, projectName, showProject, onToggle, onDelete, onStatus
     <Card
       className={`p-3 border-l-2 ${borderColor} cursor-pointer transition-all bg-transparent ${isDone ? '!bg-surface opacity-60' : ''} ${
         isSelected ? 'ring-2 ring-primary !bg-primary-container' : ''
-      } ${isDragOverlay ? 'shadow-elevation-3 ring-2 ring-primary/30 !bg-surface-container-highest' : ''}`}
+      } ${isCursor && !isSelected ? 'ring-2 ring-primary/50' : ''} ${isDragOverlay ? 'shadow-elevation-3 ring-2 ring-primary/30 !bg-surface-container-highest' : ''}`}
       onClick={handleClick}
+      data-task-id={isDragOverlay ? undefined : task.id}
     >
       <div className="flex items-start gap-3">
         {/* Drag handle */}
@@ -1266,6 +1701,30 @@ function TaskItem({ task, projectName, showProject, onToggle, onDelete, onStatus
           {task.subtitle && !isDone && (
             <p className="text-xs text-surface-on-variant mt-0.5 line-clamp-1">{task.subtitle}</p>
           )}
+          {category && !isDone && (
+            <span
+              className="inline-block mt-1 mr-1 px-1.5 py-0.5 text-[11px] font-medium rounded"
+              style={{ backgroundColor: `${category.color}20`, color: category.color }}
+            >
+              {category.icon && `${category.icon} `}{category.label}
+            </span>
+          )}
+          {series && !isDone && (
+            <span className="inline-block mt-1 mr-1 px-1.5 py-0.5 text-[11px] font-medium rounded bg-surface-container-high text-surface-on-variant">
+              ↻ {describeRecurrence(series)}
+            </span>
+          )}
+          {!isDone && <ChecklistProgress checklist={task.checklist} className="mt-1 mr-1 text-[11px]" />}
+          {blockers.length > 0 && (
+            <span className="inline-block mt-1 mr-1 px-1.5 py-0.5 text-[11px] font-medium rounded bg-amber-500/15 text-amber-400">
+              Blocked by {blockers.map(blocker => blocker.title).join(', ')}
+            </span>
+          )}
+          {waitingOn.length > 0 && (
+            <span className="inline-block mt-1 px-1.5 py-0.5 text-[11px] font-medium rounded bg-amber-500/15 text-amber-400">
+              Waiting on {[...new Set(waitingOn.map(item => item.contact_name))].join(', ')}
+            </span>
+          )}
         </div>
 
         {/* Focus star */}
@@ -1466,7 +1925,12 @@ function DraggableBoardCard({ task, projectName, onToggleStatus, onDelete, onEdi
 }
 
 function BoardCard({ task, projectName, isDragging, onToggleStatus, onDelete, onEdit }) {
+  const { categories } = useTaskCategories();
+  const { getTaskSeries, getOpenBlockers } = useTasks();
+  const series = getTaskSeries(task.series_id);
+  const category = getTaskCategory(task.energy, categories);
   const isDone = task.status === 'done';
+  const blockers = isDone ? [] : getOpenBlockers(task.id);
   const days = task.due_date ? daysUntil(task.due_date) : null;
   const isOverdue = !isDone && days !== null && days < 0;
   const isToday = days === 0;
@@ -1495,6 +1959,17 @@ function BoardCard({ task, projectName, isDragging, onToggleStatus, onDelete, on
           {projectName && (
             <p className="text-[15px] text-outline mt-0.5">{projectName}</p>
           )}
+          {category && (
+            <span className="inline-block mt-1 text-[11px] font-medium" style={{ color: category.color }}>
+              {category.icon && `${category.icon} `}{category.label}
+            </span>
+          )}
+          {series && (
+            <p className="text-[11px] text-outline mt-0.5">↻ {describeRecurrence(series)}</p>
+          )}
+          {blockers.length > 0 && (
+            <p className="text-[11px] text-amber-400 mt-0.5">Blocked by {blockers.map(blocker => blocker.title).join(', ')}</p>
+          )}
         </div>
       </div>
 
@@ -1511,6 +1986,8 @@ function BoardCard({ task, projectName, isDragging, onToggleStatus, onDelete, on
           </span>
         ) : <span />}
 
+        <ChecklistProgress checklist={task.checklist} className="text-[11px]" />
+
         <div className="flex gap-1.5">
           {onEdit && (
             <button
@@ -0,0 +1,228 @@
+import { useState, useMemo } from 'react';
+import { useTasks } from '@/contexts/TasksContext';
+import { usePeople } from '@/contexts/PeopleContext';
+import { Card } from '@/components/ui/Card';
+import { Button } from '@/components/ui/Button';
+import { formatDate, daysUntil } from '@/lib/utils';
+import { findContact, DEFAULT_FOLLOW_UP_DAYS } from '@/lib/note-records';
+
+const todayISO = () => new Date().toISOString().split('T')[0];
+
+const addDaysISO = (days) => {
+  const d = new Date();
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+const daysWaiting = (item) => Math.max(0, -daysUntil(item.since));
+
+const needsNudge = (item) => item.follow_up_date && item.follow_up_date <= todayISO();
+
+export function WaitingOnView({ onNavigate, onOpenContact }) {
+  const { tasks, openWaitingOn, updateWaitingOn, markWaitingOnReceived } = useTasks();
+  const { people, logInteraction } = usePeople();
+  const [busyId, setBusyId] = useState(null);
+
+  // Resolve each item's task and contact (contacts added after parsing are matched by name)
+  const items = useMemo(() => openWaitingOn.map(item => ({
+    ...item,
+    task: tasks.find(t => t.id === item.task_id),
+    contact: (item.contact_id && people.find(p => p.id === item.contact_id)) || findContact(people, item.contact_name),
+  })), [openWaitingOn, tasks, people]);
+
+  // Group by contact, or by the name as written when there is no contact yet
+  const groups = useMemo(() => {
+    const byKey = new Map();
+    items.forEach(item => {
+      const key = item.contact ? `contact-${item.contact.id}` : `name-${item.contact_name.toLowerCase()}`;
+      if (!byKey.has(key)) {
+        byKey.set(key, { key, name: item.contact?.name || item.contact_name, contact: item.contact, items: [] });
+      }
+      byKey.get(key).items.push(item);
+    });
+    // Longest wait first
+    return [...byKey.values()].sort((a, b) =>
+      Math.max(...b.items.map(daysWaiting)) - Math.max(...a.items.map(daysWaiting)));
+  }, [items]);
+
+  const nudgeList = useMemo(() =>
+    items.filter(needsNudge).sort((a, b) => a.follow_up_date.localeCompare(b.follow_up_date)), [items]);
+
+  const longestWait = items.length > 0 ? Math.max(...items.map(daysWaiting)) : 0;
+
+  // Once a task's last item is received it is no longer blocked
+  const handleReceived = async (item) => {
+    setBusyId(item.id);
+    const { error } = await markWaitingOnReceived(item.id);
+    setBusyId(null);
+    if (error) alert(`Failed to mark as received: ${error.message}`);
+  };
+
+  // Record the nudge on the contact's history and push the follow-up out
+  const handleNudged = async (item) => {
+    setBusyId(item.id);
+    const { error } = await updateWaitingOn(item.id, {
+      last_nudged_at: new Date().toISOString(),
+      follow_up_date: addDaysISO(DEFAULT_FOLLOW_UP_DAYS),
+    });
+    if (!error && item.contact) {
+      await logInteraction({
+        contact_id: item.contact.id,
+        type: 'other',
+        note: `Followed up on: ${item.description || item.task?.title || 'waiting-on item'}`,
+      });
+    }
+    setBusyId(null);
+    if (error) alert(`Failed to record nudge: ${error.message}`);
+  };
+
+  return (
+    <div className="space-y-6 pb-20 animate-in fade-in duration-500">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:justify-between md:items-center gap-4">
+        <div>
+          <h2 className="text-3xl font-bold text-surface-on tracking-tight">Waiting On</h2>
+          <p className="text-surface-on-variant mt-1">Open dependencies on other people, across all tasks.</p>
+        </div>
+        <Button variant="secondary" onClick={() => onNavigate?.('tasks')}>
+          ← Back to Tasks
+        </Button>
+      </div>
+
+      {/* Stats */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Card className="p-4">
+          <div className="text-sm text-surface-on-variant">Open</div>
+          <div className="text-2xl font-bold text-surface-on mt-1">{items.length}</div>
+        </Card>
+        <Card className="p-4">
+          <div className="text-sm text-surface-on-variant">Need a Nudge</div>
+          <div className={`text-2xl font-bold mt-1 ${nudgeList.length > 0 ? 'text-amber-400' : 'text-surface-on'}`}>
+            {nudgeList.length}
+          </div>
+        </Card>
+        <Card className="p-4">
+          <div className="text-sm text-surface-on-variant">Longest Wait</div>
+          <div className="text-2xl font-bold text-surface-on mt-1">{longestWait}d</div>
+        </Card>
+      </div>
+
+      {items.length === 0 ? (
+        <Card className="p-12 text-center">
+          <div className="text-outline text-lg">Not waiting on anyone</div>
+          <p className="text-sm text-surface-on-variant mt-2">
+            &quot;Waiting on&quot; lines in parsed notes show up here once the task is created
+          </p>
+        </Card>
+      ) : (
+        <>
+          {/* Nudge list */}
+          {nudgeList.length > 0 && (
+            <Card className="p-4 border border-amber-500/30">
+              <h3 className="font-semibold text-surface-on mb-3">Nudge List</h3>
+              <div className="space-y-2">
+                {nudgeList.map(item => (
+                  <div key={item.id} className="flex items-center gap-3 text-sm">
+                    <div className="flex-1 min-w-0">
+                      <span className="font-medium text-surface-on">{item.contact?.name || item.contact_name}</span>
+                      <span className="text-surface-on-variant"> — {item.description || item.task?.title}</span>
+                      <div className="text-xs text-outline">
+                        Follow-up due {formatDate(item.follow_up_date)}
+                        {item.last_nudged_at && ` · last nudged ${formatDate(item.last_nudged_at)}`}
+                      </div>
+                    </div>
+                    {item.contact?.email && (
+                      <a
+                        href={`mailto:${item.contact.email}?subject=${encodeURIComponent(`Following up: ${item.description || item.task?.title || ''}`)}`}
+                        className="text-xs text-primary hover:underline"
+                      >
+                        Email
+                      </a>
+                    )}
+                    <Button variant="text" disabled={busyId === item.id} onClick={() => handleNudged(item)}>
+                      Nudged
+                    </Button>
+                  </div>
+                ))}
+              </div>
+            </Card>
+          )}
+
+          {/* Grouped by person / company */}
+          <div className="space-y-4">
+            {groups.map(group => (
+              <Card key={group.key} className="p-4">
+                <div className="flex items-center justify-between mb-3">
+                  <div>
+                    <h3 className="font-semibold text-surface-on">{group.name}</h3>
+                    {group.contact?.company && group.contact.company !== group.name && (
+                      <p className="text-xs text-surface-on-variant">{group.contact.company}</p>
+                    )}
+                  </div>
+                  {group.contact ? (
+                    <button
+                      onClick={() => onOpenContact?.(group.contact.id)}
+                      className="text-sm text-primary hover:text-primary font-medium"
+                    >
+                      View contact →
+                    </button>
+                  ) : (
+                    <span className="text-xs text-outline">Not in Contacts</span>
+                  )}
+                </div>
+
+                <div className="space-y-3">
+                  {group.items.map(item => (
+                    <WaitingOnItem
+                      key={item.id}
+                      item={item}
+                      busy={busyId === item.id}
+                      onReceived={() => handleReceived(item)}
+                      onFollowUpChange={(date) => updateWaitingOn(item.id, { follow_up_date: date || null })}
+                    />
+                  ))}
+                </div>
+              </Card>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function WaitingOnItem({ item, busy, onReceived, onFollowUpChange }) {
+  const waited = daysWaiting(item);
+  const overdue = needsNudge(item);
+
+  return (
+    <div className="p-3 bg-surface rounded-md">
+      <div className="flex items-start gap-3">
+        <div className="flex-1 min-w-0">
+          <p className="text-sm text-surface-on">{item.description || 'No description'}</p>
+          {item.task && (
+            <p className="text-xs text-surface-on-variant mt-0.5 truncate">Blocks: {item.task.title}</p>
+          )}
+          <div className="flex flex-wrap items-center gap-3 mt-2 text-xs text-outline">
+            <span className={waited >= 7 ? 'text-red-400 font-medium' : ''}>
+              Waiting {waited === 0 ? 'since today' : `${waited}d`}
+            </span>
+            {item.date_context && <span>“{item.date_context}”</span>}
+            <label className="flex items-center gap-1">
+              Follow up
+              <input
+                type="date"
+                value={item.follow_up_date || ''}
+                onChange={(e) => onFollowUpChange(e.target.value)}
+                className={`px-1 py-0.5 bg-transparent border border-outline-variant rounded ${overdue ? 'text-amber-400' : ''}`}
+              />
+            </label>
+          </div>
+        </div>
+        <Button variant="secondary" disabled={busy} onClick={onReceived}>
+          Received
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -1,18 +1,52 @@
-import { useState, useMemo } from 'react';
-import { isStructuredFormat, parseStructuredNotes, normalizeWithLLM } from '@/lib/note-parser';
+import { useState, useEffect, useMemo, useRef } from 'react';
+import {
+  isStructuredFormat,
+  parseStructuredNotes,
+  normalizeAndParse,
+  parseNotes,
+  diffParsedResults,
+  summarizeParsedDiff,
+  PARSER_VERSION,
+} from '@/lib/note-parser';
+import { getTranscriber, storeAudio, getAudioUrl } from '@/lib/transcription';
+import {
+  matchProject,
+  rankProjectMatches,
+  groupParsedProjects,
+  toTaskRecord,
+  toWaitingOnRecords,
+  toProjectRecord,
+  toOpportunityRecord,
+  toContactRecord,
+  toTimeEntryRecord,
+  PARSED_COLLECTIONS,
+  DEFAULT_SUPPRESS_THRESHOLD,
+  toIgnoredExamples,
+  findSuppressedItems,
+} from '@/lib/note-records';
 import { useTasks } from '@/contexts/TasksContext';
 import { useProjects } from '@/contexts/ProjectsContext';
 import { useOpportunities } from '@/hooks/useOpportunities';
 import { usePeople } from '@/contexts/PeopleContext';
 import { useNotesArchive, useIgnoredItems } from '@/hooks/useNotesArchive';
+import { useOwner } from '@/hooks/useOwner';
+import { useTaskCategories } from '@/hooks/useTaskCategories';
 import { Button } from '@/components/ui/Button';
 import { Card } from '@/components/ui/Card';
 import { Sheet } from '@/components/ui/Sheet';
 import { AsanaExportSheet } from '@/components/AsanaExportSheet';
+import { ReparseDiff } from '@/components/ReparseDiff';
+import { ProjectRouting } from '@/components/ProjectRouting';
 import { formatDate } from '@/lib/utils';
 import { isAsanaConfigured } from '@/lib/asana';
 
-export function AINotes({ onNavigate }) {
+const SUPPRESS_THRESHOLD_KEY = 'todito_suppress_threshold';
+const INBOX_REFRESH_MS = 60 * 1000;
+
+// Archive entries saved before parser versioning count as version 1
+const archiveVersion = (archive) => archive.parser_version || 1;
+
+export function AINotes({ onNavigate, restoredSession, onRestoredSessionLoaded }) {
   const [noteText, setNoteText] = useState('');
   const [isParsing, setIsParsing] = useState(false);
   const [parsedData, setParsedData] = useState(null);
@@ -23,64 +57,165 @@ export function AINotes({ onNavigate }) {
   const [selectedArchive, setSelectedArchive] = useState(null);
   const [taskModifications, setTaskModifications] = useState({}); // Track energy, pomodoro changes
   const [parseMethod, setParseMethod] = useState(null); // 'structured' | 'freeform' | null
+  const [parseIssues, setParseIssues] = useState([]); // [{ line?, text, reason }]
+  const [repairAttempts, setRepairAttempts] = useState(0);
+  const [streamedTasks, setStreamedTasks] = useState([]); // live preview while the LLM is writing
+  const [chunkProgress, setChunkProgress] = useState(null); // { chunk, total } for long transcripts
+  const [chunkCount, setChunkCount] = useState(1);
+  const [isTranscribing, setIsTranscribing] = useState(false);
+  const [audioSource, setAudioSource] = useState(null); // { path, name } of the voice memo behind noteText
+  const audioInputRef = useRef(null);
+  const [archiveId, setArchiveId] = useState(null); // notes_archive row for the current session
+  const [restoredInfo, setRestoredInfo] = useState(null); // { count, source } when reviewing restored items
+  const [showSuppressed, setShowSuppressed] = useState(false);
+  const [reparse, setReparse] = useState(null); // { archive, fresh?, diff?, running, error? } for one entry
+  const [bulkReparse, setBulkReparse] = useState(null); // { running, done, total, results }
+  const [archiveSearch, setArchiveSearch] = useState({ query: '', from: '', to: '', projectId: '' });
+  const [searchResults, setSearchResults] = useState(null); // null = not searching
+  const [isSearching, setIsSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const [reviewingId, setReviewingId] = useState(null); // inbox entry being parsed for review
+  const [projectRoutes, setProjectRoutes] = useState({}); // parsed project name → chosen project id ('' = none)
+  const [creatingProjectName, setCreatingProjectName] = useState(null);
+  const [suppressThreshold, setSuppressThreshold] = useState(() =>
+    parseFloat(localStorage.getItem(SUPPRESS_THRESHOLD_KEY)) || DEFAULT_SUPPRESS_THRESHOLD
+  );
 
   // Multi-select for Asana export
   const [selectedTaskIndices, setSelectedTaskIndices] = useState(new Set());
   const [showAsanaExport, setShowAsanaExport] = useState(false);
 
-  const { addTask, logTime } = useTasks();
+  const { addTask, logTime, addWaitingOn } = useTasks();
   const { projects, addProject, updateProject } = useProjects();
   const { addOpportunity } = useOpportunities();
-  const { addPerson: addContact } = usePeople();
-  const { notesArchive, addNotesArchive, deleteNotesArchive } = useNotesArchive();
+  const { people, addPerson: addContact } = usePeople();
+  const {
+    notesArchive,
+    addNotesArchive,
+    updateNotesArchive,
+    deleteNotesArchive,
+    searchNotesArchive,
+    refresh: refreshNotesArchive,
+  } = useNotesArchive();
   const { ignoredItems, addIgnoredItem } = useIgnoredItems();
+  const { owner, updateOwner } = useOwner();
+  const { categories } = useTaskCategories();
+
+  // Ignore history: negative examples for the LLM, and near-duplicates to hide
+  const ignoredExamples = useMemo(() => toIgnoredExamples(ignoredItems), [ignoredItems]);
+  const suppressedItems = useMemo(
+    () => findSuppressedItems(parsedData, ignoredExamples, { threshold: suppressThreshold }),
+    [parsedData, ignoredExamples, suppressThreshold]
+  );
+  const isHidden = (key) =>
+    sessionIgnoredItems.has(key) || (!showSuppressed && suppressedItems.has(key));
 
-  const handleParse = async () => {
-    if (!noteText.trim()) {
+  const handleSuppressThresholdChange = (value) => {
+    setSuppressThreshold(value);
+    localStorage.setItem(SUPPRESS_THRESHOLD_KEY, String(value));
+  };
+
+  const handleParse = async (text = noteText, audio = audioSource) => {
+    if (!text.trim()) {
       setError('Please enter some notes to parse');
       return;
     }
 
     setIsParsing(true);
     setError(null);
+    setParsedData(null);
     setCreatedItems(new Set());
     setSessionIgnoredItems(new Set());
     setTaskModifications({});
     setParseMethod(null);
+    setParseIssues([]);
+    setRepairAttempts(0);
+    setStreamedTasks([]);
+    setChunkProgress(null);
+    setChunkCount(1);
+    setArchiveId(null);
+    setRestoredInfo(null);
+    setProjectRoutes({});
 
     try {
       let result;
 
-      if (isStructuredFormat(noteText)) {
+      if (isStructuredFormat(text)) {
         // Structured (Granola recipe) — deterministic, no AI call
-        result = parseStructuredNotes(noteText);
+        result = parseStructuredNotes(text, { owner, categories });
+        setParseIssues(result.unparsed_lines);
         setParseMethod('structured');
       } else {
-        // Freeform — normalize via LLM, then parse
-        const normalizedText = await normalizeWithLLM(noteText);
-
-        if (!normalizedText || normalizedText.includes('No tasks found.')) {
-          result = { tasks: [], projects: [], project_updates: [], opportunities: [], contacts: [], time_entries: [] };
-        } else {
-          result = parseStructuredNotes(normalizedText);
-        }
+        // Freeform — normalize via LLM, parse, validate (with repair retries)
+        const parsed = await normalizeAndParse(text, {
+          owner,
+          ignoredExamples,
+          categories,
+          onTask: task => setStreamedTasks(prev => [...prev, task]),
+          onProgress: setChunkProgress,
+        });
+        result = parsed.result;
+        setParseIssues(parsed.issues);
+        setRepairAttempts(parsed.attempts - parsed.chunks);
+        setChunkCount(parsed.chunks);
         setParseMethod('freeform');
       }
 
-      setParsedData(result);
-
-      // Save to archive
-      addNotesArchive({
-        raw_text: noteText,
+      // Save to archive first, so items created from the results link back to it
+      const { data: archive, error: archiveError } = await addNotesArchive({
+        raw_text: text,
         parsed_data: result,
-        title: generateArchiveTitle(noteText),
+        title: generateArchiveTitle(text),
+        parser_version: PARSER_VERSION,
+        ...(audio && { audio_path: audio.path, audio_name: audio.name }),
       });
+      if (archiveError) {
+        setError(`Couldn't archive these notes, so created tasks won't link back to them: ${archiveError.message}`);
+      }
+      setArchiveId(archive?.id ?? null);
+      setParsedData(result);
     } catch (err) {
       console.error('Failed to parse notes:', err);
       setError(`Failed to parse notes: ${err.message}`);
       setParsedData(null);
     } finally {
       setIsParsing(false);
+      setStreamedTasks([]);
+      setChunkProgress(null);
+    }
+  };
+
+  // Voice memo → transcript → the normal parse flow
+  const handleAudioUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setIsTranscribing(true);
+    setError(null);
+
+    try {
+      // Transcribe before uploading, so a failed transcription leaves no file behind
+      const transcript = await getTranscriber().transcribe(file);
+      if (!transcript.trim()) {
+        setError('No speech found in the recording');
+        return;
+      }
+
+      const { data: path, error: storeError } = await storeAudio(file);
+      const audio = storeError ? null : { path, name: file.name };
+      setNoteText(transcript);
+      setAudioSource(audio);
+      await handleParse(transcript, audio);
+      if (storeError) {
+        console.error('Failed to store audio:', storeError);
+        setError(prev => prev || `Transcribed, but the recording could not be saved: ${storeError.message}`);
+      }
+    } catch (err) {
+      console.error('Failed to transcribe audio:', err);
+      setError(`Failed to transcribe audio: ${err.message}`);
+    } finally {
+      setIsTranscribing(false);
     }
   };
 
@@ -93,8 +228,40 @@ export function AINotes({ onNavigate }) {
     setTaskModifications({});
     setSelectedTaskIndices(new Set());
     setParseMethod(null);
+    setParseIssues([]);
+    setRepairAttempts(0);
+    setChunkCount(1);
+    setAudioSource(null);
+    setArchiveId(null);
+    setRestoredInfo(null);
+    setProjectRoutes({});
   };
 
+  // Items restored from Ignored Items come back as a review session, linked
+  // to the notes they were originally extracted from
+  useEffect(() => {
+    if (!restoredSession) return;
+    const { items, archive } = restoredSession;
+
+    const restored = Object.fromEntries(Object.values(PARSED_COLLECTIONS).map(key => [key, []]));
+    items.forEach(({ type, data }) => restored[PARSED_COLLECTIONS[type]]?.push(data));
+
+    setNoteText(archive?.raw_text || '');
+    setParsedData(restored);
+    setArchiveId(archive?.id || null);
+    setAudioSource(archive?.audio_name ? { path: archive.audio_path, name: archive.audio_name } : null);
+    setCreatedItems(new Set());
+    setSessionIgnoredItems(new Set());
+    setTaskModifications({});
+    setSelectedTaskIndices(new Set());
+    setParseMethod(null);
+    setParseIssues([]);
+    setError(null);
+    setProjectRoutes({});
+    setRestoredInfo({ count: items.length, source: archive?.title || null });
+    onRestoredSessionLoaded?.();
+  }, [restoredSession, onRestoredSessionLoaded]);
+
   // Multi-select helpers
   const toggleTaskSelection = (index) => {
     setSelectedTaskIndices(prev => {
@@ -112,7 +279,7 @@ export function AINotes({ onNavigate }) {
     if (!parsedData?.tasks) return;
     const allIndices = parsedData.tasks
       .map((_, i) => i)
-      .filter(i => !createdItems.has(`task-${i}`) && !sessionIgnoredItems.has(`task-${i}`));
+      .filter(i => !createdItems.has(`task-${i}`) && !isHidden(`task-${i}`));
     setSelectedTaskIndices(new Set(allIndices));
   };
 
@@ -148,9 +315,7 @@ export function AINotes({ onNavigate }) {
     addIgnoredItem({
       type,
       item: { ...item, ...mods },
-      index,
-      parsed_data: parsedData,
-      raw_text: noteText,
+      notesArchiveId: archiveId,
     });
   };
 
@@ -180,25 +345,197 @@ export function AINotes({ onNavigate }) {
 
   const handleLoadArchive = (archive) => {
     setNoteText(archive.raw_text);
+    setArchiveId(archive.id);
+    setRestoredInfo(null);
+    setAudioSource(archive.audio_name ? { path: archive.audio_path, name: archive.audio_name } : null);
     setParsedData(archive.parsed_data);
     setCreatedItems(new Set());
+    setProjectRoutes({});
     setSelectedArchive(null);
     setShowArchive(false);
   };
 
+  // --- Inbox: notes imported by server.js (watched folder / email drop) ---
+  const inboxArchives = useMemo(
+    () => (notesArchive || []).filter(archive => archive.review_status === 'pending'),
+    [notesArchive]
+  );
+
+  // Imports arrive in the background, so check for new ones periodically
+  useEffect(() => {
+    const interval = setInterval(refreshNotesArchive, INBOX_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [refreshNotesArchive]);
+
+  // Structured imports were parsed on the server; freeform ones get the LLM pass now
+  const handleReviewInbox = async (archive) => {
+    setReviewingId(archive.id);
+    setError(null);
+    try {
+      let reviewed = archive;
+      if (!archive.parsed_data) {
+        const { result } = await parseNotes(archive.raw_text, { owner, ignoredExamples, categories });
+        reviewed = { ...archive, parsed_data: result, parser_version: PARSER_VERSION };
+      }
+      await updateNotesArchive(archive.id, {
+        parsed_data: reviewed.parsed_data,
+        parser_version: reviewed.parser_version,
+        review_status: 'reviewed',
+      });
+      handleLoadArchive(reviewed);
+    } catch (err) {
+      console.error('Failed to parse imported notes:', err);
+      setError(`Failed to parse imported notes: ${err.message}`);
+    } finally {
+      setReviewingId(null);
+    }
+  };
+
+  const handleDismissInbox = (archive) => updateNotesArchive(archive.id, { review_status: 'reviewed' });
+
+  const countParsedItems = (parsed) =>
+    Object.values(PARSED_COLLECTIONS).reduce((sum, key) => sum + (parsed?.[key]?.length || 0), 0);
+
+  // --- Re-parse archived notes with the current parser ---
+  const outdatedArchives = useMemo(
+    () => (notesArchive || []).filter(archive => archiveVersion(archive) < PARSER_VERSION),
+    [notesArchive]
+  );
+
+  const reparseArchive = async (archive) => {
+    const { result } = await parseNotes(archive.raw_text, { owner, ignoredExamples, categories });
+    return { archive, fresh: result, diff: diffParsedResults(archive.parsed_data, result) };
+  };
+
+  const saveReparse = ({ archive, fresh }) =>
+    updateNotesArchive(archive.id, {
+      parsed_data: fresh,
+      parser_version: PARSER_VERSION,
+      reparsed_at: new Date().toISOString(),
+    });
+
+  const handleReparseArchive = async (archive) => {
+    setReparse({ archive, running: true });
+    try {
+      setReparse({ ...(await reparseArchive(archive)), running: false });
+    } catch (err) {
+      console.error('Failed to re-parse notes:', err);
+      setReparse({ archive, running: false, error: err.message });
+    }
+  };
+
+  const handleSaveReparse = async () => {
+    const { data, error: saveError } = await saveReparse(reparse);
+    if (saveError) {
+      alert(`Failed to save re-parse: ${saveError.message}`);
+      return;
+    }
+    setSelectedArchive(data);
+    setReparse(null);
+  };
+
+  const handleBulkReparse = async () => {
+    const queue = outdatedArchives;
+    if (!window.confirm(
+      `Re-parse ${queue.length} archived note${queue.length !== 1 ? 's' : ''} with parser v${PARSER_VERSION}? Freeform notes are sent to the AI again.`
+    )) return;
+
+    setBulkReparse({ running: true, done: 0, total: queue.length, results: [] });
+    for (const archive of queue) {
+      let entry;
+      try {
+        entry = await reparseArchive(archive);
+      } catch (err) {
+        entry = { archive, error: err.message };
+      }
+      setBulkReparse(prev => ({ ...prev, done: prev.done + 1, results: [...prev.results, entry] }));
+    }
+    setBulkReparse(prev => ({ ...prev, running: false }));
+  };
+
+  const handleSaveBulkReparse = async () => {
+    const failed = [];
+    for (const entry of bulkReparse.results.filter(result => !result.error)) {
+      const { error: saveError } = await saveReparse(entry);
+      if (saveError) failed.push(entry.archive.title);
+    }
+    if (failed.length > 0) alert(`Failed to save: ${failed.join(', ')}`);
+    setBulkReparse(null);
+  };
+
+  const handleSearchArchive = async (e) => {
+    e.preventDefault();
+    const { query, from, to, projectId } = archiveSearch;
+    if (!query.trim() && !from && !to && !projectId) {
+      setSearchResults(null);
+      return;
+    }
+
+    setIsSearching(true);
+    const { data, error: archiveSearchError } = await searchNotesArchive({ query, from, to, projectId });
+    // Keep the previous results on screen when the search fails
+    if (archiveSearchError) {
+      setSearchError(archiveSearchError.message);
+    } else {
+      setSearchError(null);
+      setSearchResults(data || []);
+    }
+    setIsSearching(false);
+  };
+
+  const handleClearSearch = () => {
+    setArchiveSearch({ query: '', from: '', to: '', projectId: '' });
+    setSearchResults(null);
+    setSearchError(null);
+  };
+
   const handleDeleteArchive = (archiveId) => {
     if (window.confirm('Delete this archived note?')) {
       deleteNotesArchive(archiveId);
     }
   };
 
-  const findMatchingProjects = (projectName) => {
-    if (!projectName || !projects) return [];
-    const lowerName = projectName.toLowerCase();
-    return projects.filter(p =>
-      p.name.toLowerCase().includes(lowerName) ||
-      lowerName.includes(p.name.toLowerCase())
-    );
+  // --- Project routing: each parsed project name → an existing project ---
+  const projectGroups = useMemo(() => groupParsedProjects(parsedData).map(group => {
+    const match = matchProject(projects, group.name);
+    const manual = projectRoutes[group.name] !== undefined;
+    return {
+      ...group,
+      match,
+      suggestions: rankProjectMatches(projects, group.name).slice(0, 3),
+      projectId: manual ? projectRoutes[group.name] : match?.project.id || '',
+      manual,
+    };
+  }), [parsedData, projects, projectRoutes]);
+
+  const routedProject = (projectName) => {
+    const projectId = projectGroups.find(group => group.name === (projectName || ''))?.projectId;
+    return projectId ? projects.find(p => p.id === projectId) || null : null;
+  };
+
+  const handleRouteProject = (projectName, projectId) => {
+    setProjectRoutes(prev => ({ ...prev, [projectName]: projectId }));
+  };
+
+  const handleCreateRoutedProject = async (projectName) => {
+    setCreatingProjectName(projectName);
+    try {
+      const { data, error: createError } = await addProject(toProjectRecord({ name: projectName }));
+      if (createError) throw createError;
+      handleRouteProject(projectName, data.id);
+    } catch (err) {
+      console.error('Failed to create project:', err);
+      alert(`Failed to create project: ${err.message}`);
+    } finally {
+      setCreatingProjectName(null);
+    }
+  };
+
+  const handleRememberAlias = async (project, alias) => {
+    const { error: updateError } = await updateProject(project.id, {
+      aliases: [...(project.aliases || []), alias.trim()],
+    });
+    if (updateError) alert(`Failed to save alias: ${updateError.message}`);
   };
 
   const handleCreateTask = async (task, index) => {
@@ -206,40 +543,18 @@ export function AINotes({ onNavigate }) {
       // Merge original task with any modifications
       const modifiedTask = getTaskWithMods(task, index);
 
-      const taskData = {
-        title: modifiedTask.title,
-        subtitle: modifiedTask.subtitle || null,
-        description: modifiedTask.subtitle || '', // Use subtitle as description
-        status: modifiedTask.status || 'todo',
-        assignee: modifiedTask.assignee || 'Me',
-        priority: modifiedTask.priority || '',
-        is_mine: modifiedTask.is_mine !== undefined ? modifiedTask.is_mine : true,
-        due_date: modifiedTask.due_date || null,
-        order: index,
-        energy: modifiedTask.energy || '',
-        pomodoro_count: modifiedTask.pomodoro_count || 0,
-      };
-
-      // If project_name is mentioned, try to find matching project
-      if (modifiedTask.project_name) {
-        const matches = findMatchingProjects(modifiedTask.project_name);
-        if (matches.length === 1) {
-          taskData.project_id = matches[0].id;
-        } else if (matches.length > 1) {
-          // Multiple matches - prompt user
-          const selected = window.prompt(
-            `Multiple projects match "${modifiedTask.project_name}". Please select:\n${matches.map((p, i) => `${i + 1}. ${p.name}`).join('\n')}\n\nEnter number (or cancel to skip):`
-          );
-          if (selected && !isNaN(selected)) {
-            const idx = parseInt(selected) - 1;
-            if (idx >= 0 && idx < matches.length) {
-              taskData.project_id = matches[idx].id;
-            }
-          }
-        }
+      const taskData = toTaskRecord(modifiedTask, { owner, order: index, sourceNoteId: archiveId });
+
+      // Project chosen under Project Routing (or matched automatically)
+      const project = routedProject(modifiedTask.project_name);
+      if (project) {
+        taskData.project_id = project.id;
       }
 
-      await addTask(taskData);
+      const { data: created, error: createError } = await addTask(taskData);
+      if (createError) throw createError;
+      const { error: waitingOnError } = await addWaitingOn(toWaitingOnRecords(modifiedTask, created.id, people));
+      if (waitingOnError) throw waitingOnError;
       setCreatedItems(prev => new Set([...prev, `task-${index}`]));
     } catch (err) {
       console.error('Failed to create task:', err);
@@ -249,21 +564,7 @@ export function AINotes({ onNavigate }) {
 
   const handleCreateProject = async (project, index) => {
     try {
-      if (!project || !project.name) {
-        throw new Error('Project name is required');
-      }
-
-      const projectData = {
-        name: project.name.trim(),
-        client: project.client || '',
-        status: project.status || 'in_progress',
-        phase: project.phase || '',
-        start_date: project.start_date || new Date().toISOString().split('T')[0],
-        deadline: project.deadline || null,
-        next_milestone: project.next_milestone || '',
-        notes: project.notes || '',
-        milestones: project.milestones || [],
-      };
+      const projectData = toProjectRecord(project);
 
       console.log('Creating project:', projectData);
       const createdProject = await addProject(projectData);
@@ -297,28 +598,13 @@ export function AINotes({ onNavigate }) {
 
   const handleUpdateProject = async (update, index) => {
     try {
-      const matches = findMatchingProjects(update.project_name);
-      if (matches.length === 0) {
-        alert(`No project found matching "${update.project_name}"`);
+      const project = routedProject(update.project_name);
+      if (!project) {
+        alert(`Choose a project for "${update.project_name}" under Project Routing first`);
         return;
       }
-      if (matches.length > 1) {
-        const selected = window.prompt(
-          `Multiple projects match "${update.project_name}". Please select:\n${matches.map((p, i) => `${i + 1}. ${p.name}`).join('\n')}\n\nEnter number (or cancel to skip):`
-        );
-        if (selected && !isNaN(selected)) {
-          const idx = parseInt(selected) - 1;
-          if (idx >= 0 && idx < matches.length) {
-            const updates = buildProjectUpdates(update, matches[idx]);
-            await updateProject(matches[idx].id, updates);
-            setCreatedItems(prev => new Set([...prev, `project-update-${index}`]));
-          }
-        }
-      } else {
-        const updates = buildProjectUpdates(update, matches[0]);
-        await updateProject(matches[0].id, updates);
-        setCreatedItems(prev => new Set([...prev, `project-update-${index}`]));
-      }
+      await updateProject(project.id, buildProjectUpdates(update, project));
+      setCreatedItems(prev => new Set([...prev, `project-update-${index}`]));
     } catch (err) {
       console.error('Failed to update project:', err);
       alert(`Failed to update project: ${err.message}`);
@@ -327,16 +613,7 @@ export function AINotes({ onNavigate }) {
 
   const handleCreateOpportunity = async (opp, index) => {
     try {
-      const oppData = {
-        name: opp.name,
-        contact: opp.contact || '',
-        value: opp.value || 0,
-        stage: opp.stage || 'lead',
-        next_action: opp.next_action || '',
-        due_date: opp.due_date || null,
-        notes: opp.notes || '',
-      };
-      await addOpportunity(oppData);
+      await addOpportunity(toOpportunityRecord(opp, people));
       setCreatedItems(prev => new Set([...prev, `opportunity-${index}`]));
     } catch (err) {
       console.error('Failed to create opportunity:', err);
@@ -346,14 +623,7 @@ export function AINotes({ onNavigate }) {
 
   const handleCreateContact = async (contact, index) => {
     try {
-      const contactData = {
-        name: contact.name,
-        company: contact.company || '',
-        email: contact.email || '',
-        phone: contact.phone || '',
-        notes: contact.notes || '',
-      };
-      await addContact(contactData);
+      await addContact(toContactRecord(contact));
       setCreatedItems(prev => new Set([...prev, `contact-${index}`]));
     } catch (err) {
       console.error('Failed to create contact:', err);
@@ -363,35 +633,13 @@ export function AINotes({ onNavigate }) {
 
   const handleCreateTimeEntry = async (entry, index) => {
     try {
-      let projectId = null;
-      if (entry.project_name) {
-        const matches = findMatchingProjects(entry.project_name);
-        if (matches.length === 1) {
-          projectId = matches[0].id;
-        } else if (matches.length > 1) {
-          const selected = window.prompt(
-            `Multiple projects match "${entry.project_name}". Please select:\n${matches.map((p, i) => `${i + 1}. ${p.name}`).join('\n')}\n\nEnter number (or cancel to skip):`
-          );
-          if (selected && !isNaN(selected)) {
-            const idx = parseInt(selected) - 1;
-            if (idx >= 0 && idx < matches.length) {
-              projectId = matches[idx].id;
-            }
-          }
-        }
-      }
-
-      if (!projectId) {
-        alert('Please specify a project for this time entry');
+      const project = routedProject(entry.project_name);
+      if (!project) {
+        alert('Please choose a project for this time entry under Project Routing');
         return;
       }
 
-      await logTime({
-        project_id: projectId,
-        hours: entry.hours || 0,
-        notes: entry.notes || '',
-        date: entry.date || new Date().toISOString().split('T')[0],
-      });
+      await logTime(toTimeEntryRecord(entry, project.id));
       setCreatedItems(prev => new Set([...prev, `time-entry-${index}`]));
     } catch (err) {
       console.error('Failed to create time entry:', err);
@@ -402,34 +650,34 @@ export function AINotes({ onNavigate }) {
   const handleCreateAll = async () => {
     if (!parsedData) return;
 
-    // Create all items in sequence
+    // Create all visible items in sequence
     for (let i = 0; i < parsedData.tasks.length; i++) {
-      if (!createdItems.has(`task-${i}`)) {
+      if (!createdItems.has(`task-${i}`) && !isHidden(`task-${i}`)) {
         await handleCreateTask(parsedData.tasks[i], i);
       }
     }
     for (let i = 0; i < parsedData.projects.length; i++) {
-      if (!createdItems.has(`project-${i}`)) {
+      if (!createdItems.has(`project-${i}`) && !isHidden(`project-${i}`)) {
         await handleCreateProject(parsedData.projects[i], i);
       }
     }
     for (let i = 0; i < parsedData.project_updates.length; i++) {
-      if (!createdItems.has(`project-update-${i}`)) {
+      if (!createdItems.has(`project-update-${i}`) && !isHidden(`project-update-${i}`)) {
         await handleUpdateProject(parsedData.project_updates[i], i);
       }
     }
     for (let i = 0; i < parsedData.opportunities.length; i++) {
-      if (!createdItems.has(`opportunity-${i}`)) {
+      if (!createdItems.has(`opportunity-${i}`) && !isHidden(`opportunity-${i}`)) {
         await handleCreateOpportunity(parsedData.opportunities[i], i);
       }
     }
     for (let i = 0; i < parsedData.contacts.length; i++) {
-      if (!createdItems.has(`contact-${i}`)) {
+      if (!createdItems.has(`contact-${i}`) && !isHidden(`contact-${i}`)) {
         await handleCreateContact(parsedData.contacts[i], i);
       }
     }
     for (let i = 0; i < parsedData.time_entries.length; i++) {
-      if (!createdItems.has(`time-entry-${i}`)) {
+      if (!createdItems.has(`time-entry-${i}`) && !isHidden(`time-entry-${i}`)) {
         await handleCreateTimeEntry(parsedData.time_entries[i], i);
       }
     }
@@ -474,6 +722,38 @@ export function AINotes({ onNavigate }) {
         </div>
       </div>
 
+      {/* Inbox: imported notes waiting for review */}
+      {inboxArchives.length > 0 && (
+        <Card className="p-4">
+          <h3 className="font-semibold text-surface-on mb-3">Inbox ({inboxArchives.length})</h3>
+          <div className="space-y-2">
+            {inboxArchives.map(archive => (
+              <div key={archive.id} className="flex items-center gap-3 text-sm">
+                <div className="flex-1 min-w-0">
+                  <p className="font-medium text-surface-on truncate">{archive.title}</p>
+                  <p className="text-xs text-outline">
+                    {archive.source_file || archive.source} · {formatDate(archive.created_at)}
+                    {archive.parsed_data
+                      ? ` · ${countParsedItems(archive.parsed_data)} items`
+                      : ' · freeform, parsed when opened'}
+                  </p>
+                </div>
+                <Button
+                  variant="secondary"
+                  onClick={() => handleReviewInbox(archive)}
+                  disabled={isParsing || reviewingId !== null}
+                >
+                  {reviewingId === archive.id ? 'Parsing...' : 'Review'}
+                </Button>
+                <Button variant="text" onClick={() => handleDismissInbox(archive)} disabled={reviewingId === archive.id}>
+                  Dismiss
+                </Button>
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
+
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Input Section */}
         <div className="space-y-4">
@@ -483,31 +763,64 @@ export function AINotes({ onNavigate }) {
             </label>
             <textarea
               value={noteText}
-              onChange={(e) => setNoteText(e.target.value)}
+              onChange={(e) => {
+                setNoteText(e.target.value);
+                setAudioSource(null); // edited text no longer matches the recording
+              }}
               placeholder="Paste notes from AI assistants, meeting transcripts, or any text containing tasks, projects, deadlines, etc..."
               className="w-full h-96 p-4 border border-outline rounded-md focus:ring-2 focus:ring-primary focus:border-primary resize-none font-mono text-sm"
             />
             <div className="flex gap-3 mt-4">
               <Button
-                onClick={handleParse}
-                disabled={isParsing || !noteText.trim()}
+                onClick={() => handleParse()}
+                disabled={isParsing || isTranscribing || !noteText.trim()}
                 className="flex-1"
               >
-                {isParsing ? 'Parsing...' : 'Parse Notes'}
+                {isParsing
+                  ? chunkProgress?.total > 1
+                    ? `Parsing part ${chunkProgress.chunk} of ${chunkProgress.total}...`
+                    : 'Parsing...'
+                  : 'Parse Notes'}
+              </Button>
+              <Button
+                variant="secondary"
+                onClick={() => audioInputRef.current?.click()}
+                disabled={isParsing || isTranscribing}
+              >
+                {isTranscribing ? 'Transcribing...' : 'Upload Audio'}
               </Button>
               <Button
                 variant="secondary"
                 onClick={handleClear}
-                disabled={isParsing}
+                disabled={isParsing || isTranscribing}
               >
                 Clear
               </Button>
+              <input
+                ref={audioInputRef}
+                type="file"
+                accept="audio/*"
+                onChange={handleAudioUpload}
+                className="hidden"
+              />
             </div>
+            {audioSource && (
+              <p className="mt-2 text-xs text-surface-on-variant">
+                🎙 Transcribed from {audioSource.name}
+              </p>
+            )}
             {error && (
               <div className="mt-4 p-3 bg-yellow-500/10 border border-yellow-500/25 rounded-md text-sm text-yellow-300">
                 {error}
               </div>
             )}
+            <OwnerSettings owner={owner} onSave={updateOwner} />
+            {restoredInfo && !error && (
+              <div className="mt-4 p-3 bg-blue-500/10 border border-blue-500/25 rounded-md text-sm text-blue-300">
+                Restored {restoredInfo.count} item{restoredInfo.count !== 1 ? 's' : ''} from Ignored Items
+                {restoredInfo.source && <> — from “{restoredInfo.source}”</>}.
+              </div>
+            )}
             {parseMethod === 'structured' && !error && (
               <div className="mt-4 p-3 bg-blue-500/10 border border-blue-500/25 rounded-md text-sm text-blue-300">
                 Structured notes detected — parsed without AI.
@@ -516,6 +829,25 @@ export function AINotes({ onNavigate }) {
             {parseMethod === 'freeform' && !error && (
               <div className="mt-4 p-3 bg-purple-500/10 border border-purple-500/25 rounded-md text-sm text-purple-300">
                 Freeform notes normalized via AI, then parsed.
+                {chunkCount > 1 && ` Long input split into ${chunkCount} parts and merged.`}
+                {repairAttempts > 0 && ` Output repaired ${repairAttempts}×.`}
+              </div>
+            )}
+            {parseIssues.length > 0 && !error && (
+              <div className="mt-4 p-3 bg-amber-500/10 border border-amber-500/25 rounded-md text-sm text-amber-300">
+                <p className="font-medium">
+                  {parseIssues.length} line{parseIssues.length !== 1 ? 's' : ''} could not be parsed:
+                </p>
+                <ul className="mt-1 space-y-0.5 text-xs max-h-40 overflow-y-auto">
+                  {parseIssues.map((issue, i) => (
+                    <li key={i}>
+                      {issue.chunk && <span className="text-amber-400">Part {issue.chunk} </span>}
+                      {issue.line && <span className="text-amber-400">L{issue.line} </span>}
+                      <span className="font-mono">{issue.text}</span>
+                      <span className="text-amber-400"> — {issue.reason}</span>
+                    </li>
+                  ))}
+                </ul>
               </div>
             )}
           </Card>
@@ -536,6 +868,44 @@ export function AINotes({ onNavigate }) {
                 )}
               </div>
 
+              {suppressedItems.size > 0 && (
+                <div className="p-3 bg-surface-container-high rounded-md text-sm text-surface-on-variant space-y-2">
+                  <div className="flex items-center justify-between gap-3">
+                    <span>
+                      {suppressedItems.size} item{suppressedItems.size !== 1 ? 's' : ''} hidden — similar to things you ignored before.
+                    </span>
+                    <button
+                      onClick={() => setShowSuppressed(prev => !prev)}
+                      className="text-xs font-medium text-primary hover:underline shrink-0"
+                    >
+                      {showSuppressed ? 'Hide suppressed' : 'Show suppressed'}
+                    </button>
+                  </div>
+                  <label className="flex items-center gap-2 text-xs">
+                    Match threshold
+                    <input
+                      type="range"
+                      min="0.6"
+                      max="1"
+                      step="0.05"
+                      value={suppressThreshold}
+                      onChange={(e) => handleSuppressThresholdChange(parseFloat(e.target.value))}
+                      className="flex-1"
+                    />
+                    <span className="w-8 text-right">{Math.round(suppressThreshold * 100)}%</span>
+                  </label>
+                </div>
+              )}
+
+              <ProjectRouting
+                groups={projectGroups}
+                projects={projects}
+                onRoute={handleRouteProject}
+                onCreateProject={handleCreateRoutedProject}
+                onRememberAlias={handleRememberAlias}
+                creatingName={creatingProjectName}
+              />
+
               {/* Tasks */}
               {parsedData.tasks.length > 0 && (
                 <ExtractedSection
@@ -580,6 +950,7 @@ export function AINotes({ onNavigate }) {
                         </Card>
                       );
                     }
+                    if (isHidden(`task-${i}`)) return null;
                     const modifiedTask = getTaskWithMods(task, i);
                     const isCreated = createdItems.has(`task-${i}`);
                     const isSelected = selectedTaskIndices.has(i);
@@ -594,6 +965,7 @@ export function AINotes({ onNavigate }) {
                         onCreate={() => handleCreateTask(task, i)}
                         onLater={() => handleLaterItem('task', task, i)}
                         onUpdateField={(field, value) => handleUpdateTaskField(i, field, value)}
+                        suppressedBy={suppressedItems.get(`task-${i}`)}
                       />
                     );
                   })}
@@ -604,13 +976,14 @@ export function AINotes({ onNavigate }) {
               {parsedData.projects.length > 0 && (
                 <ExtractedSection title="New Projects" count={parsedData.projects.length}>
                   {parsedData.projects.map((project, i) => {
-                    if (sessionIgnoredItems.has(`project-${i}`)) return null;
+                    if (isHidden(`project-${i}`)) return null;
                     return (
                     <ExtractedItem
                       key={`project-${i}`}
                       isCreated={createdItems.has(`project-${i}`)}
                       onCreate={() => handleCreateProject(project, i)}
                       onLater={() => handleLaterItem('project', project, i)}
+                      suppressedBy={suppressedItems.get(`project-${i}`)}
                     >
                       <div className="space-y-2">
                         <div className="flex items-start gap-2">
@@ -642,13 +1015,14 @@ export function AINotes({ onNavigate }) {
               {parsedData.project_updates.length > 0 && (
                 <ExtractedSection title="Project Updates" count={parsedData.project_updates.length}>
                   {parsedData.project_updates.map((update, i) => {
-                    if (sessionIgnoredItems.has(`project-update-${i}`)) return null;
+                    if (isHidden(`project-update-${i}`)) return null;
                     return (
                     <ExtractedItem
                       key={`project-update-${i}`}
                       isCreated={createdItems.has(`project-update-${i}`)}
                       onCreate={() => handleUpdateProject(update, i)}
                       onLater={() => handleLaterItem('project-update', update, i)}
+                      suppressedBy={suppressedItems.get(`project-update-${i}`)}
                     >
                       <div className="space-y-1">
                         <div className="font-medium text-surface-on">{update.project_name}</div>
@@ -686,13 +1060,14 @@ export function AINotes({ onNavigate }) {
               {parsedData.opportunities.length > 0 && (
                 <ExtractedSection title="Opportunities" count={parsedData.opportunities.length}>
                   {parsedData.opportunities.map((opp, i) => {
-                    if (sessionIgnoredItems.has(`opportunity-${i}`)) return null;
+                    if (isHidden(`opportunity-${i}`)) return null;
                     return (
                     <ExtractedItem
                       key={`opportunity-${i}`}
                       isCreated={createdItems.has(`opportunity-${i}`)}
                       onCreate={() => handleCreateOpportunity(opp, i)}
                       onLater={() => handleLaterItem('opportunity', opp, i)}
+                      suppressedBy={suppressedItems.get(`opportunity-${i}`)}
                     >
                       <div className="space-y-1">
                         <div className="font-medium text-surface-on">{opp.name}</div>
@@ -712,13 +1087,14 @@ export function AINotes({ onNavigate }) {
               {parsedData.contacts.length > 0 && (
                 <ExtractedSection title="Contacts" count={parsedData.contacts.length}>
                   {parsedData.contacts.map((contact, i) => {
-                    if (sessionIgnoredItems.has(`contact-${i}`)) return null;
+                    if (isHidden(`contact-${i}`)) return null;
                     return (
                     <ExtractedItem
                       key={`contact-${i}`}
                       isCreated={createdItems.has(`contact-${i}`)}
                       onCreate={() => handleCreateContact(contact, i)}
                       onLater={() => handleLaterItem('contact', contact, i)}
+                      suppressedBy={suppressedItems.get(`contact-${i}`)}
                     >
                       <div className="space-y-1">
                         <div className="font-medium text-surface-on">{contact.name}</div>
@@ -738,13 +1114,14 @@ export function AINotes({ onNavigate }) {
               {parsedData.time_entries.length > 0 && (
                 <ExtractedSection title="Time Entries" count={parsedData.time_entries.length}>
                   {parsedData.time_entries.map((entry, i) => {
-                    if (sessionIgnoredItems.has(`time-entry-${i}`)) return null;
+                    if (isHidden(`time-entry-${i}`)) return null;
                     return (
                     <ExtractedItem
                       key={`time-entry-${i}`}
                       isCreated={createdItems.has(`time-entry-${i}`)}
                       onCreate={() => handleCreateTimeEntry(entry, i)}
                       onLater={() => handleLaterItem('time-entry', entry, i)}
+                      suppressedBy={suppressedItems.get(`time-entry-${i}`)}
                     >
                       <div className="space-y-1">
                         <div className="font-medium text-surface-on">{entry.hours}h - {entry.notes}</div>
@@ -767,6 +1144,24 @@ export function AINotes({ onNavigate }) {
             </div>
           )}
 
+          {isParsing && !parsedData && (
+            <Card className="p-4 space-y-3">
+              <div className="flex items-center gap-2 text-sm text-surface-on-variant">
+                <span className="inline-block w-2 h-2 rounded-full bg-primary animate-pulse" />
+                Drafting… {streamedTasks.length} task{streamedTasks.length !== 1 ? 's' : ''} so far
+                {chunkProgress?.total > 1 && ` (part ${chunkProgress.chunk} of ${chunkProgress.total})`}
+              </div>
+              {streamedTasks.map((task, i) => (
+                <div key={i} className="p-3 rounded-lg bg-surface-container-high text-sm">
+                  <div className="font-medium text-surface-on">{task.title}</div>
+                  <div className="text-xs text-outline">
+                    {[task.project_name, task.due_date, task.priority].filter(Boolean).join(' · ')}
+                  </div>
+                </div>
+              ))}
+            </Card>
+          )}
+
           {!parsedData && !isParsing && (
             <Card className="p-12 text-center text-outline">
               <div className="text-4xl mb-4">📝</div>
@@ -779,13 +1174,18 @@ export function AINotes({ onNavigate }) {
       {/* Archive Sheet */}
       <Sheet
         isOpen={showArchive}
-        onClose={() => { setShowArchive(false); setSelectedArchive(null); }}
+        onClose={() => {
+          setShowArchive(false);
+          setSelectedArchive(null);
+          setReparse(null);
+          if (!bulkReparse?.running) setBulkReparse(null);
+        }}
         title="Notes History"
       >
         {selectedArchive ? (
           <div className="space-y-4">
             <button
-              onClick={() => setSelectedArchive(null)}
+              onClick={() => { setSelectedArchive(null); setReparse(null); }}
               className="flex items-center gap-2 text-sm text-surface-on-variant hover:text-surface-on"
             >
               <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -801,6 +1201,10 @@ export function AINotes({ onNavigate }) {
               </p>
             </div>
 
+            {selectedArchive.audio_name && (
+              <ArchivedAudio path={selectedArchive.audio_path} name={selectedArchive.audio_name} />
+            )}
+
             <div className="bg-surface p-4 rounded-md max-h-64 overflow-y-auto">
               <pre className="text-xs text-surface-on-variant whitespace-pre-wrap font-mono">
                 {selectedArchive.raw_text}
@@ -815,6 +1219,43 @@ export function AINotes({ onNavigate }) {
               {selectedArchive.parsed_data?.contacts?.length || 0} contacts
             </div>
 
+            <div className="p-3 bg-surface rounded-md space-y-3">
+              <div className="flex items-center justify-between gap-3">
+                <span className="text-xs text-surface-on-variant">
+                  Parser v{archiveVersion(selectedArchive)}
+                  {archiveVersion(selectedArchive) < PARSER_VERSION && ` — current is v${PARSER_VERSION}`}
+                </span>
+                <Button
+                  variant="secondary"
+                  className="text-xs px-3 py-1.5"
+                  onClick={() => handleReparseArchive(selectedArchive)}
+                  disabled={reparse?.running}
+                >
+                  {reparse?.running ? 'Re-parsing...' : 'Re-parse'}
+                </Button>
+              </div>
+              {reparse?.error && (
+                <p className="text-sm text-yellow-300">Failed to re-parse: {reparse.error}</p>
+              )}
+              {reparse?.diff && (
+                <>
+                  <ReparseDiff diff={reparse.diff} />
+                  <div className="flex gap-2">
+                    <Button
+                      variant="secondary"
+                      className="text-xs px-3 py-1.5"
+                      onClick={() => handleLoadArchive({ ...selectedArchive, parsed_data: reparse.fresh })}
+                    >
+                      Review in Editor
+                    </Button>
+                    <Button className="text-xs px-3 py-1.5 flex-1" onClick={handleSaveReparse}>
+                      Save to Archive
+                    </Button>
+                  </div>
+                </>
+              )}
+            </div>
+
             <div className="flex gap-3 pt-4 border-t border-outline-variant">
               <Button variant="secondary" onClick={() => handleDeleteArchive(selectedArchive.id)}>
                 Delete
@@ -826,7 +1267,120 @@ export function AINotes({ onNavigate }) {
           </div>
         ) : (
           <div className="space-y-4">
-            {notesArchive && notesArchive.length > 0 ? (
+            <form onSubmit={handleSearchArchive} className="space-y-2">
+              <div className="flex gap-2">
+                <input
+                  type="search"
+                  value={archiveSearch.query}
+                  onChange={(e) => setArchiveSearch({ ...archiveSearch, query: e.target.value })}
+                  placeholder="Search notes..."
+                  className="flex-1 px-3 py-2 border border-outline rounded-md focus:ring-2 focus:ring-primary focus:border-primary text-sm"
+                />
+                <Button type="submit" className="text-sm" disabled={isSearching}>
+                  {isSearching ? 'Searching...' : 'Search'}
+                </Button>
+              </div>
+              <div className="flex gap-2 text-xs">
+                <input
+                  type="date"
+                  value={archiveSearch.from}
+                  onChange={(e) => setArchiveSearch({ ...archiveSearch, from: e.target.value })}
+                  className="flex-1 px-2 py-1.5 border border-outline rounded-md"
+                  title="From"
+                />
+                <input
+                  type="date"
+                  value={archiveSearch.to}
+                  onChange={(e) => setArchiveSearch({ ...archiveSearch, to: e.target.value })}
+                  className="flex-1 px-2 py-1.5 border border-outline rounded-md"
+                  title="To"
+                />
+                <select
+                  value={archiveSearch.projectId}
+                  onChange={(e) => setArchiveSearch({ ...archiveSearch, projectId: e.target.value })}
+                  className="flex-1 px-2 py-1.5 border border-outline rounded-md"
+                >
+                  <option value="">All projects</option>
+                  {(projects || []).map(p => (
+                    <option key={p.id} value={p.id}>{p.name}</option>
+                  ))}
+                </select>
+              </div>
+            </form>
+
+            {searchError && (
+              <p className="text-sm text-yellow-300">Search failed: {searchError}</p>
+            )}
+
+            {searchResults && (
+              <div className="space-y-2">
+                <div className="flex items-center justify-between text-sm text-surface-on-variant">
+                  <span>{searchResults.length} result{searchResults.length !== 1 ? 's' : ''}</span>
+                  <button onClick={handleClearSearch} className="text-xs hover:text-surface-on">
+                    Clear search
+                  </button>
+                </div>
+                {searchResults.map(result => (
+                  <div
+                    key={result.id}
+                    onClick={() => setSelectedArchive(notesArchive.find(a => a.id === result.id) || null)}
+                    className="p-4 bg-surface rounded-md hover:bg-surface-container-high cursor-pointer transition-colors"
+                  >
+                    <h4 className="font-medium text-surface-on truncate">{result.title}</h4>
+                    <p className="text-xs text-surface-on-variant mt-1">{formatDate(result.created_at)}</p>
+                    <p className="text-xs text-outline mt-2">
+                      <HighlightedSnippet text={result.snippet} />
+                    </p>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {!searchResults && (bulkReparse ? (
+              <div className="p-4 bg-surface rounded-md space-y-3">
+                <div className="flex items-center justify-between gap-3 text-sm text-surface-on">
+                  <span>
+                    {bulkReparse.running
+                      ? `Re-parsing ${bulkReparse.done + 1} of ${bulkReparse.total}...`
+                      : `Re-parsed ${bulkReparse.total} note${bulkReparse.total !== 1 ? 's' : ''}`}
+                  </span>
+                  {!bulkReparse.running && (
+                    <button
+                      onClick={() => setBulkReparse(null)}
+                      className="text-xs text-surface-on-variant hover:text-surface-on"
+                    >
+                      Discard
+                    </button>
+                  )}
+                </div>
+                {bulkReparse.results.map(({ archive, diff, error: reparseError }) => (
+                  <details key={archive.id} className="text-sm">
+                    <summary className="cursor-pointer text-surface-on">
+                      {archive.title}
+                      <span className={`ml-2 text-xs ${reparseError ? 'text-yellow-300' : 'text-outline'}`}>
+                        {reparseError ? `Failed: ${reparseError}` : summarizeParsedDiff(diff)}
+                      </span>
+                    </summary>
+                    {diff && <div className="mt-2 ml-4"><ReparseDiff diff={diff} /></div>}
+                  </details>
+                ))}
+                {!bulkReparse.running && bulkReparse.results.some(result => !result.error) && (
+                  <Button className="w-full text-sm" onClick={handleSaveBulkReparse}>
+                    Save All to Archive
+                  </Button>
+                )}
+              </div>
+            ) : outdatedArchives.length > 0 && (
+              <div className="p-3 bg-surface rounded-md flex items-center justify-between gap-3 text-sm text-surface-on-variant">
+                <span>
+                  {outdatedArchives.length} note{outdatedArchives.length !== 1 ? 's' : ''} parsed with an older parser.
+                </span>
+                <Button variant="secondary" className="text-xs px-3 py-1.5 shrink-0" onClick={handleBulkReparse}>
+                  Re-parse All
+                </Button>
+              </div>
+            ))}
+            {!searchResults && (notesArchive && notesArchive.length > 0 ? (
               notesArchive.map((archive) => (
                 <div
                   key={archive.id}
@@ -842,6 +1396,7 @@ export function AINotes({ onNavigate }) {
                       <p className="text-xs text-outline mt-1">
                         {archive.parsed_data?.tasks?.length || 0} tasks,{' '}
                         {archive.parsed_data?.projects?.length || 0} projects
+                        {archiveVersion(archive) < PARSER_VERSION && ` • parser v${archiveVersion(archive)}`}
                       </p>
                     </div>
                     <svg className="w-5 h-5 text-outline shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -856,7 +1411,7 @@ export function AINotes({ onNavigate }) {
                 <p>No archived notes yet.</p>
                 <p className="text-sm mt-2">Parse some notes to see them here.</p>
               </div>
-            )}
+            ))}
           </div>
         )}
       </Sheet>
@@ -872,6 +1427,89 @@ export function AINotes({ onNavigate }) {
   );
 }
 
+// Search snippets mark matched words with ⟦ ⟧ (see search_notes_archive)
+function HighlightedSnippet({ text }) {
+  return (text || '').split(/(⟦[^⟧]*⟧)/).map((part, i) =>
+    part.startsWith('⟦')
+      ? <mark key={i} className="bg-amber-500/25 text-surface-on rounded-sm">{part.slice(1, -1)}</mark>
+      : part
+  );
+}
+
+// Playback for the voice memo an archived note was transcribed from
+function ArchivedAudio({ path, name }) {
+  const [url, setUrl] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    getAudioUrl(path).then(signedUrl => {
+      if (!cancelled) setUrl(signedUrl);
+    });
+    return () => { cancelled = true; };
+  }, [path]);
+
+  return (
+    <div className="space-y-2">
+      <p className="text-xs text-surface-on-variant">🎙 Transcribed from {name}</p>
+      {url && <audio controls src={url} className="w-full" />}
+    </div>
+  );
+}
+
+function OwnerSettings({ owner, onSave }) {
+  const [isEditing, setIsEditing] = useState(false);
+  const [name, setName] = useState('');
+  const [aliases, setAliases] = useState('');
+
+  const handleEdit = () => {
+    setName(owner.name);
+    setAliases((owner.aliases || []).join(', '));
+    setIsEditing(true);
+  };
+
+  const handleSave = async () => {
+    const { error } = await onSave({
+      name: name.trim() || owner.name,
+      aliases: aliases.split(',').map(a => a.trim()).filter(Boolean),
+    });
+    if (error) {
+      alert(`Failed to save owner: ${error.message}`);
+      return;
+    }
+    setIsEditing(false);
+  };
+
+  if (!isEditing) {
+    return (
+      <div className="mt-3 text-xs text-surface-on-variant">
+        Tasks are assigned to <span className="font-medium text-surface-on">{owner.name}</span>
+        {owner.aliases?.length > 0 && <span> (aka {owner.aliases.join(', ')})</span>}
+        {' unless notes name someone else. '}
+        <button onClick={handleEdit} className="underline hover:text-surface-on">Change</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-3 flex flex-wrap items-center gap-2">
+      <input
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        placeholder="Your name"
+        className="text-sm border border-outline-variant rounded-md px-2 py-1 focus:ring-1 focus:ring-primary focus:border-primary"
+      />
+      <input
+        value={aliases}
+        onChange={(e) => setAliases(e.target.value)}
+        placeholder="Aliases, comma separated"
+        className="flex-1 text-sm border border-outline-variant rounded-md px-2 py-1 focus:ring-1 focus:ring-primary focus:border-primary"
+      />
+      <Button onClick={handleSave} className="text-xs px-3 py-1.5">Save</Button>
+      <Button variant="secondary" onClick={() => setIsEditing(false)} className="text-xs px-3 py-1.5">Cancel</Button>
+    </div>
+  );
+}
+
 function ExtractedSection({ title, count, children, headerActions }) {
   return (
     <div className="space-y-2">
@@ -886,11 +1524,14 @@ function ExtractedSection({ title, count, children, headerActions }) {
   );
 }
 
-function ExtractedItem({ children, isCreated, onCreate, onLater }) {
+function ExtractedItem({ children, isCreated, onCreate, onLater, suppressedBy }) {
   return (
     <Card className={`p-4 ${isCreated ? 'bg-green-500/10 border-green-500/25' : ''}`}>
       <div className="flex justify-between items-start gap-4">
-        <div className="flex-1">{children}</div>
+        <div className="flex-1">
+          {children}
+          <SuppressedNote title={suppressedBy} />
+        </div>
         <div className="flex items-center gap-2 shrink-0">
           {!isCreated ? (
             <>
@@ -915,18 +1556,6 @@ function ExtractedItem({ children, isCreated, onCreate, onLater }) {
   );
 }
 
-// Category types (project-relevant)
-const ENERGY_TYPES = [
-  { id: '', label: 'Uncategorized' },
-  { id: 'vendor', label: 'Vendor' },
-  { id: 'design', label: 'Design' },
-  { id: 'coordination', label: 'Coordination' },
-  { id: 'procurement', label: 'Procurement' },
-  { id: 'onsite', label: 'On-site' },
-  { id: 'dev', label: 'Dev' },
-  { id: 'admin', label: 'Admin' },
-];
-
 const PRIORITY_OPTIONS = [
   { id: '', label: 'No Priority', color: 'bg-surface-container-high border-outline text-surface-on-variant' },
   { id: 'low', label: '🟢 Low', color: 'bg-green-500/15 border-green-500/30 text-green-400' },
@@ -934,7 +1563,14 @@ const PRIORITY_OPTIONS = [
   { id: 'high', label: '🔴 High', color: 'bg-red-500/15 border-red-500/30 text-red-400' },
 ];
 
-function ExtractedTaskItem({ task, index, isCreated, isSelected, onToggleSelect, onCreate, onLater, onUpdateField }) {
+// Shown on items that would be hidden as near-duplicates of ignored ones
+function SuppressedNote({ title }) {
+  if (!title) return null;
+  return <p className="mt-2 text-xs text-outline">Similar to ignored “{title}”</p>;
+}
+
+function ExtractedTaskItem({ task, index, isCreated, isSelected, onToggleSelect, onCreate, onLater, onUpdateField, suppressedBy }) {
+  const { categories } = useTaskCategories();
   const [showDetails, setShowDetails] = useState(false);
   const [titleExpanded, setTitleExpanded] = useState(false);
   const isTitleLong = task.title && task.title.length > 60;
@@ -990,28 +1626,47 @@ function ExtractedTaskItem({ task, index, isCreated, isSelected, onToggleSelect,
             {task.subtitle && (
               <div className="text-xs text-surface-on-variant mt-0.5">{task.subtitle}</div>
             )}
+            {task.checklist?.length > 0 && (
+              <ul className="mt-1 space-y-0.5 text-xs text-surface-on-variant">
+                {task.checklist.map((item, i) => (
+                  <li key={i} className={item.done ? 'line-through text-outline' : ''}>
+                    {item.done ? '☑' : '☐'} {item.text}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <SuppressedNote title={suppressedBy} />
           </div>
         </div>
 
         {/* Controls row */}
         {!isCreated && (
           <div className="space-y-2">
-            {/* Energy tags */}
+            {/* Category tags */}
             <div className="flex flex-wrap gap-1.5">
-              {ENERGY_TYPES.map(energy => (
+              <button
+                onClick={() => onUpdateField('energy', '')}
+                className={`text-xs px-2 py-1 rounded-md border transition-all ${
+                  currentEnergy === ''
+                    ? 'bg-surface-container-high border-outline text-surface-on-variant'
+                    : 'bg-surface-container border-outline-variant text-outline hover:text-surface-on-variant hover:border-outline'
+                }`}
+              >
+                Uncategorized
+              </button>
+              {categories.map(category => (
                 <button
-                  key={energy.id}
-                  onClick={() => onUpdateField('energy', energy.id === currentEnergy ? '' : energy.id)}
+                  key={category.key}
+                  onClick={() => onUpdateField('energy', category.key === currentEnergy ? '' : category.key)}
                   className={`text-xs px-2 py-1 rounded-md border transition-all ${
-                    currentEnergy === energy.id
+                    currentEnergy === category.key
                       ? 'bg-primary-container border-primary text-primary'
-                      : energy.id === '' && currentEnergy === ''
-                        ? 'bg-surface-container-high border-outline text-surface-on-variant'
-                        : 'bg-surface-container border-outline-variant text-outline hover:text-surface-on-variant hover:border-outline'
+                      : 'bg-surface-container border-outline-variant text-outline hover:text-surface-on-variant hover:border-outline'
                   }`}
-                  title={energy.desc || ''}
+                  title={category.synonyms?.length > 0 ? `Also: ${category.synonyms.join(', ')}` : ''}
                 >
-                  {energy.label}
+                  {category.icon && <span className="mr-1">{category.icon}</span>}
+                  {category.label}
                 </button>
               ))}
             </div>
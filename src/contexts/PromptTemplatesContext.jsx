@@ -0,0 +1,6 @@
+import { PromptTemplatesContext, usePromptTemplatesData } from '@/hooks/usePromptTemplates';
+
+export function PromptTemplatesProvider({ children }) {
+  const promptTemplates = usePromptTemplatesData();
+  return <PromptTemplatesContext.Provider value={promptTemplates}>{children}</PromptTemplatesContext.Provider>;
+}
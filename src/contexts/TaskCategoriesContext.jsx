@@ -0,0 +1,6 @@
+import { TaskCategoriesContext, useTaskCategoriesData } from '@/hooks/useTaskCategories';
+
+export function TaskCategoriesProvider({ children }) {
+  const taskCategories = useTaskCategoriesData();
+  return <TaskCategoriesContext.Provider value={taskCategories}>{children}</TaskCategoriesContext.Provider>;
+}
@@ -210,8 +210,9 @@ export function useAsana() {
    * @param {string} projectId - Asana project GID
    * @param {string} workspaceId - Asana workspace GID
    * @param {boolean} saveDefaults - Whether to save as default project
+   * @param {Array} categories - Task categories, for the category line in the notes
    */
-  const exportTasks = useCallback(async (tasks, projectId, workspaceId, saveDefaults = false) => {
+  const exportTasks = useCallback(async (tasks, projectId, workspaceId, saveDefaults = false, categories) => {
     if (!tasks || tasks.length === 0) {
       throw new Error('No tasks to export');
     }
@@ -220,7 +221,7 @@ export function useAsana() {
       const authHeader = await getAuthHeader();
       if (!authHeader) throw new Error('Not authenticated');
 
-      const mappedTasks = mapTasksForAsanaExport(tasks);
+      const mappedTasks = mapTasksForAsanaExport(tasks, categories);
       const baseUrl = getAsanaApiBaseUrl();
 
       const response = await fetch(`${baseUrl}/create-tasks`, {
@@ -1,4 +1,5 @@
-import { useCallback } from 'react';
+import { useState, useEffect, useCallback } from 'react';
+import { supabase, isSupabaseConfigured } from '@/lib/supabase';
 import { useSupabaseTable } from './useSupabaseTable';
 
 /**
@@ -11,6 +12,7 @@ export function useNotesArchive() {
     loading,
     error,
     create,
+    update,
     remove,
     refresh,
   } = useSupabaseTable('notes_archive');
@@ -20,21 +22,74 @@ export function useNotesArchive() {
     return create(archive);
   }, [create]);
 
+  // Update an archive entry (e.g. after a re-parse)
+  const updateNotesArchive = useCallback(async (id, updates) => {
+    return update(id, updates);
+  }, [update]);
+
   // Delete from archive
   const deleteNotesArchive = useCallback(async (id) => {
     return remove(id);
   }, [remove]);
 
+  // Full-text search (search_notes_archive in migration 010)
+  // Snippets mark matched words with ⟦ ⟧
+  const searchNotesArchive = useCallback(async ({ query = '', from = null, to = null, projectId = null } = {}) => {
+    if (!isSupabaseConfigured()) {
+      return { data: null, error: new Error('Supabase not configured') };
+    }
+
+    const { data, error: searchError } = await supabase.rpc('search_notes_archive', {
+      search_query: query.trim() || null,
+      date_from: from || null,
+      date_to: to || null,
+      filter_project_id: projectId || null,
+    });
+    if (searchError) console.error('Error searching notes archive:', searchError);
+    return { data: data || [], error: searchError };
+  }, []);
+
   return {
     notesArchive,
     loading,
     error,
     addNotesArchive,
+    updateNotesArchive,
     deleteNotesArchive,
+    searchNotesArchive,
     refresh,
   };
 }
 
+/**
+ * Hook for the archived notes a task was created from (tasks.source_note_id)
+ */
+export function useNoteSource(noteId) {
+  const [note, setNote] = useState(null);
+
+  useEffect(() => {
+    if (!noteId || !isSupabaseConfigured()) {
+      setNote(null);
+      return;
+    }
+
+    let cancelled = false;
+    supabase
+      .from('notes_archive')
+      .select('id, title, raw_text, created_at')
+      .eq('id', noteId)
+      .single()
+      .then(({ data, error }) => {
+        if (error) console.error('Error fetching source note:', error);
+        if (!cancelled) setNote(data || null);
+      });
+
+    return () => { cancelled = true; };
+  }, [noteId]);
+
+  return note;
+}
+
 /**
  * Hook for managing ignored items (for AI notes parser "Later" feature)
  * Table: toditox_ignored_items
@@ -49,9 +104,13 @@ export function useIgnoredItems() {
     refresh,
   } = useSupabaseTable('ignored_items');
 
-  // Add ignored item
-  const addIgnoredItem = useCallback(async (item) => {
-    return create(item);
+  // Add ignored item, linked to the archived notes it came from
+  const addIgnoredItem = useCallback(async ({ type, item, notesArchiveId = null }) => {
+    return create({
+      item_type: type,
+      item_data: item,
+      notes_archive_id: notesArchiveId,
+    });
   }, [create]);
 
   // Delete ignored item
@@ -0,0 +1,57 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { supabase, isSupabaseConfigured } from '@/lib/supabase';
+import { DEFAULT_OWNER } from '@/lib/note-parser';
+
+/**
+ * Hook for the current user's task-owner profile (used by the notes parser)
+ * Stored in Supabase auth user_metadata: owner_name, owner_aliases
+ */
+export function useOwner() {
+  const [user, setUser] = useState(null);
+
+  useEffect(() => {
+    if (!isSupabaseConfigured()) return;
+
+    supabase.auth.getUser().then(({ data }) => setUser(data?.user ?? null));
+
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, session) => {
+      setUser(session?.user ?? null);
+    });
+
+    return () => subscription.unsubscribe();
+  }, []);
+
+  // Explicit owner name, else the OAuth display name, else the email handle
+  const owner = useMemo(() => {
+    if (!user) return DEFAULT_OWNER;
+    const meta = user.user_metadata || {};
+    return {
+      name: meta.owner_name || meta.full_name || meta.name || user.email?.split('@')[0] || DEFAULT_OWNER.name,
+      aliases: meta.owner_aliases || [],
+    };
+  }, [user]);
+
+  // Update owner name and aliases
+  const updateOwner = useCallback(async ({ name, aliases }) => {
+    if (!isSupabaseConfigured()) {
+      return { data: null, error: new Error('Supabase not configured') };
+    }
+
+    try {
+      const { data, error } = await supabase.auth.updateUser({
+        data: { owner_name: name, owner_aliases: aliases },
+      });
+      if (error) throw error;
+      setUser(data.user);
+      return { data: data.user, error: null };
+    } catch (err) {
+      console.error('Error updating owner profile:', err);
+      return { data: null, error: err };
+    }
+  }, []);
+
+  return {
+    owner,
+    updateOwner,
+  };
+}
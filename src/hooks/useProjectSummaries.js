@@ -0,0 +1,129 @@
+import { useState, useEffect, useCallback } from 'react';
+import { supabase, isSupabaseConfigured } from '@/lib/supabase';
+import { useSupabaseTable } from './useSupabaseTable';
+
+/**
+ * Hook for one project's AI summary history
+ * Table: project_summaries
+ * Columns: project_id (FK), summary, stats ({ done, in_progress, todo, overdue }),
+ *          source (manual/digest), digest_id (FK), created_at
+ * Summaries are newest first.
+ */
+export function useProjectSummaries(projectId) {
+  const [summaries, setSummaries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    if (!projectId || !isSupabaseConfigured()) {
+      setSummaries([]);
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    supabase
+      .from('project_summaries')
+      .select('*')
+      .eq('project_id', projectId)
+      .order('created_at', { ascending: false })
+      .then(({ data, error }) => {
+        if (error) console.error('Error fetching project summaries:', error);
+        if (!cancelled) {
+          setSummaries(data || []);
+          setLoading(false);
+        }
+      });
+
+    return () => { cancelled = true; };
+  }, [projectId]);
+
+  // Save a summary generated from the Overview tab
+  const addSummary = useCallback(async ({ summary, stats }) => {
+    if (!isSupabaseConfigured()) {
+      return { data: null, error: new Error('Supabase not configured') };
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('project_summaries')
+        .insert([{ project_id: projectId, summary, stats, source: 'manual' }])
+        .select()
+        .single();
+
+      if (error) throw error;
+      setSummaries(prev => [data, ...prev]);
+      return { data, error: null };
+    } catch (err) {
+      console.error('Error saving project summary:', err);
+      return { data: null, error: err };
+    }
+  }, [projectId]);
+
+  return {
+    summaries,
+    loading,
+    addSummary,
+  };
+}
+
+// Digest job endpoint on server.js. The Vercel functions have no digest
+// route, so a production build can only reach one set in VITE_PROXY_URL.
+function getDigestApiUrl() {
+  const proxyUrl = import.meta.env.VITE_PROXY_URL || (import.meta.env.PROD ? null : 'http://localhost:3001');
+  return proxyUrl ? proxyUrl + '/api/digests/weekly' : null;
+}
+
+/**
+ * Hook for weekly digests (generated by the server.js digest job)
+ * Table: weekly_digests
+ * Columns: week_start (Monday), content (markdown), project_count
+ */
+export function useWeeklyDigests() {
+  const {
+    data: digests,
+    loading,
+    error,
+    refresh,
+  } = useSupabaseTable('weekly_digests', { orderBy: 'week_start' });
+  const [generating, setGenerating] = useState(false);
+
+  // Run this week's digest now instead of waiting for the schedule
+  const generateDigest = useCallback(async () => {
+    const apiUrl = getDigestApiUrl();
+    if (!apiUrl) {
+      return { data: null, error: new Error('No digest server configured') };
+    }
+
+    setGenerating(true);
+    try {
+      const { data: { session } } = await supabase.auth.getSession();
+      if (!session?.access_token) throw new Error('Not authenticated');
+
+      const response = await fetch(apiUrl, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${session.access_token}` },
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(result.error || `HTTP error! status: ${response.status}`);
+
+      await refresh();
+      return { data: result, error: null };
+    } catch (err) {
+      console.error('Error generating weekly digest:', err);
+      return { data: null, error: err };
+    } finally {
+      setGenerating(false);
+    }
+  }, [refresh]);
+
+  return {
+    digests,
+    loading,
+    error,
+    generating,
+    canGenerate: Boolean(getDigestApiUrl()),
+    generateDigest,
+    refresh,
+  };
+}
@@ -0,0 +1,112 @@
+import { createContext, useContext, useEffect, useMemo, useCallback } from 'react';
+import { supabase, isSupabaseConfigured } from '@/lib/supabase';
+import { useSupabaseTable } from './useSupabaseTable';
+import { setPromptTemplates } from '@/lib/prompt-templates';
+
+// Filled by PromptTemplatesProvider, so the whole app shares one copy
+export const PromptTemplatesContext = createContext(null);
+
+/** Prompt templates from PromptTemplatesProvider */
+export function usePromptTemplates() {
+  const ctx = useContext(PromptTemplatesContext);
+  if (!ctx) throw new Error('usePromptTemplates must be used within PromptTemplatesProvider');
+  return ctx;
+}
+
+/**
+ * Hook for versioned LLM prompt templates
+ * Table: prompt_templates
+ * Columns: key (normalize/new-project/summary), version, body, note, is_active
+ * A key with no active version uses the built-in prompt (version 0). The
+ * active bodies are handed to the notes parser as they change.
+ * Used by PromptTemplatesProvider; components read it with usePromptTemplates.
+ */
+export function usePromptTemplatesData() {
+  const {
+    data,
+    loading,
+    error,
+    create,
+    refresh,
+  } = useSupabaseTable('prompt_templates', { orderBy: 'version' });
+
+  // key → active row
+  const activeTemplates = useMemo(() => Object.fromEntries(
+    data.filter(row => row.is_active).map(row => [row.key, row])
+  ), [data]);
+
+  useEffect(() => {
+    setPromptTemplates(Object.fromEntries(
+      Object.entries(activeTemplates).map(([key, row]) => [key, row.body])
+    ));
+  }, [activeTemplates]);
+
+  // Saved versions of one template, newest first
+  const versionsFor = useCallback((key) => (
+    data.filter(row => row.key === key).sort((a, b) => b.version - a.version)
+  ), [data]);
+
+  const deactivate = async (key) => {
+    const { error: updateError } = await supabase
+      .from('prompt_templates')
+      .update({ is_active: false })
+      .eq('key', key)
+      .eq('is_active', true);
+    if (updateError) throw updateError;
+  };
+
+  // Save a new version and make it the active one
+  const saveTemplate = useCallback(async (key, body, note = '') => {
+    if (!isSupabaseConfigured()) {
+      return { data: null, error: new Error('Supabase not configured') };
+    }
+
+    try {
+      const version = data
+        .filter(row => row.key === key)
+        .reduce((max, row) => Math.max(max, row.version), 0) + 1;
+      await deactivate(key);
+      const result = await create({ key, version, body, note: note.trim() || null, is_active: true });
+      if (result.error) throw result.error;
+      await refresh();
+      return result;
+    } catch (err) {
+      console.error('Error saving prompt template:', err);
+      return { data: null, error: err };
+    }
+  }, [data, create, refresh]);
+
+  // Roll back (or forward) to a saved version; null goes back to the built-in prompt
+  const activateVersion = useCallback(async (key, id) => {
+    if (!isSupabaseConfigured()) {
+      return { error: new Error('Supabase not configured') };
+    }
+
+    try {
+      await deactivate(key);
+      if (id) {
+        const { error: updateError } = await supabase
+          .from('prompt_templates')
+          .update({ is_active: true })
+          .eq('id', id);
+        if (updateError) throw updateError;
+      }
+      await refresh();
+      return { error: null };
+    } catch (err) {
+      console.error('Error activating prompt template:', err);
+      return { error: err };
+    }
+  }, [refresh]);
+
+  return {
+    templates: data,
+    activeTemplates,
+    loading,
+    error,
+    versionsFor,
+    saveTemplate,
+    activateVersion,
+    refresh,
+  };
+}
@@ -0,0 +1,68 @@
+import { createContext, useContext, useMemo, useCallback } from 'react';
+import { useSupabaseTable } from './useSupabaseTable';
+import { DEFAULT_TASK_CATEGORIES, slugifyCategory } from '@/lib/task-categories';
+
+// Filled by TaskCategoriesProvider, so the whole app shares one copy
+export const TaskCategoriesContext = createContext(null);
+
+/** Task categories from TaskCategoriesProvider */
+export function useTaskCategories() {
+  const ctx = useContext(TaskCategoriesContext);
+  if (!ctx) throw new Error('useTaskCategories must be used within TaskCategoriesProvider');
+  return ctx;
+}
+
+/**
+ * Hook for managing user-defined task categories
+ * Table: task_categories
+ * Columns: key (stored on tasks.energy), label, color (hex), icon (emoji),
+ *          synonyms (text[]), sort_order
+ * Falls back to DEFAULT_TASK_CATEGORIES until the table has rows.
+ * Used by TaskCategoriesProvider; components read it with useTaskCategories.
+ */
+export function useTaskCategoriesData() {
+  const {
+    data,
+    loading,
+    error,
+    create,
+    update,
+    remove,
+    refresh,
+  } = useSupabaseTable('task_categories', { orderBy: 'sort_order', ascending: true });
+
+  const categories = useMemo(() => {
+    if (data.length === 0) return DEFAULT_TASK_CATEGORIES;
+    return [...data].sort((a, b) => (a.sort_order || 0) - (b.sort_order || 0));
+  }, [data]);
+
+  // Add a category; the key is derived from the label and never changes after
+  const addCategory = useCallback(async ({ label, color, icon, synonyms = [] }) => {
+    const key = slugifyCategory(label);
+    if (!key) return { data: null, error: new Error('Category needs a name') };
+    if (data.some(cat => cat.key === key)) {
+      return { data: null, error: new Error(`A category "${label}" already exists`) };
+    }
+    const sortOrder = data.reduce((max, cat) => Math.max(max, cat.sort_order || 0), 0) + 1;
+    return create({ key, label: label.trim(), color, icon: icon || null, synonyms, sort_order: sortOrder });
+  }, [data, create]);
+
+  const updateCategory = useCallback(async (id, updates) => {
+    return update(id, { ...updates, updated_at: new Date().toISOString() });
+  }, [update]);
+
+  // Tasks keep the key; they show as uncategorized once it is gone
+  const deleteCategory = useCallback(async (id) => {
+    return remove(id);
+  }, [remove]);
+
+  return {
+    categories,
+    loading,
+    error,
+    addCategory,
+    updateCategory,
+    deleteCategory,
+    refresh,
+  };
+}
@@ -1,10 +1,15 @@
 import { useMemo, useCallback, useState, useEffect } from 'react';
+import { format, parseISO } from 'date-fns';
 import { useSupabaseTable } from './useSupabaseTable';
 import { supabase, isSupabaseConfigured } from '@/lib/supabase';
+import { nextDueDate, pickRule, SERIES_TASK_FIELDS } from '@/lib/task-recurrence';
+import { wouldCreateCycle, findOpenBlockers } from '@/lib/task-dependencies';
 
 /**
  * Hook for managing tasks
  * Table: toditox_tasks
+ * Also manages time_entries, waiting_on (open dependencies on other people),
+ * task_series (recurring tasks) and task_dependencies (task blocks task)
  */
 export function useTasks() {
   const {
@@ -46,6 +51,75 @@ export function useTasks() {
     fetchTimeEntries();
   }, [fetchTimeEntries]);
 
+  // Waiting-on state
+  const [waitingOn, setWaitingOn] = useState([]);
+
+  const fetchWaitingOn = useCallback(async () => {
+    if (!isSupabaseConfigured()) return;
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('waiting_on')
+        .select('*')
+        .order('since', { ascending: true });
+
+      if (fetchError) throw fetchError;
+      setWaitingOn(data || []);
+    } catch (err) {
+      console.error('Error fetching waiting-on items:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchWaitingOn();
+  }, [fetchWaitingOn]);
+
+  // Recurring task series state
+  const [taskSeries, setTaskSeries] = useState([]);
+
+  const fetchTaskSeries = useCallback(async () => {
+    if (!isSupabaseConfigured()) return;
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('task_series')
+        .select('*')
+        .order('created_at', { ascending: true });
+
+      if (fetchError) throw fetchError;
+      setTaskSeries(data || []);
+    } catch (err) {
+      console.error('Error fetching task series:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchTaskSeries();
+  }, [fetchTaskSeries]);
+
+  // Task-to-task dependencies state
+  const [dependencies, setDependencies] = useState([]);
+
+  const fetchDependencies = useCallback(async () => {
+    if (!isSupabaseConfigured()) return;
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('task_dependencies')
+        .select('*')
+        .order('created_at', { ascending: true });
+
+      if (fetchError) throw fetchError;
+      setDependencies(data || []);
+    } catch (err) {
+      console.error('Error fetching task dependencies:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDependencies();
+  }, [fetchDependencies]);
+
   // Add a task
   const addTask = useCallback(async (task) => {
     // Set default order to end of list
@@ -55,10 +129,73 @@ export function useTasks() {
     return create({ ...task, order: task.order ?? maxOrder });
   }, [create, tasks]);
 
+  // Completing an occurrence of a recurring task creates the next one,
+  // unless the series already has an open occurrence or has ended. The series
+  // and its open occurrences are read from the database, not from state,
+  // since bulk completes run side by side.
+  const spawnNextOccurrence = useCallback(async (completed) => {
+    const { data: series, error: seriesError } = await supabase
+      .from('task_series')
+      .select('*')
+      .eq('id', completed.series_id)
+      .maybeSingle();
+    if (seriesError) return { data: null, error: seriesError };
+    if (!series?.is_active) return { data: null, error: null };
+
+    const { data: openOccurrences, error: openError } = await supabase
+      .from('tasks')
+      .select('id')
+      .eq('series_id', series.id)
+      .neq('status', 'done')
+      .neq('id', completed.id)
+      .limit(1);
+    if (openError) return { data: null, error: openError };
+    if (openOccurrences.length > 0) return { data: null, error: null };
+
+    const dueDate = nextDueDate(pickRule(series), {
+      dueDate: completed.due_date,
+      completedOn: format(new Date(), 'yyyy-MM-dd'),
+    });
+    if (series.end_date && dueDate > series.end_date) {
+      const { error: endError } = await supabase
+        .from('task_series')
+        .update({ is_active: false })
+        .eq('id', series.id);
+      if (endError) return { data: null, error: endError };
+      setTaskSeries(prev => prev.map(s => s.id === series.id ? { ...s, is_active: false } : s));
+      return { data: null, error: null };
+    }
+
+    return addTask({
+      ...Object.fromEntries(SERIES_TASK_FIELDS.map(field => [field, series[field]])),
+      description: series.subtitle || '',
+      assignee: completed.assignee,
+      is_mine: completed.is_mine,
+      checklist: (completed.checklist || []).map(item => ({ ...item, done: false })),
+      status: 'todo',
+      due_date: dueDate,
+      series_id: series.id,
+    });
+  }, [addTask]);
+
   // Update a task
   const updateTask = useCallback(async (id, updates) => {
-    return update(id, updates);
-  }, [update]);
+    const before = tasks.find(t => t.id === id);
+    const result = await update(id, updates);
+    const completed = result.data;
+    if (result.error || updates.status !== 'done' || !completed.series_id || before?.status === 'done') {
+      return result;
+    }
+
+    const { error: spawnError } = await spawnNextOccurrence(completed);
+    if (spawnError) {
+      // Reopen the occurrence rather than let the series stop without one
+      console.error('Error creating next occurrence:', spawnError);
+      await update(id, { status: before?.status || 'todo' });
+      return { data: null, error: spawnError };
+    }
+    return result;
+  }, [update, tasks, spawnNextOccurrence]);
 
   // Delete a task
   const deleteTask = useCallback(async (id) => {
@@ -113,6 +250,216 @@ export function useTasks() {
     }
   }, []);
 
+  // Add waiting-on rows (see toWaitingOnRecords)
+  const addWaitingOn = useCallback(async (records) => {
+    if (!isSupabaseConfigured()) {
+      return { data: null, error: new Error('Supabase not configured') };
+    }
+    if (!records?.length) return { data: [], error: null };
+
+    try {
+      const { data, error: insertError } = await supabase
+        .from('waiting_on')
+        .insert(records)
+        .select();
+
+      if (insertError) throw insertError;
+
+      setWaitingOn(prev => [...prev, ...data]);
+      return { data, error: null };
+    } catch (err) {
+      console.error('Error adding waiting-on items:', err);
+      return { data: null, error: err };
+    }
+  }, []);
+
+  const updateWaitingOn = useCallback(async (id, updates) => {
+    if (!isSupabaseConfigured()) {
+      return { data: null, error: new Error('Supabase not configured') };
+    }
+
+    try {
+      const { data, error: updateError } = await supabase
+        .from('waiting_on')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
+
+      setWaitingOn(prev => prev.map(item => item.id === id ? data : item));
+      return { data, error: null };
+    } catch (err) {
+      console.error('Error updating waiting-on item:', err);
+      return { data: null, error: err };
+    }
+  }, []);
+
+  // The task stays blocked until all of its waiting-on items are received
+  const markWaitingOnReceived = useCallback(async (id) => {
+    return updateWaitingOn(id, { received_at: new Date().toISOString() });
+  }, [updateWaitingOn]);
+
+  const deleteWaitingOn = useCallback(async (id) => {
+    if (!isSupabaseConfigured()) {
+      return { error: new Error('Supabase not configured') };
+    }
+
+    try {
+      const { error: deleteError } = await supabase
+        .from('waiting_on')
+        .delete()
+        .eq('id', id);
+
+      if (deleteError) throw deleteError;
+
+      setWaitingOn(prev => prev.filter(item => item.id !== id));
+      return { error: null };
+    } catch (err) {
+      console.error('Error deleting waiting-on item:', err);
+      return { error: err };
+    }
+  }, []);
+
+  // Make a task recurring: the series takes its shared fields and the rule
+  const createTaskSeries = useCallback(async (task, rule, { endDate = null } = {}) => {
+    if (!isSupabaseConfigured()) {
+      return { data: null, error: new Error('Supabase not configured') };
+    }
+
+    try {
+      const { data, error: insertError } = await supabase
+        .from('task_series')
+        .insert([{
+          ...Object.fromEntries(SERIES_TASK_FIELDS.map(field => [field, task[field] || null])),
+          ...rule,
+          end_date: endDate,
+        }])
+        .select()
+        .single();
+
+      if (insertError) throw insertError;
+
+      setTaskSeries(prev => [...prev, data]);
+      await update(task.id, { series_id: data.id });
+      return { data, error: null };
+    } catch (err) {
+      console.error('Error creating task series:', err);
+      return { data: null, error: err };
+    }
+  }, [update]);
+
+  // Edit the series as a whole: shared fields are copied to its open occurrences
+  const updateTaskSeries = useCallback(async (id, updates) => {
+    if (!isSupabaseConfigured()) {
+      return { data: null, error: new Error('Supabase not configured') };
+    }
+
+    try {
+      const { data, error: updateError } = await supabase
+        .from('task_series')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
+
+      const shared = Object.fromEntries(
+        SERIES_TASK_FIELDS.filter(field => field in updates).map(field => [field, updates[field]])
+      );
+      if (Object.keys(shared).length > 0) {
+        const { error: tasksError } = await supabase
+          .from('tasks')
+          .update(shared)
+          .eq('series_id', id)
+          .neq('status', 'done');
+        if (tasksError) throw tasksError;
+        setTasks(prev => prev.map(t => t.series_id === id && t.status !== 'done' ? { ...t, ...shared } : t));
+      }
+
+      setTaskSeries(prev => prev.map(s => s.id === id ? data : s));
+      return { data, error: null };
+    } catch (err) {
+      console.error('Error updating task series:', err);
+      return { data: null, error: err };
+    }
+  }, [setTasks]);
+
+  // Stop repeating; existing occurrences stay as one-off tasks
+  const deleteTaskSeries = useCallback(async (id) => {
+    if (!isSupabaseConfigured()) {
+      return { error: new Error('Supabase not configured') };
+    }
+
+    try {
+      const { error: deleteError } = await supabase
+        .from('task_series')
+        .delete()
+        .eq('id', id);
+
+      if (deleteError) throw deleteError;
+
+      setTaskSeries(prev => prev.filter(s => s.id !== id));
+      setTasks(prev => prev.map(t => t.series_id === id ? { ...t, series_id: null } : t));
+      return { error: null };
+    } catch (err) {
+      console.error('Error deleting task series:', err);
+      return { error: err };
+    }
+  }, [setTasks]);
+
+  // blockerId must be done before blockedId; links that would form a cycle are refused
+  const addDependency = useCallback(async (blockerId, blockedId) => {
+    if (!isSupabaseConfigured()) {
+      return { data: null, error: new Error('Supabase not configured') };
+    }
+    if (dependencies.some(dep => dep.blocker_id === blockerId && dep.blocked_id === blockedId)) {
+      return { data: null, error: new Error('That dependency already exists') };
+    }
+    if (wouldCreateCycle(dependencies, blockerId, blockedId)) {
+      return { data: null, error: new Error('That would create a circular dependency') };
+    }
+
+    try {
+      const { data, error: insertError } = await supabase
+        .from('task_dependencies')
+        .insert([{ blocker_id: blockerId, blocked_id: blockedId }])
+        .select()
+        .single();
+
+      if (insertError) throw insertError;
+
+      setDependencies(prev => [...prev, data]);
+      return { data, error: null };
+    } catch (err) {
+      console.error('Error adding task dependency:', err);
+      return { data: null, error: err };
+    }
+  }, [dependencies]);
+
+  const removeDependency = useCallback(async (id) => {
+    if (!isSupabaseConfigured()) {
+      return { error: new Error('Supabase not configured') };
+    }
+
+    try {
+      const { error: deleteError } = await supabase
+        .from('task_dependencies')
+        .delete()
+        .eq('id', id);
+
+      if (deleteError) throw deleteError;
+
+      setDependencies(prev => prev.filter(dep => dep.id !== id));
+      return { error: null };
+    } catch (err) {
+      console.error('Error removing task dependency:', err);
+      return { error: err };
+    }
+  }, []);
+
   // Query helpers
   const getTasksByProject = useCallback((projectId) => 
     tasks?.filter(t => t.project_id === projectId) || [], [tasks]);
@@ -147,9 +494,9 @@ export function useTasks() {
     
     return tasks?.filter(t => {
       if (!t.due_date || t.status === 'done') return false;
-      const dueDate = new Date(t.due_date);
+      const dueDate = parseISO(t.due_date);
       return dueDate >= now && dueDate <= futureDate;
-    }).sort((a, b) => new Date(a.due_date) - new Date(b.due_date)) || [];
+    }).sort((a, b) => a.due_date.localeCompare(b.due_date)) || [];
   }, [tasks]);
 
   const getOverdueTasks = useCallback(() => {
@@ -158,7 +505,7 @@ export function useTasks() {
     
     return tasks?.filter(t => {
       if (!t.due_date || t.status === 'done') return false;
-      const dueDate = new Date(t.due_date);
+      const dueDate = parseISO(t.due_date);
       return dueDate < now;
     }) || [];
   }, [tasks]);
@@ -175,15 +522,50 @@ export function useTasks() {
     
     return tasks?.filter(t => {
       if (!t.due_date || t.status === 'done') return false;
-      const dueDate = new Date(t.due_date);
+      const dueDate = parseISO(t.due_date);
       return dueDate >= today && dueDate < tomorrow;
     }) || [];
   }, [tasks]);
 
+  const getOpenWaitingOnByTask = useCallback((taskId) =>
+    waitingOn.filter(item => item.task_id === taskId && !item.received_at), [waitingOn]);
+
+  // Dependency rows where the task is the blocked one
+  const getDependenciesOf = useCallback((taskId) =>
+    dependencies.filter(dep => dep.blocked_id === taskId), [dependencies]);
+
+  const getTaskSeries = useCallback((seriesId) =>
+    (seriesId && taskSeries.find(s => s.id === seriesId)) || null, [taskSeries]);
+
   // Computed values
   const activeTasks = useMemo(() => 
     tasks?.filter(t => t.status !== 'done') || [], [tasks]);
 
+  // Open dependencies on tasks that are still active
+  const openWaitingOn = useMemo(() => {
+    const activeIds = new Set(activeTasks.map(t => t.id));
+    return waitingOn.filter(item => !item.received_at && activeIds.has(item.task_id));
+  }, [waitingOn, activeTasks]);
+
+  const blockedTaskIds = useMemo(() =>
+    new Set(openWaitingOn.map(item => item.task_id)), [openWaitingOn]);
+
+  // Open tasks with a blocker task that is not done yet → [blocker task]
+  const openBlockers = useMemo(() => {
+    const blockers = findOpenBlockers(dependencies, tasks || []);
+    const activeIds = new Set(activeTasks.map(t => t.id));
+    [...blockers.keys()].forEach(id => {
+      if (!activeIds.has(id)) blockers.delete(id);
+    });
+    return blockers;
+  }, [dependencies, tasks, activeTasks]);
+
+  const dependencyBlockedIds = useMemo(() =>
+    new Set(openBlockers.keys()), [openBlockers]);
+
+  const getOpenBlockers = useCallback((taskId) =>
+    openBlockers.get(taskId) || [], [openBlockers]);
+
   const todoTasks = useMemo(() => 
     tasks?.filter(t => t.status === 'todo') || [], [tasks]);
 
@@ -196,6 +578,9 @@ export function useTasks() {
   return {
     tasks,
     timeEntries,
+    waitingOn,
+    taskSeries,
+    dependencies,
     loading: tasksLoading || timeLoading,
     error,
     
@@ -205,8 +590,20 @@ export function useTasks() {
     deleteTask,
     reorderTasks,
     logTime,
+    addWaitingOn,
+    updateWaitingOn,
+    markWaitingOnReceived,
+    deleteWaitingOn,
+    createTaskSeries,
+    updateTaskSeries,
+    deleteTaskSeries,
+    addDependency,
+    removeDependency,
     refresh,
     refreshTimeEntries: fetchTimeEntries,
+    refreshWaitingOn: fetchWaitingOn,
+    refreshTaskSeries: fetchTaskSeries,
+    refreshDependencies: fetchDependencies,
     
     // Queries
     getTasksByProject,
@@ -221,11 +618,18 @@ export function useTasks() {
     getOverdueTasks,
     getHighPriorityTasks,
     getTodayTasks,
+    getOpenWaitingOnByTask,
+    getTaskSeries,
+    getDependenciesOf,
+    getOpenBlockers,
     
     // Computed
     activeTasks,
     todoTasks,
     inProgressTasks,
     doneTasks,
+    openWaitingOn,
+    blockedTaskIds,
+    dependencyBlockedIds,
   };
 }
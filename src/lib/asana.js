@@ -3,6 +3,8 @@
  * Provides OAuth URL building and field mapping for Todito <-> Asana sync
  */
 
+import { DEFAULT_TASK_CATEGORIES, getTaskCategory } from './task-categories';
+
 const ASANA_AUTHORIZE_URL = 'https://app.asana.com/-/oauth_authorize';
 
 /**
@@ -40,9 +42,10 @@ export function isAsanaConfigured() {
 /**
  * Map a Todito task to Asana task format
  * @param {Object} task - Todito task object
+ * @param {Array} categories - Task categories (from task_categories)
  * @returns {Object} Asana-compatible task object
  */
-export function mapToditoTaskToAsana(task) {
+export function mapToditoTaskToAsana(task, categories = DEFAULT_TASK_CATEGORIES) {
   // Build notes from subtitle and description
   const noteParts = [];
   
@@ -56,13 +59,7 @@ export function mapToditoTaskToAsana(task) {
   }
 
   if (task.energy) {
-    const energyLabels = {
-      deep_focus: '🧠 Deep Focus',
-      communication: '💬 Communication',
-      planning: '📐 Planning',
-      admin: '📋 Admin',
-    };
-    noteParts.push(`Energy: ${energyLabels[task.energy] || task.energy}`);
+    noteParts.push(`Category: ${formatTaskCategory(task.energy, categories)}`);
   }
 
   if (task.pomodoro_count && task.pomodoro_count > 0) {
@@ -80,6 +77,10 @@ export function mapToditoTaskToAsana(task) {
     noteParts.push('', task.description);
   }
 
+  if (task.checklist?.length > 0) {
+    noteParts.push('', 'Checklist:', ...task.checklist.map(item => `${item.done ? '☑' : '☐'} ${item.text}`));
+  }
+
   return {
     title: task.title,
     notes: noteParts.join('\n'),
@@ -93,10 +94,24 @@ export function mapToditoTaskToAsana(task) {
 /**
  * Map multiple Todito tasks to Asana format
  * @param {Array} tasks - Array of Todito tasks
+ * @param {Array} categories - Task categories (from task_categories)
  * @returns {Array} Array of Asana-compatible tasks
  */
-export function mapTasksForAsanaExport(tasks) {
-  return tasks.map(mapToditoTaskToAsana);
+export function mapTasksForAsanaExport(tasks, categories = DEFAULT_TASK_CATEGORIES) {
+  return tasks.map(task => mapToditoTaskToAsana(task, categories));
+}
+
+/**
+ * Category as shown in Asana notes and the export preview ("🎨 Design").
+ * Keys of deleted categories are shown as-is.
+ * @param {string} key - Category key (task.energy)
+ * @param {Array} categories - Task categories
+ * @returns {string}
+ */
+export function formatTaskCategory(key, categories = DEFAULT_TASK_CATEGORIES) {
+  const category = getTaskCategory(key, categories);
+  if (!category) return key || '';
+  return category.icon ? `${category.icon} ${category.label}` : category.label;
 }
 
 /**
@@ -119,14 +134,4 @@ export const PRIORITY_DISPLAY = {
   low: { label: '🟢 Low', color: 'text-green-600', bg: 'bg-green-50' },
 };
 
-/**
- * Energy type display mapping
- */
-export const ENERGY_DISPLAY = {
-  deep_focus: { label: '🧠 Deep Focus', color: 'text-purple-600' },
-  communication: { label: '💬 Communication', color: 'text-blue-600' },
-  planning: { label: '📐 Planning', color: 'text-orange-600' },
-  admin: { label: '📋 Admin', color: 'text-gray-600' },
-};
-
 
@@ -0,0 +1,50 @@
+// ---------------------------------------------------------------------------
+// Fuzzy search for the command palette
+//
+// A query matches when its characters appear in order in the text ("krn"
+// matches "Kitchen Reno"). Runs of consecutive characters, word starts and
+// plain substring hits score higher.
+// ---------------------------------------------------------------------------
+
+/**
+ * Score text against a query; null when it doesn't match.
+ * An empty query matches everything with score 0.
+ */
+export function fuzzyScore(query, text) {
+  const q = String(query || '').toLowerCase().replace(/\s+/g, '');
+  const t = String(text || '').toLowerCase();
+  if (!q) return 0;
+
+  let score = 0;
+  let run = 0;
+  let ti = 0;
+  for (const char of q) {
+    const found = t.indexOf(char, ti);
+    if (found === -1) return null;
+    run = found === ti ? run + 1 : 0;
+    score += 1 + run * 2;
+    if (found === 0 || !/[a-z0-9]/.test(t[found - 1])) score += 4;
+    ti = found + 1;
+  }
+
+  const substring = t.indexOf(String(query).toLowerCase().trim());
+  if (substring !== -1) score += substring === 0 ? 20 : 10;
+  // Shorter texts win ties
+  return score - t.length * 0.01;
+}
+
+/**
+ * Items matching query, best first
+ * @param {Array} items
+ * @param {string} query
+ * @param {Function} getText - Text to match for an item
+ * @param {number} limit - Most results to return
+ */
+export function fuzzySearch(items, query, getText, limit = Infinity) {
+  return items
+    .map(item => ({ item, score: fuzzyScore(query, getText(item)) }))
+    .filter(result => result.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(result => result.item);
+}
@@ -0,0 +1,353 @@
+/**
+ * LLM provider abstraction for the notes pipeline
+ *
+ * Every provider exposes:
+ *   complete({ task, system, prompt, maxTokens }) → Promise<string>
+ *   stream({ ...same, onText }) → Promise<string>   calls onText(delta) as text arrives
+ * where task names the pipeline step ('normalize' | 'repair' | 'new-project' |
+ * 'summary') so the fixture provider can answer deterministically.
+ *
+ * Selected by VITE_LLM_PROVIDER:
+ *   anthropic (default) — Anthropic proxy (Vercel function / local server.js)
+ *   openai              — any OpenAI-compatible /chat/completions endpoint
+ *   ollama              — local Ollama-style /api/chat server
+ *   fixture             — offline, deterministic responses (tests / CI)
+ * VITE_LLM_BASE_URL and VITE_LLM_MODEL configure the openai and ollama
+ * providers. API keys never reach the browser: a hosted OpenAI-compatible API
+ * goes through the proxy, which adds the server's LLM_API_KEY.
+ */
+
+const ANTHROPIC_MODEL = 'claude-3-haiku-20240307';
+
+// Route on the app's own proxy (Vercel function / local server.js)
+function proxyUrl(path) {
+  return import.meta.env.PROD
+    ? path
+    : (import.meta.env.VITE_PROXY_URL || 'http://localhost:3001') + path;
+}
+
+// POST JSON and surface API errors as "<status> <message>"
+async function post(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+    const errorMessage =
+      (typeof errorData.error === 'string' ? errorData.error : errorData.error?.message) ||
+      errorData.details?.message ||
+      `HTTP error! status: ${response.status}`;
+    throw new Error(`${response.status} ${errorMessage}`);
+  }
+
+  return response;
+}
+
+async function postJSON(url, body, headers = {}) {
+  const response = await post(url, body, headers);
+  return response.json();
+}
+
+// Read a streamed response body line by line
+async function readLines(response, onLine) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(onLine);
+  }
+  if (buffer) onLine(buffer);
+}
+
+// Server-sent events: hand each "data:" payload to onData
+function readEventStream(response, onData) {
+  return readLines(response, (line) => {
+    if (line.startsWith('data:')) onData(line.slice(5).trim());
+  });
+}
+
+/**
+ * Anthropic via the app's own proxy (no API key in the browser)
+ */
+export function createAnthropicProvider({ model = ANTHROPIC_MODEL } = {}) {
+  const apiUrl = proxyUrl('/api/anthropic/messages');
+
+  return {
+    name: 'anthropic',
+    async complete({ system, prompt, maxTokens = 4096 }) {
+      const message = await postJSON(apiUrl, {
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages: [{ role: 'user', content: prompt }],
+      });
+
+      const content = message.content[0];
+      if (content.type !== 'text') {
+        throw new Error('Unexpected response type from Anthropic API');
+      }
+      return content.text;
+    },
+
+    async stream({ system, prompt, maxTokens = 4096, onText }) {
+      const response = await post(apiUrl, {
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages: [{ role: 'user', content: prompt }],
+        stream: true,
+      });
+
+      let text = '';
+      await readEventStream(response, (data) => {
+        const event = JSON.parse(data);
+        if (event.type === 'error') {
+          throw new Error(event.error?.message || 'Anthropic stream failed');
+        }
+        if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+          text += event.delta.text;
+          onText?.(event.delta.text);
+        }
+      });
+      return text;
+    },
+  };
+}
+
+/**
+ * OpenAI-compatible chat completions (OpenAI, LM Studio, vLLM, llama.cpp, ...).
+ * By default this goes through the proxy, which holds the key (LLM_API_KEY)
+ * and target (LLM_BASE_URL); an explicit baseUrl is called directly, with no
+ * key, for local servers.
+ */
+export function createOpenAIProvider({ baseUrl = proxyUrl('/api/openai'), model = 'gpt-4o-mini' } = {}) {
+  return {
+    name: 'openai',
+    async complete({ system, prompt, maxTokens = 4096 }) {
+      const data = await postJSON(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        model,
+        max_tokens: maxTokens,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt },
+        ],
+      });
+
+      const text = data.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        throw new Error('Unexpected response shape from OpenAI-compatible API');
+      }
+      return text;
+    },
+
+    async stream({ system, prompt, maxTokens = 4096, onText }) {
+      const response = await post(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        model,
+        max_tokens: maxTokens,
+        stream: true,
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt },
+        ],
+      });
+
+      let text = '';
+      await readEventStream(response, (data) => {
+        if (data === '[DONE]') return;
+        const event = JSON.parse(data);
+        if (event.error) {
+          throw new Error(event.error.message || 'LLM stream failed');
+        }
+        const delta = event.choices?.[0]?.delta?.content;
+        if (delta) {
+          text += delta;
+          onText?.(delta);
+        }
+      });
+      return text;
+    },
+  };
+}
+
+/**
+ * Local Ollama-style server (/api/chat)
+ */
+export function createOllamaProvider({ baseUrl = 'http://localhost:11434', model = 'llama3.1' } = {}) {
+  return {
+    name: 'ollama',
+    async complete({ system, prompt, maxTokens = 4096 }) {
+      const data = await postJSON(`${baseUrl.replace(/\/$/, '')}/api/chat`, {
+        model,
+        stream: false,
+        options: { num_predict: maxTokens },
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt },
+        ],
+      });
+
+      const text = data.message?.content;
+      if (typeof text !== 'string') {
+        throw new Error('Unexpected response shape from Ollama API');
+      }
+      return text;
+    },
+
+    // Ollama streams newline-delimited JSON rather than SSE
+    async stream({ system, prompt, maxTokens = 4096, onText }) {
+      const response = await post(`${baseUrl.replace(/\/$/, '')}/api/chat`, {
+        model,
+        stream: true,
+        options: { num_predict: maxTokens },
+        messages: [
+          { role: 'system', content: system },
+          { role: 'user', content: prompt },
+        ],
+      });
+
+      let text = '';
+      await readLines(response, (line) => {
+        if (!line.trim()) return;
+        const delta = JSON.parse(line).message?.content;
+        if (delta) {
+          text += delta;
+          onText?.(delta);
+        }
+      });
+      return text;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Fixture provider
+// ---------------------------------------------------------------------------
+
+// Bullet-ish lines that the fixture normalizer treats as tasks
+const FIXTURE_TASK_LINE = /^\s*(?:[-*•]|\d+[.)]|todo:|action(?: item)?:)\s*(.+)$/i;
+
+function fixtureTaskLines(prompt) {
+  return prompt
+    .split('\n')
+    .map(line => line.match(FIXTURE_TASK_LINE)?.[1]?.trim())
+    .filter(Boolean);
+}
+
+const DEFAULT_FIXTURES = {
+  // Every bullet becomes an uncategorized task in the structured recipe
+  normalize: ({ prompt }) => {
+    const lines = fixtureTaskLines(prompt);
+    if (lines.length === 0) return 'No tasks found.';
+    return [
+      'Project: ⚠️ Untagged',
+      '',
+      ...lines.flatMap(title => [`- Task: ${title}`, '  Category: Admin', '  Due: TBD', '']),
+    ].join('\n');
+  },
+
+  // Repairs are a no-op offline: hand back the previous output unchanged
+  repair: ({ previousOutput }) => previousOutput,
+
+  // First line is the project name, bullets are tasks
+  'new-project': ({ prompt }) => JSON.stringify({
+    name: prompt.split('\n')[0].trim(),
+    client: '',
+    phase: '',
+    deadline: '',
+    budget: null,
+    hours_estimate: null,
+    scope: '',
+    notes: '',
+    milestones: [],
+    tasks: fixtureTaskLines(prompt).map(title => ({
+      title, priority: 'medium', due_date: null, subtitle: '',
+    })),
+    links: [],
+  }),
+
+  summary: ({ prompt }) => prompt.split('\n').slice(0, 2).join('. '),
+};
+
+/**
+ * Deterministic provider for tests and offline runs.
+ * @param {Object} fixtures - Per-task overrides: { [task]: string | (request) => string }
+ * @returns {Object} Provider; `calls` records every request made
+ */
+export function createFixtureProvider(fixtures = {}) {
+  const responses = { ...DEFAULT_FIXTURES, ...fixtures };
+  const calls = [];
+
+  return {
+    name: 'fixture',
+    calls,
+    async complete(request) {
+      calls.push(request);
+      const response = responses[request.task];
+      if (response === undefined) {
+        throw new Error(`No fixture for LLM task "${request.task}"`);
+      }
+      return typeof response === 'function' ? response(request) : response;
+    },
+
+    // Replays the fixture one line at a time
+    async stream({ onText, ...request }) {
+      const text = await this.complete(request);
+      text.split(/(?<=\n)/).forEach(chunk => onText?.(chunk));
+      return text;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Provider selection
+// ---------------------------------------------------------------------------
+
+let activeProvider = null;
+
+function createProviderFromEnv() {
+  const env = import.meta.env;
+  const options = {
+    ...(env.VITE_LLM_BASE_URL && { baseUrl: env.VITE_LLM_BASE_URL }),
+    ...(env.VITE_LLM_MODEL && { model: env.VITE_LLM_MODEL }),
+  };
+
+  switch (env.VITE_LLM_PROVIDER || 'anthropic') {
+    case 'anthropic':
+      return createAnthropicProvider(options);
+    case 'openai':
+      return createOpenAIProvider(options);
+    case 'ollama':
+      return createOllamaProvider(options);
+    case 'fixture':
+      return createFixtureProvider();
+    default:
+      throw new Error(`Unknown VITE_LLM_PROVIDER "${env.VITE_LLM_PROVIDER}"`);
+  }
+}
+
+/**
+ * Get the configured provider (created lazily from env)
+ * @returns {Object} Provider with complete() and stream()
+ */
+export function getLLMProvider() {
+  if (!activeProvider) activeProvider = createProviderFromEnv();
+  return activeProvider;
+}
+
+/**
+ * Override the provider (tests, or switching at runtime). Pass null to reset
+ * to the env-configured provider.
+ * @param {Object|null} provider
+ */
+export function setLLMProvider(provider) {
+  activeProvider = provider;
+}
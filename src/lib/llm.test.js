@@ -0,0 +1,73 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createFixtureProvider, getLLMProvider, setLLMProvider } from './llm.js';
+import { normalizeWithLLM, parseStructuredNotes } from './note-parser.js';
+
+const NOTES = `Kickoff with the Lopez family
+- Send the revised estimate
+* Order tile samples
+Lunch was good
+1. Book the electrician`;
+
+afterEach(() => setLLMProvider(null));
+
+describe('createFixtureProvider', () => {
+  it('normalizes bullet lines into the structured recipe', async () => {
+    const provider = createFixtureProvider();
+    const text = await provider.complete({ task: 'normalize', system: '', prompt: NOTES });
+
+    expect(text).toContain('Project: ⚠️ Untagged');
+    expect(text.match(/^- Task: .+$/gm)).toEqual([
+      '- Task: Send the revised estimate',
+      '- Task: Order tile samples',
+      '- Task: Book the electrician',
+    ]);
+  });
+
+  it('records every request', async () => {
+    const provider = createFixtureProvider();
+    await provider.complete({ task: 'summary', prompt: 'Kitchen Reno\nOn track\nMore detail' });
+
+    expect(provider.calls).toEqual([{ task: 'summary', prompt: 'Kitchen Reno\nOn track\nMore detail' }]);
+  });
+
+  it('uses overrides, as strings or functions of the request', async () => {
+    const provider = createFixtureProvider({
+      summary: 'All good',
+      'new-project': ({ prompt }) => prompt.toUpperCase(),
+    });
+
+    expect(await provider.complete({ task: 'summary', prompt: '' })).toBe('All good');
+    expect(await provider.complete({ task: 'new-project', prompt: 'deck' })).toBe('DECK');
+  });
+
+  it('rejects tasks it has no fixture for', async () => {
+    await expect(createFixtureProvider().complete({ task: 'translate', prompt: '' }))
+      .rejects.toThrow('No fixture for LLM task "translate"');
+  });
+
+  it('streams the same text line by line', async () => {
+    const provider = createFixtureProvider({ summary: 'one\ntwo\nthree' });
+    const chunks = [];
+    const text = await provider.stream({ task: 'summary', prompt: '', onText: chunk => chunks.push(chunk) });
+
+    expect(text).toBe('one\ntwo\nthree');
+    expect(chunks).toEqual(['one\n', 'two\n', 'three']);
+  });
+
+  it('runs freeform notes through the parser offline', async () => {
+    const provider = createFixtureProvider();
+    setLLMProvider(provider);
+    const owner = { name: 'Sam', aliases: [] };
+
+    const text = await normalizeWithLLM(NOTES, { owner });
+    const result = parseStructuredNotes(text, { owner });
+
+    expect(getLLMProvider()).toBe(provider);
+    expect(result.tasks.map(t => t.title)).toEqual([
+      'Send the revised estimate',
+      'Order tile samples',
+      'Book the electrician',
+    ]);
+    expect(result.tasks.every(t => t.energy === 'admin' && t.assignee === 'Sam')).toBe(true);
+  });
+});
@@ -6,36 +6,60 @@
 //   2. Freeform (anything else)    → LLM normalizes to structured → same parse
 // ---------------------------------------------------------------------------
 
-const NORMALIZATION_PROMPT = `You are a task extraction assistant. You will receive raw notes from a meeting, voice memo, message, or other source. Your job is to extract actionable tasks and return them in this exact format:
+import {
+  format, addDays, addWeeks, addMonths, endOfMonth, startOfMonth, isValid,
+} from 'date-fns';
+import { getLLMProvider } from './llm.js';
+import { validateParsedNotes } from './note-schema.js';
+import { DEFAULT_TASK_CATEGORIES, resolveTaskCategory, getTaskCategory } from './task-categories.js';
+import { getPromptTemplate, buildPromptVariables, renderPromptTemplate } from './prompt-templates.js';
 
-Project: [project or client name, or ⚠️ Untagged if unclear]
+/**
+ * Recorded with every archived parse. Bump when the parse rules or the
+ * normalization prompt change, so older archive entries show as outdated.
+ * Entries saved before versioning have no parser_version (treated as 1).
+ */
+export const PARSER_VERSION = 4;
+
+/** Fallback owner when no user profile is available. */
+export const DEFAULT_OWNER = { name: 'Me', aliases: [] };
 
-- Task: [short action-oriented description, max 10 words, start with a verb]
-  Category: [one of: Vendor, Design, Coordination, Procurement, On-site, Dev, Admin]
-  Priority: [High if hard deadline or blocks other work, Medium if has a date or is important, Low otherwise]
-  Due: [YYYY-MM-DD if a date is mentioned or can be inferred, otherwise TBD]
-  Notes: [two to three sentences of context, sub-steps, and dependencies]
-  Waiting on: [only if blocked — Person/Company — description, mentioned date context]
+// Keeps the prompt short; callers pass the most recent ignored items first
+const MAX_IGNORED_EXAMPLES = 15;
 
-After all tasks for a project, if you identified a clear project scope or key milestones, add:
+const IGNORED_TYPE_LABELS = {
+  task: 'Task',
+  project: 'Project',
+  'project-update': 'Project',
+  opportunity: 'Deal',
+  contact: 'Contact',
+  'time-entry': 'Time',
+};
 
-Scope: [1-3 sentence summary of the project's goal and deliverables]
+/**
+ * @param {Object} owner - { name, aliases }
+ * @param {Array<{type: string, title: string}>} ignoredExamples - Items the user
+ *   dismissed before, added as negative examples
+ * @param {Array<{label: string}>} categories - Task categories the model may use
+ * @param {string} template - Template body (default: the active 'normalize' template)
+ */
+function buildNormalizationPrompt(owner = DEFAULT_OWNER, ignoredExamples = [], categories = DEFAULT_TASK_CATEGORIES, template = getPromptTemplate('normalize')) {
+  const variables = buildPromptVariables(owner, categories);
+  return renderPromptTemplate(template, variables) + buildIgnoredSection(ignoredExamples);
+}
 
-Milestones:
-- [YYYY-MM-DD] [milestone description]
-- [YYYY-MM-DD] [milestone description]
+function buildIgnoredSection(ignoredExamples) {
+  const examples = ignoredExamples
+    .filter(example => example.title)
+    .slice(0, MAX_IGNORED_EXAMPLES)
+    .map(example => `- ${IGNORED_TYPE_LABELS[example.type] || 'Item'}: ${singleLine(example.title)}`);
+  if (examples.length === 0) return '';
 
-Only include Scope and Milestones if the notes contain enough information to summarize them. Skip if the notes are purely about tasks.
+  return `
 
-Rules:
-- Consolidate related actions into a single task. If multiple steps serve the same goal, combine them. Use the notes field for sub-steps. Aim for 8–12 tasks per meeting, not 20+.
-- Only extract real tasks — not discussion points, opinions, calendar reminders, or background context.
-- Quick actions under 2 minutes (a Slack message, a quick confirmation) should be folded into the notes of a related task, not their own card.
-- Travel constraints or scheduling notes should not be tasks. Mention them in the notes of the relevant task.
-- Default task owner is Pablo unless someone else is clearly assigned.
-- Do not use markdown formatting — plain text only.
-- If multiple projects are mentioned, group tasks under each project.
-- If no actionable tasks exist in the input, return: "No tasks found."`;
+The user dismissed these items from earlier notes as noise. Do not extract items that mean the same thing:
+${examples.join('\n')}`;
+}
 
 // ---------------------------------------------------------------------------
 // Detection
@@ -50,20 +74,6 @@ export function isStructuredFormat(text) {
   return /^-\s*Task:\s*.+/m.test(text) && /^\s*Category:\s*.+/m.test(text);
 }
 
-// Valid categories (lowercase for matching)
-const VALID_CATEGORIES = new Set([
-  'vendor', 'design', 'coordination', 'procurement', 'on-site', 'onsite', 'dev', 'admin',
-]);
-
-// Normalize category string to app energy ID
-function normalizeCategory(raw) {
-  if (!raw) return '';
-  const lower = raw.trim().toLowerCase();
-  if (lower === 'on-site') return 'onsite';
-  if (VALID_CATEGORIES.has(lower)) return lower;
-  return '';
-}
-
 // Normalize priority string to app priority ID
 function normalizePriority(raw) {
   if (!raw) return '';
@@ -82,27 +92,58 @@ function normalizePriority(raw) {
  *
  * Task blocks:
  *   - Task: [text]
- *     Category: [Vendor|Design|Coordination|Procurement|On-site|Dev|Admin]
+ *     Category: [label, key or synonym of one of options.categories]
  *     Priority: [Low|Medium|High]
- *     Due: [YYYY-MM-DD|TBD]
+ *     Due: [YYYY-MM-DD|TBD|relative date — see parseGranolaDate]
+ *     Owner: [name]                                 (optional, defaults to options.owner)
  *     Notes: [text]
  *     Waiting on: [Person — desc, mentioned date]  (optional, repeatable)
+ *     - [checklist item]                            (indented, optional, repeatable;
+ *     - [x] [checklist item]                         "[x]" marks it done)
+ *
+ * Contact / Deal / Time blocks (fields optional):
+ *   - Contact: [name]    Company, Email, Phone, Notes
+ *   - Deal: [name]       Contact, Value, Stage, Next action, Due, Notes
+ *   - Time: [1.5h|90m]   Date, Notes                 (logged against the current project)
+ *
+ * Milestones (lines following "Milestones:"):
+ *   - [YYYY-MM-DD] [title]
+ *   - [x] [YYYY-MM-DD] [title]                       ("[x]" marks it completed)
+ *
+ * Relative due dates resolve against options.referenceDate, else a top-level
+ * "Date:" / "Meeting date:" line in the notes, else today. is_mine is true when
+ * the assignee matches options.owner ({ name, aliases }, default DEFAULT_OWNER).
+ * options.categories (default DEFAULT_TASK_CATEGORIES) are the task categories
+ * "Category:" lines resolve against; the key is stored on task.energy.
+ *
+ * Lines that can't be understood once the structure has started (preamble is
+ * ignored) are reported in result.unparsed_lines as { line, text, reason }.
  */
-export function parseStructuredNotes(text) {
+export function parseStructuredNotes(text, options = {}) {
   if (!text || text.trim().length === 0) return getEmptyResult();
 
   const lines = text.split('\n');
+  const referenceDate = options.referenceDate || findMeetingDate(lines) || new Date();
+  const owner = options.owner || DEFAULT_OWNER;
+  const categories = options.categories || DEFAULT_TASK_CATEGORIES;
   const tasks = [];
   const projectUpdates = []; // { project_name, scope, milestones }
+  const unparsedLines = []; // { line, text, reason }
+  const contacts = [];
+  const opportunities = [];
+  const timeEntries = [];
 
   let currentProject = null;
   let currentTask = null;
+  let currentEntity = null; // { kind: 'contact' | 'deal' | 'time', item }
   let currentScope = null;
   let parsingMilestones = false;
   let currentMilestones = [];
+  let seenStructure = false; // anything before the first header is LLM preamble
 
   for (let i = 0; i < lines.length; i++) {
     const trimmed = lines[i].trim();
+    const reportUnparsed = (reason) => unparsedLines.push({ line: i + 1, text: trimmed, reason });
 
     // Skip blank lines
     if (trimmed.length === 0) continue;
@@ -110,7 +151,8 @@ export function parseStructuredNotes(text) {
     // --- Project header ---
     const projectMatch = trimmed.match(/^Project:\s*(.+)$/i);
     if (projectMatch) {
-      flushTask();
+      seenStructure = true;
+      flushBlock();
       flushProjectUpdate();
       currentProject = projectMatch[1].trim();
       parsingMilestones = false;
@@ -120,7 +162,8 @@ export function parseStructuredNotes(text) {
     // --- Scope line ---
     const scopeMatch = trimmed.match(/^Scope:\s*(.+)$/i);
     if (scopeMatch) {
-      flushTask();
+      seenStructure = true;
+      flushBlock();
       parsingMilestones = false;
       currentScope = scopeMatch[1].trim();
       continue;
@@ -128,19 +171,20 @@ export function parseStructuredNotes(text) {
 
     // --- Milestones header ---
     if (/^Milestones:\s*$/i.test(trimmed)) {
-      flushTask();
+      seenStructure = true;
+      flushBlock();
       parsingMilestones = true;
       continue;
     }
 
     // --- Milestone entry ---
     if (parsingMilestones) {
-      const milestoneMatch = trimmed.match(/^-\s*\[?(\d{4}-\d{2}-\d{2})\]?\s+(.+)$/);
+      const milestoneMatch = trimmed.match(/^-\s*(\[x\]\s*)?\[?(\d{4}-\d{2}-\d{2})\]?\s+(.+)$/i);
       if (milestoneMatch) {
         currentMilestones.push({
-          date: milestoneMatch[1],
-          title: milestoneMatch[2].trim(),
-          completed: false,
+          date: milestoneMatch[2],
+          title: milestoneMatch[3].trim(),
+          completed: Boolean(milestoneMatch[1]),
         });
         continue;
       }
@@ -151,7 +195,8 @@ export function parseStructuredNotes(text) {
     // --- Task line ---
     const taskMatch = trimmed.match(/^-\s*Task:\s*(.+)$/i);
     if (taskMatch) {
-      flushTask();
+      seenStructure = true;
+      flushBlock();
       currentTask = {
         title: taskMatch[1].trim(),
         subtitle: null,
@@ -160,20 +205,48 @@ export function parseStructuredNotes(text) {
         due_date: null,
         priority: '',
         is_mine: true,
-        assignee: 'Pablo',
+        assignee: owner.name,
         energy: '',
         pomodoro_count: 0,
         waiting_on: [],
+        checklist: [],
       };
       continue;
     }
 
+    // --- Contact / Deal / Time block header ---
+    const entityMatch = trimmed.match(/^-\s*(Contact|Deal|Time):\s*(.+)$/i);
+    if (entityMatch) {
+      seenStructure = true;
+      flushBlock();
+      currentEntity = startEntity(entityMatch[1].toLowerCase(), entityMatch[2].trim(), currentProject, reportUnparsed);
+      continue;
+    }
+
+    // --- Fields inside a contact / deal / time block ---
+    if (currentEntity) {
+      const fieldMatch = trimmed.match(/^([A-Za-z ]+):\s*(.+)$/);
+      if (fieldMatch && applyEntityField(currentEntity, fieldMatch[1], fieldMatch[2].trim(), referenceDate, reportUnparsed)) {
+        continue;
+      }
+    }
+
     // --- Fields inside a task block ---
     if (currentTask) {
+      // Checklist item (indented "- " line)
+      const checklistMatch = /^\s/.test(lines[i]) && trimmed.match(/^-\s*(?:\[([ xX]?)\]\s*)?(.+)$/);
+      if (checklistMatch) {
+        currentTask.checklist.push({ text: checklistMatch[2].trim(), done: /x/i.test(checklistMatch[1] || '') });
+        continue;
+      }
+
       // Category
       const catMatch = trimmed.match(/^Category:\s*(.+)$/i);
       if (catMatch) {
-        currentTask.energy = normalizeCategory(catMatch[1]);
+        currentTask.energy = resolveTaskCategory(catMatch[1], categories);
+        if (!currentTask.energy && !/^(?:uncategorized|none)$/i.test(catMatch[1].trim())) {
+          reportUnparsed(`Unknown category "${catMatch[1].trim()}"`);
+        }
         continue;
       }
 
@@ -181,13 +254,26 @@ export function parseStructuredNotes(text) {
       const prioMatch = trimmed.match(/^Priority:\s*(.+)$/i);
       if (prioMatch) {
         currentTask.priority = normalizePriority(prioMatch[1]);
+        if (!currentTask.priority && !/^none$/i.test(prioMatch[1].trim())) {
+          reportUnparsed(`Unknown priority "${prioMatch[1].trim()}"`);
+        }
         continue;
       }
 
       // Due
       const dueMatch = trimmed.match(/^Due:\s*(.+)$/i);
       if (dueMatch) {
-        currentTask.due_date = parseGranolaDate(dueMatch[1]);
+        currentTask.due_date = parseGranolaDate(dueMatch[1], referenceDate);
+        if (!currentTask.due_date && dueMatch[1].trim().toUpperCase() !== 'TBD') {
+          reportUnparsed(`Unrecognized due date "${dueMatch[1].trim()}"`);
+        }
+        continue;
+      }
+
+      // Owner
+      const ownerFieldMatch = trimmed.match(/^Owner:\s*(.+)$/i);
+      if (ownerFieldMatch) {
+        assignOwner(currentTask, ownerFieldMatch[1].trim(), owner);
         continue;
       }
 
@@ -201,14 +287,8 @@ export function parseStructuredNotes(text) {
         const ownerMatch =
           notesText.match(/Owner:\s*(.+?)(?:\s*$|[,.])/i) ||
           notesText.match(/(.+?)\s+is\s+responsible\s+for\s+this/i);
-        if (ownerMatch) {
-          const owner = ownerMatch[1].trim();
-          const isDefault =
-            owner.toLowerCase() === 'pablo' || owner.toLowerCase() === 'me';
-          if (!isDefault) {
-            currentTask.assignee = owner;
-            currentTask.is_mine = false;
-          }
+        if (ownerMatch && !isOwner(ownerMatch[1], owner)) {
+          assignOwner(currentTask, ownerMatch[1].trim(), owner);
         }
         continue;
       }
@@ -248,18 +328,26 @@ export function parseStructuredNotes(text) {
       }
     }
 
-    // Unrecognized line — skip
+    // Unrecognized line — skip, but report it once the structure has started
+    if (seenStructure && !/^(?:Meeting\s+)?Date:/i.test(trimmed)) {
+      reportUnparsed('Unrecognized line');
+    }
   }
 
   // Flush any remaining task and project update
-  flushTask();
+  flushBlock();
   flushProjectUpdate();
 
-  function flushTask() {
+  function flushBlock() {
     if (currentTask) {
       tasks.push(currentTask);
       currentTask = null;
     }
+    if (currentEntity) {
+      const target = { contact: contacts, deal: opportunities, time: timeEntries }[currentEntity.kind];
+      target.push(currentEntity.item);
+      currentEntity = null;
+    }
   }
 
   function flushProjectUpdate() {
@@ -277,9 +365,83 @@ export function parseStructuredNotes(text) {
   const result = getEmptyResult();
   result.tasks = tasks;
   result.project_updates = projectUpdates;
+  result.contacts = contacts;
+  result.opportunities = opportunities;
+  result.time_entries = timeEntries;
+  result.unparsed_lines = unparsedLines;
   return result;
 }
 
+// ---------------------------------------------------------------------------
+// Contact / Deal / Time blocks
+// ---------------------------------------------------------------------------
+
+const DEAL_STAGES = ['lead', 'qualified', 'proposal', 'negotiation'];
+
+// Field label (lowercase) → item key, per block kind
+const ENTITY_FIELDS = {
+  contact: { company: 'company', email: 'email', phone: 'phone', notes: 'notes' },
+  deal: { contact: 'contact', value: 'value', stage: 'stage', 'next action': 'next_action', due: 'due_date', notes: 'notes' },
+  time: { date: 'date', notes: 'notes' },
+};
+
+function startEntity(kind, value, projectName, reportUnparsed) {
+  if (kind === 'contact') {
+    return { kind, item: { name: value, company: '', email: '', phone: '', notes: '' } };
+  }
+  if (kind === 'deal') {
+    return {
+      kind,
+      item: { name: value, contact: '', value: 0, stage: 'lead', next_action: '', due_date: null, notes: '' },
+    };
+  }
+  const hours = parseHours(value);
+  if (hours === null) reportUnparsed(`Unrecognized duration "${value}"`);
+  return { kind, item: { project_name: projectName, hours: hours ?? 0, date: null, notes: '' } };
+}
+
+// Returns false for fields this block kind doesn't have
+function applyEntityField(entity, label, value, referenceDate, reportUnparsed) {
+  const key = ENTITY_FIELDS[entity.kind][label.trim().toLowerCase()];
+  if (!key) return false;
+
+  if (key === 'value') {
+    const amount = parseAmount(value);
+    if (amount === null) reportUnparsed(`Unrecognized value "${value}"`);
+    entity.item.value = amount ?? 0;
+  } else if (key === 'stage') {
+    const stage = value.toLowerCase();
+    if (DEAL_STAGES.includes(stage)) entity.item.stage = stage;
+    else reportUnparsed(`Unknown stage "${value}"`);
+  } else if (key === 'due_date' || key === 'date') {
+    entity.item[key] = parseGranolaDate(value, referenceDate);
+    if (!entity.item[key] && value.toUpperCase() !== 'TBD') {
+      reportUnparsed(`Unrecognized date "${value}"`);
+    }
+  } else {
+    entity.item[key] = value;
+  }
+  return true;
+}
+
+// "1.5h", "90 min", "1h 30m", "2 hours" → hours as a number
+function parseHours(raw) {
+  const text = raw.trim().toLowerCase();
+  if (/^\d+(?:\.\d+)?$/.test(text)) return parseFloat(text);
+  const match = text.match(/^(?:(\d+(?:\.\d+)?)\s*(?:h|hr|hrs|hours?))?\s*(?:(\d+)\s*(?:m|min|mins|minutes?))?$/);
+  if (!match || (!match[1] && !match[2])) return null;
+  const hours = parseFloat(match[1] || 0) + parseInt(match[2] || 0, 10) / 60;
+  return Math.round(hours * 100) / 100;
+}
+
+// "$5,000", "5k", "12000" → number
+function parseAmount(raw) {
+  const match = raw.trim().toLowerCase().replace(/[$,\s]/g, '').match(/^(\d+(?:\.\d+)?)(k|m)?$/);
+  if (!match) return null;
+  const multiplier = { k: 1000, m: 1000000 }[match[2]] || 1;
+  return parseFloat(match[1]) * multiplier;
+}
+
 // ---------------------------------------------------------------------------
 // Parse a "Waiting on:" value into structured data
 // Input: "Bould Design — updated CAD files, mentioned by end of week"
@@ -313,135 +475,818 @@ function parseWaitingOnEntry(raw) {
   return { contact, description, date_context: dateContext };
 }
 
+// ---------------------------------------------------------------------------
+// Owner matching
+// ---------------------------------------------------------------------------
+
+/**
+ * True if a name refers to the owner: "me", the full name, the first name, or
+ * any alias (case-insensitive).
+ */
+export function isOwner(name, owner = DEFAULT_OWNER) {
+  const candidate = (name || '').trim().toLowerCase();
+  if (!candidate) return false;
+  if (candidate === 'me') return true;
+
+  const fullName = (owner.name || '').trim().toLowerCase();
+  const names = [fullName, fullName.split(/\s+/)[0], ...(owner.aliases || []).map(a => a.trim().toLowerCase())];
+  return names.some(n => n && n === candidate);
+}
+
+function assignOwner(task, name, owner) {
+  if (isOwner(name, owner)) {
+    task.assignee = owner.name;
+    task.is_mine = true;
+  } else {
+    task.assignee = name;
+    task.is_mine = false;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Serializer (app result shape → structured text)
+// ---------------------------------------------------------------------------
+
+/**
+ * Serialize tasks, project updates, contacts, deals and time entries back into
+ * the Granola-recipe format, so that
+ * parseStructuredNotes(serializeStructuredNotes(x)) returns x.
+ *
+ * Tasks and time entries are grouped by project_name (items without a project
+ * come first, with no header). Scope and milestones are written after each
+ * project's tasks; contacts and deals go last.
+ * Milestones without a date are skipped — the recipe requires one.
+ * Task categories are written by label, looked up in options.categories.
+ */
+export function serializeStructuredNotes({
+  tasks = [], project_updates = [], contacts = [], opportunities = [], time_entries = [],
+} = {}, { categories = DEFAULT_TASK_CATEGORIES } = {}) {
+  const groups = new Map();
+  const groupFor = (name) => {
+    const key = name || null;
+    if (!groups.has(key)) groups.set(key, { tasks: [], updates: [], timeEntries: [] });
+    return groups.get(key);
+  };
+
+  // Untagged tasks must precede any "Project:" header to stay untagged
+  groupFor(null);
+  tasks.forEach(task => groupFor(task.project_name).tasks.push(task));
+  project_updates.forEach(update => {
+    if (update.project_name) groupFor(update.project_name).updates.push(update);
+  });
+  time_entries.forEach(entry => groupFor(entry.project_name).timeEntries.push(entry));
+
+  const blocks = [];
+  for (const [projectName, group] of groups) {
+    if (group.tasks.length === 0 && group.updates.length === 0 && group.timeEntries.length === 0) continue;
+
+    const lines = [];
+    if (projectName) lines.push(`Project: ${projectName}`, '');
+    group.tasks.forEach(task => lines.push(...serializeTask(task, categories), ''));
+    group.timeEntries.forEach(entry => lines.push(...serializeTimeEntry(entry), ''));
+
+    for (const update of group.updates) {
+      if (update.scope) lines.push(`Scope: ${singleLine(update.scope)}`, '');
+      const milestones = (update.milestones || []).filter(m => m.date && m.title);
+      if (milestones.length > 0) {
+        lines.push('Milestones:');
+        milestones.forEach(m => lines.push(`- ${m.completed ? '[x] ' : ''}[${m.date}] ${singleLine(m.title)}`));
+        lines.push('');
+      }
+    }
+
+    blocks.push(lines.join('\n').trim());
+  }
+
+  // Contacts and deals aren't tied to a project, so they can follow any header
+  const entityLines = [
+    ...contacts.flatMap(contact => [...serializeContact(contact), '']),
+    ...opportunities.flatMap(deal => [...serializeDeal(deal), '']),
+  ];
+  if (entityLines.length > 0) blocks.push(entityLines.join('\n').trim());
+
+  return blocks.join('\n\n') + '\n';
+}
+
+function serializeTask(task, categories) {
+  const lines = [
+    `- Task: ${singleLine(task.title)}`,
+    // Always emit Category so isStructuredFormat() recognizes the output
+    `  Category: ${getTaskCategory(task.energy, categories)?.label || 'Uncategorized'}`,
+  ];
+  if (task.priority) {
+    lines.push(`  Priority: ${task.priority.charAt(0).toUpperCase()}${task.priority.slice(1)}`);
+  }
+  lines.push(`  Due: ${task.due_date || 'TBD'}`);
+  if (task.assignee) lines.push(`  Owner: ${singleLine(task.assignee)}`);
+  if (task.subtitle) lines.push(`  Notes: ${singleLine(task.subtitle)}`);
+  (task.waiting_on || []).forEach(wo => {
+    lines.push(`  Waiting on: ${serializeWaitingOnEntry(wo)}`);
+  });
+  (task.checklist || []).forEach(item => {
+    lines.push(`  - ${item.done ? '[x] ' : ''}${singleLine(item.text)}`);
+  });
+  return lines;
+}
+
+function serializeContact(contact) {
+  return [
+    `- Contact: ${singleLine(contact.name)}`,
+    contact.company && `  Company: ${singleLine(contact.company)}`,
+    contact.email && `  Email: ${contact.email}`,
+    contact.phone && `  Phone: ${contact.phone}`,
+    contact.notes && `  Notes: ${singleLine(contact.notes)}`,
+  ].filter(Boolean);
+}
+
+function serializeDeal(deal) {
+  return [
+    `- Deal: ${singleLine(deal.name)}`,
+    deal.contact && `  Contact: ${singleLine(deal.contact)}`,
+    deal.value ? `  Value: ${deal.value}` : null,
+    `  Stage: ${deal.stage.charAt(0).toUpperCase()}${deal.stage.slice(1)}`,
+    deal.next_action && `  Next action: ${singleLine(deal.next_action)}`,
+    `  Due: ${deal.due_date || 'TBD'}`,
+    deal.notes && `  Notes: ${singleLine(deal.notes)}`,
+  ].filter(Boolean);
+}
+
+function serializeTimeEntry(entry) {
+  return [
+    `- Time: ${entry.hours}h`,
+    entry.date && `  Date: ${entry.date}`,
+    entry.notes && `  Notes: ${singleLine(entry.notes)}`,
+  ].filter(Boolean);
+}
+
+function serializeWaitingOnEntry({ contact, description, date_context }) {
+  const detail = [
+    description,
+    date_context ? `mentioned ${date_context}` : null,
+  ].filter(Boolean).join(', ');
+  return detail ? `${contact} \u2014 ${detail}` : contact;
+}
+
+// The recipe is line-based, so multi-line values are collapsed
+function singleLine(text) {
+  return String(text).replace(/\s*\n\s*/g, ' ').trim();
+}
+
+// ---------------------------------------------------------------------------
+// Re-import merge (parsed tasks vs. existing tasks)
+// ---------------------------------------------------------------------------
+
+const DIFF_FIELDS = ['due_date', 'priority', 'subtitle'];
+
+/**
+ * Match parsed tasks against existing ones by fuzzy title (and project, when
+ * both sides carry a project_name) and classify each parsed task:
+ *   - new:       no existing task matches
+ *   - updated:   matched, and due date, priority or notes differ
+ *   - unchanged: matched, nothing to apply
+ *
+ * Empty parsed fields mean "not mentioned" and never clear existing values.
+ * Returns [{ status, task, existing, changes }] in parsed order.
+ */
+export function diffParsedTasks(parsedTasks = [], existingTasks = [], { threshold = 0.8 } = {}) {
+  const claimed = new Set();
+
+  return parsedTasks.map(task => {
+    let best = null;
+    let bestScore = threshold;
+
+    existingTasks.forEach(existing => {
+      if (claimed.has(existing.id)) return;
+      if (task.project_name && existing.project_name &&
+          normalizeTitle(task.project_name) !== normalizeTitle(existing.project_name)) return;
+      const score = titleSimilarity(task.title, existing.title);
+      if (score >= bestScore) {
+        best = existing;
+        bestScore = score;
+      }
+    });
+
+    if (!best) return { status: 'new', task, existing: null, changes: {} };
+    claimed.add(best.id);
+
+    const changes = {};
+    DIFF_FIELDS.forEach(field => {
+      const value = task[field];
+      if (value && value !== (best[field] || '')) changes[field] = value;
+    });
+
+    return {
+      status: Object.keys(changes).length > 0 ? 'updated' : 'unchanged',
+      task,
+      existing: best,
+      changes,
+    };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Fuzzy matching
+// ---------------------------------------------------------------------------
+
+/** Lowercase, strip punctuation and collapse whitespace. */
+export function normalizeTitle(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Sørensen–Dice coefficient over character bigrams of the normalized strings.
+ * 1 = identical, 0 = nothing in common. Tolerates typos and small rewordings.
+ */
+export function titleSimilarity(a, b) {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const bigrams = new Map();
+  for (let i = 0; i < left.length - 1; i++) {
+    const gram = left.slice(i, i + 2);
+    bigrams.set(gram, (bigrams.get(gram) || 0) + 1);
+  }
+
+  let overlap = 0;
+  for (let i = 0; i < right.length - 1; i++) {
+    const gram = right.slice(i, i + 2);
+    const count = bigrams.get(gram) || 0;
+    if (count > 0) {
+      bigrams.set(gram, count - 1);
+      overlap++;
+    }
+  }
+
+  return (2 * overlap) / (left.length + right.length - 2);
+}
+
+/**
+ * Find the passage a task most likely came from: the line that best matches
+ * the title (bigram similarity, or the share of its longer words it contains),
+ * with one line of context either side.
+ * @returns {{ before: string, match: string, after: string } | null}
+ */
+export function findSourceExcerpt(text, title, { minScore = 0.3 } = {}) {
+  if (!text || !title) return null;
+
+  const lines = text.split('\n');
+  const words = normalizeTitle(title).split(' ').filter(word => word.length > 3);
+  let best = -1;
+  let bestScore = minScore;
+
+  lines.forEach((line, i) => {
+    const normalized = normalizeTitle(line);
+    if (!normalized) return;
+    const shared = words.length > 0
+      ? words.filter(word => normalized.includes(word)).length / words.length
+      : 0;
+    const score = Math.max(shared, titleSimilarity(line, title));
+    if (score > bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  });
+
+  if (best === -1) return null;
+  return {
+    before: best > 0 ? lines[best - 1] : '',
+    match: lines[best],
+    after: best < lines.length - 1 ? lines[best + 1] : '',
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Entry point (auto-detects the mode)
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse notes in whichever mode they need: structured notes are parsed
+ * directly, anything else goes through normalizeAndParse() (options are
+ * passed on).
+ *
+ * Returns { result, method: 'structured' | 'freeform', issues, attempts, chunks }.
+ */
+export async function parseNotes(noteText, options = {}) {
+  if (isStructuredFormat(noteText)) {
+    const result = parseStructuredNotes(noteText, { owner: options.owner, categories: options.categories });
+    return { result, method: 'structured', issues: result.unparsed_lines, attempts: 0, chunks: 1 };
+  }
+
+  const { result, issues, attempts, chunks } = await normalizeAndParse(noteText, options);
+  return { result, method: 'freeform', issues, attempts, chunks };
+}
+
+// ---------------------------------------------------------------------------
+// Re-parse diff (stored result vs. fresh result)
+// ---------------------------------------------------------------------------
+
+// Field that identifies an item in each collection of the parser result
+const RESULT_KEY_FIELDS = {
+  tasks: 'title',
+  projects: 'name',
+  project_updates: 'project_name',
+  opportunities: 'name',
+  contacts: 'name',
+  time_entries: 'notes',
+};
+
+/**
+ * Compare a stored parser result with a fresh one, collection by collection.
+ * Items are paired by fuzzy title (same rules as diffParsedTasks).
+ *
+ * Returns { [collection]: { added: [item], removed: [item],
+ *   changed: [{ before, after, fields }] }, total } where total counts
+ * every added, removed and changed item.
+ */
+export function diffParsedResults(stored, fresh, { threshold = 0.8 } = {}) {
+  const diff = { total: 0 };
+
+  Object.entries(RESULT_KEY_FIELDS).forEach(([collection, keyField]) => {
+    const before = stored?.[collection] || [];
+    const after = fresh?.[collection] || [];
+    const claimed = new Set();
+    const entry = { added: [], removed: [], changed: [] };
+
+    after.forEach(item => {
+      let best = -1;
+      let bestScore = threshold;
+      before.forEach((candidate, i) => {
+        if (claimed.has(i)) return;
+        const score = titleSimilarity(item[keyField], candidate[keyField]);
+        if (score >= bestScore) {
+          best = i;
+          bestScore = score;
+        }
+      });
+
+      if (best === -1) {
+        entry.added.push(item);
+        return;
+      }
+      claimed.add(best);
+      const fields = changedFields(before[best], item);
+      if (fields.length > 0) entry.changed.push({ before: before[best], after: item, fields });
+    });
+
+    entry.removed = before.filter((_, i) => !claimed.has(i));
+    diff[collection] = entry;
+    diff.total += entry.added.length + entry.removed.length + entry.changed.length;
+  });
+
+  return diff;
+}
+
+/** One-line summary of a diffParsedResults() diff, e.g. "2 added, 1 changed" */
+export function summarizeParsedDiff(diff) {
+  if (diff.total === 0) return 'No changes';
+  const counts = { added: 0, removed: 0, changed: 0 };
+  Object.keys(RESULT_KEY_FIELDS).forEach(collection => {
+    Object.keys(counts).forEach(kind => {
+      counts[kind] += diff[collection]?.[kind].length || 0;
+    });
+  });
+  return Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([kind, count]) => `${count} ${kind}`)
+    .join(', ');
+}
+
+// Empty strings and missing values count as the same "not set"
+function changedFields(before, after) {
+  // Missing, empty and [] all mean "none" (older results have no checklist)
+  const normalize = value => JSON.stringify(
+    value === '' || value === undefined || (Array.isArray(value) && value.length === 0) ? null : value
+  );
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...keys].filter(key => normalize(before[key]) !== normalize(after[key]));
+}
+
 // ---------------------------------------------------------------------------
 // LLM normalization (freeform → structured)
 // ---------------------------------------------------------------------------
 
 /**
- * Send freeform text through Claude to normalize it into structured format.
+ * Send freeform text through the configured LLM provider to normalize it into
+ * structured format.
  * Returns the structured text (not JSON) which should then be passed to
- * parseStructuredNotes().
+ * parseStructuredNotes() with the same owner.
+ *
+ * With onText the response is streamed and onText(delta) is called as text
+ * arrives (providers without stream() fall back to a single call).
+ * promptTemplate replaces the active 'normalize' template (prompt previews).
  */
-export async function normalizeWithLLM(noteText) {
+export async function normalizeWithLLM(noteText, { owner, onText, ignoredExamples, categories, promptTemplate } = {}) {
   if (!noteText || noteText.trim().length === 0) {
     return null;
   }
 
-  const isProduction = import.meta.env.PROD;
-  const apiUrl = isProduction
-    ? '/api/anthropic/messages'
-    : (import.meta.env.VITE_PROXY_URL || 'http://localhost:3001') +
-      '/api/anthropic/messages';
-
-  const response = await fetch(apiUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model: 'claude-3-haiku-20240307',
-      max_tokens: 4096,
-      system: NORMALIZATION_PROMPT,
-      messages: [
-        {
-          role: 'user',
-          content: noteText,
-        },
-      ],
-    }),
+  const provider = getLLMProvider();
+  const request = {
+    task: 'normalize',
+    system: buildNormalizationPrompt(owner, ignoredExamples, categories, promptTemplate),
+    prompt: noteText,
+    maxTokens: 4096,
+  };
+
+  if (!onText) return provider.complete(request);
+  if (!provider.stream) {
+    const text = await provider.complete(request);
+    onText(text);
+    return text;
+  }
+  return provider.stream({ ...request, onText });
+}
+
+// Lines that close the task block above them
+const BLOCK_BOUNDARY = /^(?:Project:|Scope:|Milestones:\s*$|-\s*(?:Task|Contact|Deal|Time):)/i;
+
+/**
+ * Incrementally parse structured text as it streams in.
+ * onTask(task, index) fires once per task, as soon as the next block starts
+ * (or on finish() for the last one), so callers can render tasks while the
+ * model is still writing. Each push() only looks at the lines it completed:
+ * a closed task block is parsed on its own, under the current Project: line.
+ *
+ * @returns {{ push: (chunk: string) => void, finish: () => Object }}
+ *   finish() returns the full parseStructuredNotes() result.
+ */
+export function createStreamingTaskParser({ onTask, ...options } = {}) {
+  let text = '';
+  let partial = ''; // trailing line without its newline yet
+  let emitted = 0;
+  let header = []; // lines before the first block, for the meeting date
+  let blockOptions = null; // options with the meeting date, once the header ends
+  let projectLine = null;
+  let taskLines = null; // the open task block
+
+  const closeTask = () => {
+    const [task] = parseStructuredNotes([projectLine, ...taskLines].filter(Boolean).join('\n'), blockOptions).tasks;
+    taskLines = null;
+    if (task) onTask?.(task, emitted++);
+  };
+
+  const addLine = (line) => {
+    const trimmed = line.trim();
+    if (!blockOptions) {
+      if (!/^(?:Project:|-\s*\w+:)/i.test(trimmed)) {
+        header.push(line);
+        return;
+      }
+      blockOptions = { referenceDate: findMeetingDate(header) || undefined, ...options };
+      header = null;
+    }
+
+    if (taskLines && BLOCK_BOUNDARY.test(trimmed)) closeTask();
+    if (/^Project:/i.test(trimmed)) projectLine = line;
+    if (/^-\s*Task:/i.test(trimmed)) taskLines = [line];
+    else taskLines?.push(line);
+  };
+
+  const emitUpTo = (count, tasks) => {
+    for (; emitted < count; emitted++) onTask?.(tasks[emitted], emitted);
+  };
+
+  return {
+    push(chunk) {
+      text += chunk;
+      const lines = (partial + chunk).split('\n');
+      partial = lines.pop();
+      lines.forEach(addLine);
+    },
+
+    finish() {
+      const result = parseStructuredNotes(text, options);
+      emitUpTo(result.tasks.length, result.tasks);
+      return result;
+    },
+  };
+}
+
+/**
+ * Normalize freeform notes, parse, and validate the result. When lines can't
+ * be parsed or the result fails schema validation, the model is asked to
+ * repair its output, up to maxRepairs times.
+ *
+ * Long inputs are split with splitTranscript(); each chunk is normalized on
+ * its own and the results merged with mergeParsedResults().
+ * onProgress({ chunk, total }) fires before each chunk.
+ *
+ * With onTask the first pass is streamed and onTask(task, index) is called as
+ * each task completes; repairs are not streamed.
+ *
+ * ignoredExamples ([{ type, title }]) are fed to the model as items to skip.
+ * categories (default DEFAULT_TASK_CATEGORIES) are the task categories offered
+ * in the prompt and resolved when parsing. promptTemplate replaces the active
+ * 'normalize' template for this call (used to preview an edited template).
+ *
+ * Returns { result, normalizedText, issues, attempts, chunks } where issues
+ * are the problems left after the last attempt: [{ line?, chunk?, text, reason }]
+ * and attempts counts LLM calls across all chunks.
+ */
+export async function normalizeAndParse(noteText, {
+  owner,
+  maxRepairs = 2,
+  maxChunkChars = MAX_CHUNK_CHARS,
+  ignoredExamples = [],
+  categories = DEFAULT_TASK_CATEGORIES,
+  promptTemplate,
+  onTask,
+  onProgress,
+} = {}) {
+  const chunks = splitTranscript(noteText, { maxChars: maxChunkChars });
+  if (chunks.length <= 1) {
+    onProgress?.({ chunk: 1, total: 1 });
+    return {
+      ...(await normalizeChunk(noteText, { owner, maxRepairs, ignoredExamples, categories, promptTemplate, onTask })),
+      chunks: 1,
+    };
+  }
+
+  const outputs = [];
+  let streamedCount = 0;
+  for (let i = 0; i < chunks.length; i++) {
+    onProgress?.({ chunk: i + 1, total: chunks.length });
+    const offset = streamedCount;
+    const output = await normalizeChunk(chunks[i], {
+      owner,
+      maxRepairs,
+      ignoredExamples,
+      categories,
+      promptTemplate,
+      onTask: onTask && ((task, index) => onTask(task, offset + index)),
+    });
+    streamedCount += output.result.tasks.length;
+    outputs.push(output);
+  }
+
+  return {
+    result: mergeParsedResults(outputs.map(output => output.result)),
+    normalizedText: outputs.map(output => output.normalizedText).filter(Boolean).join('\n\n'),
+    issues: outputs.flatMap((output, i) => output.issues.map(issue => ({ ...issue, chunk: i + 1 }))),
+    attempts: outputs.reduce((sum, output) => sum + output.attempts, 0),
+    chunks: chunks.length,
+  };
+}
+
+async function normalizeChunk(noteText, { owner, maxRepairs, ignoredExamples, categories, promptTemplate, onTask }) {
+  const streamParser = onTask && createStreamingTaskParser({ owner, categories, onTask });
+  let normalizedText = await normalizeWithLLM(noteText, {
+    owner,
+    ignoredExamples,
+    categories,
+    promptTemplate,
+    onText: streamParser ? chunk => streamParser.push(chunk) : undefined,
   });
+  if (streamParser && normalizedText && !normalizedText.includes('No tasks found.')) {
+    streamParser.finish();
+  }
+  let attempts = 1;
+
+  for (;;) {
+    if (!normalizedText || normalizedText.includes('No tasks found.')) {
+      return { result: getEmptyResult(), normalizedText, issues: [], attempts };
+    }
+
+    const result = parseStructuredNotes(normalizedText, { owner, categories });
+    const issues = [...result.unparsed_lines, ...validateParsedNotes(result)];
+    if (issues.length === 0 || attempts > maxRepairs) {
+      return { result, normalizedText, issues, attempts };
+    }
 
-  if (!response.ok) {
-    const errorData = await response
-      .json()
-      .catch(() => ({ error: 'Unknown error' }));
-    const errorMessage =
-      errorData.error ||
-      errorData.details?.message ||
-      `HTTP error! status: ${response.status}`;
-    throw new Error(`${response.status} ${errorMessage}`);
+    normalizedText = await getLLMProvider().complete({
+      task: 'repair',
+      system: buildNormalizationPrompt(owner, ignoredExamples, categories, promptTemplate),
+      prompt: buildRepairPrompt(noteText, normalizedText, issues),
+      previousOutput: normalizedText,
+      maxTokens: 4096,
+    });
+    attempts++;
   }
+}
+
+function buildRepairPrompt(noteText, previousOutput, issues) {
+  const problems = issues
+    .map(issue => `- ${issue.line ? `line ${issue.line}: ` : ''}"${issue.text}" — ${issue.reason}`)
+    .join('\n');
+
+  return `Original notes:
+<<<
+${noteText}
+>>>
+
+Your previous output:
+<<<
+${previousOutput}
+>>>
+
+These parts could not be parsed or failed validation:
+${problems}
+
+Return the complete corrected output in the exact format described. Plain text only, no commentary.`;
+}
+
+// ---------------------------------------------------------------------------
+// Long transcripts (chunk → normalize → merge)
+// ---------------------------------------------------------------------------
+
+// ~3k tokens of input keeps each chunk's output well inside maxTokens
+const MAX_CHUNK_CHARS = 12000;
+
+// "Alice:", "SPEAKER 2:", "[00:14:03]", "(12:30)" — places a transcript can be cut cleanly
+const TURN_BOUNDARY = /^(?:[[(]?\d{1,2}:\d{2}(?::\d{2})?[\])]?|[A-Z][\w.'’ -]{0,40}:)(?:\s|$)/;
+
+/**
+ * Split long notes into chunks of at most maxChars, cutting between speaker
+ * turns or timestamps (or blank-line paragraphs when there are neither).
+ * A single oversized turn is cut at line ends, then at spaces.
+ * Short input comes back as a single chunk.
+ */
+export function splitTranscript(text, { maxChars = MAX_CHUNK_CHARS } = {}) {
+  if (!text || text.trim().length === 0) return [];
+  if (text.length <= maxChars) return [text];
+
+  const chunks = [];
+  let current = '';
+
+  splitTurns(text)
+    .flatMap(turn => (turn.length > maxChars ? splitOversized(turn, maxChars) : [turn]))
+    .forEach(piece => {
+      if (current && current.length + piece.length + 1 > maxChars) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n${piece}` : piece;
+    });
+
+  if (current.trim()) chunks.push(current);
+  return chunks;
+}
+
+function splitTurns(text) {
+  const lines = text.split('\n');
+  const hasTurns = lines.some(line => TURN_BOUNDARY.test(line.trim()));
+  const turns = [];
+
+  lines.forEach(line => {
+    const startsTurn = hasTurns ? TURN_BOUNDARY.test(line.trim()) : line.trim() === '';
+    if (startsTurn || turns.length === 0) {
+      turns.push(line);
+    } else {
+      turns[turns.length - 1] += `\n${line}`;
+    }
+  });
+
+  return turns;
+}
 
-  const message = await response.json();
-  const content = message.content[0];
-  if (content.type !== 'text') {
-    throw new Error('Unexpected response type from Anthropic API');
+function splitOversized(text, maxChars) {
+  const pieces = [];
+  let rest = text;
+
+  while (rest.length > maxChars) {
+    let at = rest.lastIndexOf('\n', maxChars);
+    if (at <= 0) at = rest.lastIndexOf(' ', maxChars);
+    if (at <= 0) at = maxChars;
+    pieces.push(rest.slice(0, at));
+    rest = rest.slice(at).replace(/^[\n ]/, '');
   }
 
-  return content.text;
+  if (rest) pieces.push(rest);
+  return pieces;
+}
+
+/**
+ * Merge per-chunk parser results, folding together items that more than one
+ * chunk picked up:
+ *   - tasks: fuzzy title match within the same project; empty fields are
+ *     filled from the duplicate, notes, waiting-on entries and checklist
+ *     items combined
+ *   - milestones: same date and fuzzy title, per project
+ *   - contacts / deals: same name
+ *   - time entries: only exact repeats
+ * unparsed_lines are kept, tagged with the 1-based chunk they came from.
+ */
+export function mergeParsedResults(results = [], { threshold = 0.8 } = {}) {
+  const merged = getEmptyResult();
+
+  results.forEach((result, i) => {
+    result.tasks.forEach(task => {
+      const match = merged.tasks.find(existing => isSameTask(existing, task, threshold));
+      if (!match) {
+        merged.tasks.push({ ...task, waiting_on: [...task.waiting_on], checklist: [...task.checklist] });
+        return;
+      }
+      fillEmpty(match, task, ['due_date', 'priority', 'energy']);
+      if (task.subtitle && !(match.subtitle || '').includes(task.subtitle)) {
+        match.subtitle = match.subtitle ? `${match.subtitle} ${task.subtitle}` : task.subtitle;
+      }
+      task.waiting_on.forEach(entry => {
+        const seen = match.waiting_on.some(existing =>
+          isSameName(existing.contact, entry.contact) &&
+          titleSimilarity(existing.description, entry.description) >= threshold);
+        if (!seen) match.waiting_on.push(entry);
+      });
+      task.checklist.forEach(item => {
+        if (!match.checklist.some(existing => titleSimilarity(existing.text, item.text) >= threshold)) {
+          match.checklist.push(item);
+        }
+      });
+    });
+
+    result.project_updates.forEach(update => {
+      const match = merged.project_updates.find(existing =>
+        isSameName(existing.project_name, update.project_name));
+      if (!match) {
+        merged.project_updates.push({ ...update, milestones: [...update.milestones] });
+        return;
+      }
+      fillEmpty(match, update, ['scope']);
+      update.milestones.forEach(milestone => {
+        const seen = match.milestones.some(existing =>
+          existing.date === milestone.date &&
+          titleSimilarity(existing.title, milestone.title) >= threshold);
+        if (!seen) match.milestones.push(milestone);
+      });
+    });
+
+    mergeByName(merged.contacts, result.contacts, ['company', 'email', 'phone', 'notes']);
+    mergeByName(merged.opportunities, result.opportunities, ['contact', 'value', 'next_action', 'due_date', 'notes']);
+
+    result.time_entries.forEach(entry => {
+      const seen = merged.time_entries.some(existing =>
+        existing.project_name === entry.project_name && existing.hours === entry.hours &&
+        existing.date === entry.date && existing.notes === entry.notes);
+      if (!seen) merged.time_entries.push({ ...entry });
+    });
+
+    merged.unparsed_lines.push(...(result.unparsed_lines || []).map(line => ({ ...line, chunk: i + 1 })));
+  });
+
+  return merged;
+}
+
+function isSameTask(a, b, threshold) {
+  if (a.project_name && b.project_name && !isSameName(a.project_name, b.project_name)) return false;
+  // "Invoice #12" and "Invoice #13" are near-identical strings but different tasks
+  if (titleNumbers(a.title) !== titleNumbers(b.title)) return false;
+  return titleSimilarity(a.title, b.title) >= threshold;
+}
+
+function titleNumbers(title) {
+  return (title.match(/\d+/g) || []).join(' ');
+}
+
+function isSameName(a, b) {
+  return normalizeTitle(a) === normalizeTitle(b);
+}
+
+function mergeByName(target, items, fields) {
+  items.forEach(item => {
+    const match = target.find(existing => isSameName(existing.name, item.name));
+    if (match) {
+      fillEmpty(match, item, fields);
+    } else {
+      target.push({ ...item });
+    }
+  });
+}
+
+// Copy fields the target doesn't have yet
+function fillEmpty(target, source, fields) {
+  fields.forEach(field => {
+    if (!target[field] && source[field]) target[field] = source[field];
+  });
 }
 
 // ---------------------------------------------------------------------------
 // Project creation parser (freeform → project fields + tasks)
 // ---------------------------------------------------------------------------
 
-const PROJECT_CREATION_PROMPT = `You are a project setup assistant. You will receive raw notes about a new project — could be meeting notes, a brief, a message, or a brain dump. Extract all useful project details and return them as JSON.
-
-Return ONLY valid JSON with this exact structure (no markdown, no explanation):
-{
-  "name": "Project name if mentioned, otherwise empty string",
-  "client": "Client or company name if mentioned, otherwise empty string",
-  "phase": "Current phase if mentioned (e.g., Pre-production, Design, Development), otherwise empty string",
-  "deadline": "YYYY-MM-DD if a deadline is mentioned, otherwise empty string",
-  "budget": null or number (e.g., 5000),
-  "hours_estimate": null or number (e.g., 40),
-  "scope": "1-3 sentence summary of the project goal and deliverables, or empty string",
-  "notes": "Any remaining context, background info, or details that don't fit elsewhere",
-  "milestones": [
-    { "title": "Milestone description", "date": "YYYY-MM-DD or empty string", "completed": false }
-  ],
-  "tasks": [
-    { "title": "Short action-oriented task (start with verb)", "priority": "high|medium|low", "due_date": "YYYY-MM-DD or null", "subtitle": "Brief context or notes" }
-  ],
-  "links": [
-    { "title": "Link label", "url": "https://..." }
-  ]
-}
-
-Rules:
-- Extract as much as you can. Leave fields empty/null if not mentioned.
-- Tasks should be actionable — start with a verb, max 10 words.
-- Consolidate related actions into single tasks. Aim for quality over quantity.
-- Budget should be a number only (no currency symbols).
-- Links: extract any URLs mentioned with a descriptive title.
-- If no useful information can be extracted, return the JSON with all empty/null fields.`;
-
 /**
  * Parse freeform notes into project creation fields using LLM.
  * Returns a JSON object with project fields, tasks, milestones, and links.
+ * promptTemplate replaces the active 'new-project' template (prompt previews).
  */
-export async function parseForNewProject(noteText) {
+export async function parseForNewProject(noteText, { owner = DEFAULT_OWNER, categories, promptTemplate } = {}) {
   if (!noteText || noteText.trim().length === 0) return null;
 
-  const isProduction = import.meta.env.PROD;
-  const apiUrl = isProduction
-    ? '/api/anthropic/messages'
-    : (import.meta.env.VITE_PROXY_URL || 'http://localhost:3001') +
-      '/api/anthropic/messages';
-
-  const response = await fetch(apiUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model: 'claude-3-haiku-20240307',
-      max_tokens: 4096,
-      system: PROJECT_CREATION_PROMPT,
-      messages: [{ role: 'user', content: noteText }],
-    }),
+  const template = promptTemplate || getPromptTemplate('new-project');
+  const responseText = await getLLMProvider().complete({
+    task: 'new-project',
+    system: renderPromptTemplate(template, buildPromptVariables(owner, categories)),
+    prompt: noteText,
+    maxTokens: 4096,
   });
 
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-    const errorMessage = errorData.error || errorData.details?.message || `HTTP error! status: ${response.status}`;
-    throw new Error(`${response.status} ${errorMessage}`);
-  }
-
-  const message = await response.json();
-  const content = message.content[0];
-  if (content.type !== 'text') {
-    throw new Error('Unexpected response type from Anthropic API');
-  }
-
   // Parse JSON from response (strip any markdown fences if present)
-  let text = content.text.trim();
+  let text = responseText.trim();
   if (text.startsWith('```')) {
     text = text.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
   }
@@ -453,9 +1298,7 @@ export async function parseForNewProject(noteText) {
 // AI Project Summary
 // ---------------------------------------------------------------------------
 
-const PROJECT_SUMMARY_PROMPT = `You are a project management assistant. Given the project data below, write a concise 2-3 sentence status summary. Focus on: what's been accomplished, what's in progress, what's blocked or overdue, and the most important next step. Be direct and specific — no filler. Use plain language.`;
-
-export async function summarizeProject(project) {
+export async function summarizeProject(project, { owner = DEFAULT_OWNER, categories, promptTemplate } = {}) {
   if (!project) return null;
 
   const tasks = project.tasks || [];
@@ -478,55 +1321,138 @@ export async function summarizeProject(project) {
     project.milestones?.length > 0 ? `Milestones: ${project.milestones.map(m => `${m.title}${m.completed ? ' (done)' : ''}`).join(', ')}` : null,
   ].filter(Boolean).join('\n');
 
-  const isProduction = import.meta.env.PROD;
-  const apiUrl = isProduction
-    ? '/api/anthropic/messages'
-    : (import.meta.env.VITE_PROXY_URL || 'http://localhost:3001') + '/api/anthropic/messages';
-
-  const response = await fetch(apiUrl, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      model: 'claude-3-haiku-20240307',
-      max_tokens: 512,
-      system: PROJECT_SUMMARY_PROMPT,
-      messages: [{ role: 'user', content: context }],
-    }),
+  const template = promptTemplate || getPromptTemplate('summary');
+  return getLLMProvider().complete({
+    task: 'summary',
+    system: renderPromptTemplate(template, buildPromptVariables(owner, categories)),
+    prompt: context,
+    maxTokens: 512,
   });
+}
 
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
-    const errorMessage = errorData.error || errorData.details?.message || `HTTP error! status: ${response.status}`;
-    throw new Error(`${response.status} ${errorMessage}`);
-  }
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
 
-  const message = await response.json();
-  const content = message.content[0];
-  if (content.type !== 'text') {
-    throw new Error('Unexpected response type from Anthropic API');
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Find a top-level "Date:" / "Meeting date:" line to anchor relative due dates
+function findMeetingDate(lines) {
+  for (const line of lines) {
+    // Only the header counts — "Date:" inside a Time block is the entry's date
+    if (/^(?:Project:|-\s*\w+:)/i.test(line.trim())) break;
+    const match = line.trim().match(/^(?:Meeting\s+)?Date:\s*(.+)$/i);
+    if (match) {
+      const iso = parseGranolaDate(match[1]);
+      if (iso) return toLocalDate(iso);
+    }
   }
+  return null;
+}
 
-  return content.text;
+// Parse YYYY-MM-DD as local midnight (new Date() would treat it as UTC)
+function toLocalDate(iso) {
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d);
 }
 
-// ---------------------------------------------------------------------------
-// Helpers
-// ---------------------------------------------------------------------------
+// Upcoming occurrence of a weekday; today counts unless strictlyAfter
+function nextWeekday(from, dayIndex, strictlyAfter = false) {
+  let delta = (dayIndex - from.getDay() + 7) % 7;
+  if (delta === 0 && strictlyAfter) delta = 7;
+  return addDays(from, delta);
+}
 
-function parseGranolaDate(dateStr) {
+/**
+ * Resolve a "Due:" value to YYYY-MM-DD, or null for TBD / unrecognized.
+ *
+ * Understands, relative to referenceDate (default today):
+ *   ISO dates, today, tomorrow, EOD, EOW (Friday), EOM, end of week/month,
+ *   next week (Monday), next month (1st), in N days/weeks/months,
+ *   [this|next] Friday ("next" skips today), Mar 3 / March 3rd / 3 March
+ *   [2026], and 3/14[/2026]. Dates without a year roll into next year once
+ *   they are behind the reference date. A leading "by", "on" or "before" is
+ *   ignored, and so is a weekday in front of a date ("Friday, March 3").
+ *   Anything else is only read when it carries a 4-digit year.
+ */
+export function parseGranolaDate(dateStr, referenceDate = new Date()) {
   if (!dateStr) return null;
   const trimmed = dateStr.trim();
   if (trimmed.toUpperCase() === 'TBD' || trimmed === '') return null;
-  // ISO format (YYYY-MM-DD)
-  if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) return trimmed;
-  // Fallback: attempt JS Date parsing
-  try {
-    const date = new Date(trimmed);
-    if (isNaN(date.getTime())) return null;
-    return date.toISOString().split('T')[0];
-  } catch {
-    return null;
+  // ISO format (YYYY-MM-DD), rejecting impossible dates like 2026-13-45
+  if (/^\d{4}-\d{2}-\d{2}$/.test(trimmed)) {
+    return format(toLocalDate(trimmed), 'yyyy-MM-dd') === trimmed ? trimmed : null;
+  }
+
+  const ref = new Date(referenceDate.getFullYear(), referenceDate.getMonth(), referenceDate.getDate());
+  const text = trimmed
+    .toLowerCase()
+    .replace(/[.,]/g, ' ')
+    .replace(/^(?:by|on|before)\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    // "Friday March 3": the weekday adds nothing once there is a date after it
+    .replace(/^(?:sun|mon|tue|wed|thu|fri|sat)[a-z]* (?=\d|[a-z]+ \d)/, '');
+  const iso = (date) => format(date, 'yyyy-MM-dd');
+
+  if (text === 'today' || text === 'eod' || text === 'end of day') return iso(ref);
+  if (text === 'tomorrow') return iso(addDays(ref, 1));
+  if (text === 'eow' || text === 'end of week' || text === 'end of the week' || text === 'this week') {
+    return iso(nextWeekday(ref, 5));
+  }
+  if (text === 'eom' || text === 'end of month' || text === 'end of the month') return iso(endOfMonth(ref));
+  if (text === 'next week') return iso(nextWeekday(ref, 1, true));
+  if (text === 'next month') return iso(startOfMonth(addMonths(ref, 1)));
+
+  // in N days / weeks / months
+  const inMatch = text.match(/^in (\d+|a|one|two|three|four) (day|week|month)s?$/);
+  if (inMatch) {
+    const words = { a: 1, one: 1, two: 2, three: 3, four: 4 };
+    const n = words[inMatch[1]] ?? parseInt(inMatch[1], 10);
+    const add = { day: addDays, week: addWeeks, month: addMonths }[inMatch[2]];
+    return iso(add(ref, n));
   }
+
+  // [this|next] weekday
+  const dayMatch = text.match(/^(this |next )?([a-z]+)$/);
+  if (dayMatch) {
+    const dayIndex = WEEKDAYS.findIndex(d => d === dayMatch[2] || d.slice(0, 3) === dayMatch[2]);
+    if (dayIndex !== -1) return iso(nextWeekday(ref, dayIndex, dayMatch[1] === 'next '));
+  }
+
+  // Month name + day: "mar 3", "march 3rd 2026", "3 march"
+  const monthMatch =
+    text.match(/^([a-z]+) (\d{1,2})(?:st|nd|rd|th)?(?: (\d{4}))?$/) ||
+    text.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+)(?: (\d{4}))?$/);
+  if (monthMatch) {
+    const [monthWord, day] = /^\d/.test(monthMatch[1])
+      ? [monthMatch[2], monthMatch[1]]
+      : [monthMatch[1], monthMatch[2]];
+    const month = MONTHS.indexOf(monthWord.slice(0, 3));
+    if (month !== -1) return resolveMonthDay(ref, month, parseInt(day, 10), monthMatch[3]);
+  }
+
+  // Numeric month/day: "3/14", "3/14/2026"
+  const slashMatch = text.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
+  if (slashMatch) {
+    return resolveMonthDay(ref, parseInt(slashMatch[1], 10) - 1, parseInt(slashMatch[2], 10), slashMatch[3]);
+  }
+
+  // Fallback: JS Date parsing, only with an explicit year — without one it
+  // guesses 2001 ("12" → 2001-12-01)
+  if (!/\b\d{4}\b/.test(trimmed)) return null;
+  const date = new Date(trimmed);
+  if (!isValid(date)) return null;
+  return iso(date);
+}
+
+function resolveMonthDay(ref, month, day, year) {
+  let date = new Date(year ? parseInt(year, 10) : ref.getFullYear(), month, day);
+  // Reject overflow like Feb 31
+  if (date.getMonth() !== month) return null;
+  if (!year && date < ref) date = new Date(ref.getFullYear() + 1, month, day);
+  return format(date, 'yyyy-MM-dd');
 }
 
 function getEmptyResult() {
@@ -537,5 +1463,6 @@ function getEmptyResult() {
     opportunities: [],
     contacts: [],
     time_entries: [],
+    unparsed_lines: [],
   };
 }
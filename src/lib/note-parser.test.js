@@ -0,0 +1,538 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { createFixtureProvider, setLLMProvider } from './llm.js';
+import {
+  parseStructuredNotes,
+  serializeStructuredNotes,
+  isStructuredFormat,
+  diffParsedTasks,
+  parseGranolaDate,
+  normalizeAndParse,
+  createStreamingTaskParser,
+  splitTranscript,
+  mergeParsedResults,
+  diffParsedResults,
+  summarizeParsedDiff,
+} from './note-parser.js';
+
+const owner = { name: 'Sam Rivera', aliases: ['SR'] };
+
+const roundTrip = (parsed) => parseStructuredNotes(serializeStructuredNotes(parsed), { owner });
+
+describe('serializeStructuredNotes → parseStructuredNotes', () => {
+  it('round-trips tasks across projects', () => {
+    const parsed = parseStructuredNotes(`- Task: Call the city about permits
+  Category: Admin
+  Due: TBD
+
+Project: Kitchen Reno
+
+- Task: Send CAD to Bould
+  Category: Design
+  Priority: High
+  Due: TBD
+
+- Task: Order tile samples
+  Category: Procurement
+  Priority: Low
+  Due: TBD
+
+Project: Client Portal
+
+- Task: Fix the login redirect
+  Category: Dev
+  Priority: Medium
+  Due: TBD
+`, { owner });
+
+    expect(parsed.tasks.map(t => [t.title, t.project_name, t.energy, t.priority])).toEqual([
+      ['Call the city about permits', null, 'admin', ''],
+      ['Send CAD to Bould', 'Kitchen Reno', 'design', 'high'],
+      ['Order tile samples', 'Kitchen Reno', 'procurement', 'low'],
+      ['Fix the login redirect', 'Client Portal', 'dev', 'medium'],
+    ]);
+    expect(roundTrip(parsed)).toEqual(parsed);
+  });
+
+  it('round-trips notes and waiting-on entries', () => {
+    const parsed = parseStructuredNotes(`Project: Kitchen Reno
+
+- Task: Finalize cabinet layout
+  Category: Design
+  Due: TBD
+  Notes: Client wants the pantry wall moved 6 inches
+  Waiting on: Bould Design — updated CAD files, mentioned by end of week
+  Waiting on: Ana
+`, { owner });
+
+    expect(parsed.tasks[0]).toMatchObject({
+      subtitle: 'Client wants the pantry wall moved 6 inches',
+      waiting_on: [
+        { contact: 'Bould Design', description: 'updated CAD files', date_context: 'by end of week' },
+        { contact: 'Ana', description: '', date_context: null },
+      ],
+    });
+    expect(roundTrip(parsed)).toEqual(parsed);
+  });
+
+  it('round-trips due dates', () => {
+    const parsed = parseStructuredNotes(`Project: Kitchen Reno
+
+- Task: Submit permit application
+  Category: Admin
+  Due: 2026-11-02
+
+- Task: Renew insurance
+  Category: Admin
+  Due: 2027-01-31
+
+- Task: Pick a grout color
+  Category: Design
+  Due: TBD
+`, { owner });
+
+    expect(parsed.tasks.map(t => t.due_date)).toEqual(['2026-11-02', '2027-01-31', null]);
+    expect(roundTrip(parsed)).toEqual(parsed);
+  });
+
+  it('round-trips scope and milestones', () => {
+    const parsed = parseStructuredNotes(`Project: Kitchen Reno
+
+- Task: Book the electrician
+  Category: Admin
+  Due: TBD
+
+Scope: Full gut of the kitchen and pantry
+
+Milestones:
+- [2026-11-15] Demo complete
+- [2026-12-20] Cabinets installed
+
+Project: Client Portal
+
+Scope: Invoices and file sharing
+`, { owner });
+
+    expect(parsed.project_updates).toEqual([
+      {
+        project_name: 'Kitchen Reno',
+        scope: 'Full gut of the kitchen and pantry',
+        milestones: [
+          { date: '2026-11-15', title: 'Demo complete', completed: false },
+          { date: '2026-12-20', title: 'Cabinets installed', completed: false },
+        ],
+      },
+      { project_name: 'Client Portal', scope: 'Invoices and file sharing', milestones: [] },
+    ]);
+    expect(roundTrip(parsed)).toEqual(parsed);
+  });
+
+  it('round-trips empty sections', () => {
+    const empty = parseStructuredNotes('', { owner });
+
+    expect(roundTrip(empty)).toEqual(empty);
+    expect(roundTrip({})).toEqual(empty);
+  });
+
+  it('writes text that is detected as structured', () => {
+    const text = serializeStructuredNotes({ tasks: [{ title: 'Anything', energy: 'admin' }] });
+
+    expect(isStructuredFormat(text)).toBe(true);
+  });
+
+  it('round-trips owners, including aliases and other people', () => {
+    const parsed = parseStructuredNotes(`Project: Kitchen Reno
+
+- Task: Review the estimate
+  Category: Admin
+  Due: TBD
+  Owner: SR
+
+- Task: Deliver countertop
+  Category: Procurement
+  Due: TBD
+  Owner: Bould Design
+`, { owner });
+
+    expect(parsed.tasks.map(t => [t.assignee, t.is_mine])).toEqual([
+      ['Sam Rivera', true],
+      ['Bould Design', false],
+    ]);
+    expect(roundTrip(parsed)).toEqual(parsed);
+  });
+
+  it('round-trips contacts, deals and time entries', () => {
+    const parsed = parseStructuredNotes(`Project: Kitchen Reno
+
+- Task: Book the electrician
+  Category: Admin
+  Due: TBD
+
+- Time: 1.5h
+  Date: 2026-10-16
+  Notes: Site walk
+
+- Contact: Ana Lopez
+  Company: Lopez Homes
+  Email: ana@example.com
+  Phone: 555-0100
+  Notes: Prefers text
+
+- Deal: Bathroom remodel
+  Contact: Ana Lopez
+  Value: 12000
+  Stage: Proposal
+  Next action: Send the estimate
+  Due: 2026-10-30
+
+- Deal: Deck rebuild
+  Stage: Lead
+  Due: TBD
+`, { owner });
+
+    expect(parsed.time_entries).toEqual([
+      { project_name: 'Kitchen Reno', hours: 1.5, date: '2026-10-16', notes: 'Site walk' },
+    ]);
+    expect(parsed.contacts).toHaveLength(1);
+    expect(parsed.opportunities.map(d => [d.name, d.value, d.stage, d.due_date])).toEqual([
+      ['Bathroom remodel', 12000, 'proposal', '2026-10-30'],
+      ['Deck rebuild', 0, 'lead', null],
+    ]);
+    expect(roundTrip(parsed)).toEqual(parsed);
+  });
+
+  it('round-trips checklists', () => {
+    const parsed = parseStructuredNotes(`Project: Kitchen Reno
+
+- Task: Finalize cabinet layout
+  Category: Design
+  Due: TBD
+  - [x] Measure the pantry wall
+  - Mark up the elevations
+`, { owner });
+
+    expect(parsed.tasks[0].checklist).toEqual([
+      { text: 'Measure the pantry wall', done: true },
+      { text: 'Mark up the elevations', done: false },
+    ]);
+    expect(roundTrip(parsed)).toEqual(parsed);
+  });
+
+  it('round-trips completed milestones', () => {
+    const parsed = parseStructuredNotes(`Project: Kitchen Reno
+
+Milestones:
+- [x] [2026-10-01] Permits approved
+- [2026-11-15] Demo complete
+`, { owner });
+
+    expect(parsed.project_updates[0].milestones).toEqual([
+      { date: '2026-10-01', title: 'Permits approved', completed: true },
+      { date: '2026-11-15', title: 'Demo complete', completed: false },
+    ]);
+    expect(roundTrip(parsed)).toEqual(parsed);
+  });
+});
+
+describe('diffParsedTasks', () => {
+  const existing = [
+    { id: 1, title: 'Send CAD to Bould', project_name: 'Kitchen Reno', due_date: '2026-10-16', priority: 'high', subtitle: '' },
+    { id: 2, title: 'Order tile samples', project_name: 'Kitchen Reno', due_date: null, priority: '', subtitle: 'Matte only' },
+  ];
+
+  it('classifies parsed tasks as updated, unchanged or new', () => {
+    const parsed = [
+      { title: 'Send the CAD to Bould', project_name: 'Kitchen Reno', due_date: '2026-10-23', priority: 'high', subtitle: null },
+      { title: 'Order tile samples', project_name: 'Kitchen Reno', due_date: null, priority: '', subtitle: 'Matte only' },
+      { title: 'Book the electrician', project_name: 'Kitchen Reno', due_date: null, priority: '', subtitle: null },
+    ];
+
+    expect(diffParsedTasks(parsed, existing).map(entry => [entry.status, entry.existing?.id ?? null, entry.changes])).toEqual([
+      ['updated', 1, { due_date: '2026-10-23' }],
+      ['unchanged', 2, {}],
+      ['new', null, {}],
+    ]);
+  });
+
+  it('never clears existing values with empty parsed fields', () => {
+    const [entry] = diffParsedTasks([
+      { title: 'Order tile samples', project_name: 'Kitchen Reno', due_date: null, priority: '', subtitle: null },
+    ], existing);
+
+    expect(entry).toMatchObject({ status: 'unchanged', changes: {} });
+  });
+
+  it('matches each existing task once and only within its project', () => {
+    const parsed = [
+      { title: 'Order tile samples', project_name: 'Bathroom', due_date: null, priority: '', subtitle: null },
+      { title: 'Send CAD to Bould', project_name: 'Kitchen Reno', due_date: null, priority: '', subtitle: null },
+      { title: 'Send CAD to Bould', project_name: 'Kitchen Reno', due_date: null, priority: '', subtitle: null },
+    ];
+
+    expect(diffParsedTasks(parsed, existing).map(entry => entry.status)).toEqual(['new', 'unchanged', 'new']);
+  });
+});
+
+describe('parseGranolaDate', () => {
+  const wednesday = new Date(2026, 9, 14);
+  const friday = new Date(2026, 9, 16);
+
+  it('resolves relative phrases against the reference date', () => {
+    expect(parseGranolaDate('tomorrow', wednesday)).toBe('2026-10-15');
+    expect(parseGranolaDate('end of week', wednesday)).toBe('2026-10-16');
+    expect(parseGranolaDate('EOW', wednesday)).toBe('2026-10-16');
+    expect(parseGranolaDate('in 2 weeks', wednesday)).toBe('2026-10-28');
+    expect(parseGranolaDate('by Mar 3', wednesday)).toBe('2027-03-03');
+  });
+
+  it('skips today for "next" weekdays', () => {
+    expect(parseGranolaDate('next Friday', wednesday)).toBe('2026-10-16');
+    expect(parseGranolaDate('Friday', friday)).toBe('2026-10-16');
+    expect(parseGranolaDate('next Friday', friday)).toBe('2026-10-23');
+  });
+
+  it('keeps ISO dates and TBD', () => {
+    expect(parseGranolaDate('2026-02-28', wednesday)).toBe('2026-02-28');
+    expect(parseGranolaDate('TBD', wednesday)).toBeNull();
+  });
+
+  it('rejects impossible ISO dates', () => {
+    expect(parseGranolaDate('2026-13-45', wednesday)).toBeNull();
+    expect(parseGranolaDate('2026-02-30', wednesday)).toBeNull();
+  });
+});
+
+describe('normalizeAndParse', () => {
+  const valid = `- Task: Send the estimate
+  Category: Admin
+  Due: TBD
+`;
+  // Parses fine, but the title is over the schema's 200 characters
+  const tooLong = `- Task: ${'Send the estimate '.repeat(15).trim()}
+  Category: Admin
+  Due: TBD
+`;
+
+  afterEach(() => setLLMProvider(null));
+
+  it('asks for a repair when the output fails validation', async () => {
+    const provider = createFixtureProvider({ normalize: tooLong, repair: valid });
+    setLLMProvider(provider);
+
+    const { result, issues, attempts } = await normalizeAndParse('Kickoff with the Lopez family', { owner });
+
+    expect(provider.calls.map(call => call.task)).toEqual(['normalize', 'repair']);
+    expect(provider.calls[1].prompt).toContain('title is too long');
+    expect(attempts).toBe(2);
+    expect(issues).toEqual([]);
+    expect(result.tasks.map(t => t.title)).toEqual(['Send the estimate']);
+  });
+
+  it('gives up after maxRepairs and reports what is still wrong', async () => {
+    const provider = createFixtureProvider({ normalize: tooLong, repair: tooLong });
+    setLLMProvider(provider);
+
+    const { issues, attempts } = await normalizeAndParse('Kickoff with the Lopez family', { owner, maxRepairs: 2 });
+
+    expect(provider.calls.map(call => call.task)).toEqual(['normalize', 'repair', 'repair']);
+    expect(attempts).toBe(3);
+    expect(issues).toEqual([{ text: expect.stringMatching(/^Send the estimate/), reason: 'title title is too long' }]);
+  });
+});
+
+describe('createStreamingTaskParser', () => {
+  const text = `Project: Kitchen Reno
+
+- Task: Send CAD to Bould
+  Category: Design
+  Due: TBD
+  Notes: Pantry wall moves 6 inches
+
+- Task: Order tile samples
+  Category: Procurement
+  Due: TBD
+`;
+
+  it('emits each task once the next block starts, with chunks split mid-line', () => {
+    const emitted = [];
+    const parser = createStreamingTaskParser({ owner, onTask: (task, index) => emitted.push([index, task]) });
+    const secondTask = text.indexOf('- Task: Order');
+
+    // 7-character pieces cut most lines in two
+    text.slice(0, secondTask + 12).match(/[\s\S]{1,7}/g).forEach(chunk => parser.push(chunk));
+    expect(emitted).toEqual([]);
+
+    text.slice(secondTask + 12).match(/[\s\S]{1,7}/g).forEach(chunk => parser.push(chunk));
+    const expected = parseStructuredNotes(text, { owner });
+    expect(emitted).toEqual([[0, expected.tasks[0]]]);
+
+    expect(parser.finish()).toEqual(expected);
+    expect(emitted).toEqual([[0, expected.tasks[0]], [1, expected.tasks[1]]]);
+  });
+
+  it('closes a task at any later block', () => {
+    const emitted = [];
+    const parser = createStreamingTaskParser({ owner, onTask: task => emitted.push(task.title) });
+
+    parser.push('- Task: Book the electrician\n  Category: Admin\n  Due: TBD\n');
+    expect(emitted).toEqual([]);
+    parser.push('\nScope: Kitchen only\n');
+    expect(emitted).toEqual(['Book the electrician']);
+    parser.finish();
+    expect(emitted).toEqual(['Book the electrician']);
+  });
+
+  it('resolves due dates of streamed tasks against the meeting date', () => {
+    const emitted = [];
+    const parser = createStreamingTaskParser({ owner, onTask: task => emitted.push([task.project_name, task.due_date]) });
+
+    parser.push('Date: 2026-10-14\n\nProject: Kitchen Reno\n\n- Task: Call the city\n  Category: Admin\n  Due: tomorrow\n');
+    parser.push('- Task: Order tile samples\n');
+
+    expect(emitted).toEqual([['Kitchen Reno', '2026-10-15']]);
+  });
+});
+
+describe('splitTranscript', () => {
+  it('cuts between speaker turns', () => {
+    const text = [
+      'Alice: We need the permit by Friday.',
+      'Bob: I will call the city today.',
+      'Alice: Then order the tile samples.',
+    ].join('\n');
+
+    expect(splitTranscript(text, { maxChars: 70 })).toEqual([
+      'Alice: We need the permit by Friday.\nBob: I will call the city today.',
+      'Alice: Then order the tile samples.',
+    ]);
+  });
+
+  it('cuts a single oversized paragraph at spaces', () => {
+    const text = 'one two three four five six seven eight nine ten';
+    const chunks = splitTranscript(text, { maxChars: 20 });
+
+    expect(chunks).toEqual(['one two three four', 'five six seven eight', 'nine ten']);
+    expect(chunks.every(chunk => chunk.length <= 20)).toBe(true);
+  });
+
+  it('returns short input as one chunk', () => {
+    expect(splitTranscript('Alice: hi', { maxChars: 70 })).toEqual(['Alice: hi']);
+    expect(splitTranscript('  ')).toEqual([]);
+  });
+});
+
+describe('mergeParsedResults', () => {
+  it('collapses the same task extracted from two chunks', () => {
+    const first = parseStructuredNotes(`Project: Kitchen Reno
+
+- Task: Send CAD to Bould
+  Category: Design
+  Due: TBD
+  Notes: Pantry wall moves 6 inches
+`, { owner });
+    const second = parseStructuredNotes(`Project: Kitchen Reno
+
+- Task: Send the CAD to Bould
+  Category: Design
+  Priority: High
+  Due: 2026-10-16
+
+- Task: Order tile samples
+  Category: Procurement
+  Due: TBD
+`, { owner });
+
+    const merged = mergeParsedResults([first, second]);
+
+    expect(merged.tasks).toHaveLength(2);
+    expect(merged.tasks[0]).toMatchObject({
+      title: 'Send CAD to Bould',
+      priority: 'high',
+      due_date: '2026-10-16',
+      subtitle: 'Pantry wall moves 6 inches',
+    });
+    expect(merged.tasks[1].title).toBe('Order tile samples');
+  });
+
+  it('keeps numbered tasks apart', () => {
+    const notes = (title) => parseStructuredNotes(`- Task: ${title}\n  Category: Admin\n  Due: TBD\n`, { owner });
+
+    expect(mergeParsedResults([notes('Send invoice #12'), notes('Send invoice #13')]).tasks).toHaveLength(2);
+  });
+
+  it('combines checklist items of a task found in two chunks', () => {
+    const first = parseStructuredNotes(`- Task: Send CAD to Bould
+  Category: Design
+  Due: TBD
+  - Export the elevations
+`, { owner });
+    const second = parseStructuredNotes(`- Task: Send the CAD to Bould
+  Category: Design
+  Due: TBD
+  - Export the elevations
+  - [x] Ask about the pantry wall
+`, { owner });
+
+    expect(mergeParsedResults([first, second]).tasks[0].checklist).toEqual([
+      { text: 'Export the elevations', done: false },
+      { text: 'Ask about the pantry wall', done: true },
+    ]);
+  });
+});
+
+describe('diffParsedResults', () => {
+  const stored = parseStructuredNotes(`Project: Kitchen Reno
+
+- Task: Send CAD to Bould
+  Category: Design
+  Due: 2026-10-16
+
+- Task: Order tile samples
+  Category: Procurement
+  Due: TBD
+
+- Task: Call the city
+  Category: Admin
+  Due: TBD
+`, { owner });
+
+  it('reports added, removed and changed items', () => {
+    const fresh = parseStructuredNotes(`Project: Kitchen Reno
+
+- Task: Send CAD to Bould
+  Category: Design
+  Due: 2026-10-23
+
+- Task: Order tile samples
+  Category: Procurement
+  Due: TBD
+
+- Task: Book the electrician
+  Category: Admin
+  Due: TBD
+`, { owner });
+
+    const diff = diffParsedResults(stored, fresh);
+
+    expect(diff.tasks.added.map(t => t.title)).toEqual(['Book the electrician']);
+    expect(diff.tasks.removed.map(t => t.title)).toEqual(['Call the city']);
+    expect(diff.tasks.changed).toEqual([{ before: stored.tasks[0], after: fresh.tasks[0], fields: ['due_date'] }]);
+    expect(diff.total).toBe(3);
+    expect(summarizeParsedDiff(diff)).toBe('1 added, 1 removed, 1 changed');
+  });
+
+  it('finds no changes in an identical result', () => {
+    const diff = diffParsedResults(stored, structuredClone(stored));
+
+    expect(diff.total).toBe(0);
+    expect(summarizeParsedDiff(diff)).toBe('No changes');
+  });
+
+  it('treats missing and empty values alike', () => {
+    const diff = diffParsedResults(
+      { tasks: [{ title: 'Call the city', subtitle: '' }] },
+      { tasks: [{ title: 'Call the city' }] },
+    );
+
+    expect(diff.total).toBe(0);
+  });
+});
@@ -0,0 +1,271 @@
+import { titleSimilarity, normalizeTitle, parseGranolaDate } from './note-parser';
+
+/**
+ * Map items extracted by the notes parser onto database records
+ * Shared by AI Notes (review session) and Ignored Items (direct restore).
+ */
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// ---------------------------------------------------------------------------
+// Project routing
+// ---------------------------------------------------------------------------
+
+// Below this a parsed project name is not routed automatically
+export const PROJECT_MATCH_THRESHOLD = 0.7;
+
+// A client usually has several projects, so a client match counts for less
+const CLIENT_MATCH_WEIGHT = 0.85;
+
+/** True for the normalization prompt's "⚠️ Untagged" placeholder */
+export function isUntaggedProject(projectName) {
+  return !projectName || /untagged/i.test(projectName);
+}
+
+function nameScore(name, candidate) {
+  if (!candidate) return 0;
+  const similarity = titleSimilarity(name, candidate);
+  const a = normalizeTitle(name);
+  const b = normalizeTitle(candidate);
+  // "Acme" vs "Acme Website Redesign": containment is a strong hint
+  const contained = a.length >= 3 && b.length >= 3 && (a.includes(b) || b.includes(a)) ? 0.85 : 0;
+  return Math.max(similarity, contained);
+}
+
+/**
+ * Existing projects that a parsed project name could refer to, best first.
+ * Compares against each project's name, its aliases and its client.
+ * @returns {Array<{ project: Object, confidence: number, via: 'name'|'alias'|'client' }>}
+ */
+export function rankProjectMatches(projects = [], projectName, { minConfidence = 0.4 } = {}) {
+  if (isUntaggedProject(projectName)) return [];
+
+  return projects
+    .map(project => {
+      const candidates = [
+        { via: 'name', score: nameScore(projectName, project.name) },
+        ...(project.aliases || []).map(alias => ({ via: 'alias', score: nameScore(projectName, alias) })),
+        { via: 'client', score: nameScore(projectName, project.client) * CLIENT_MATCH_WEIGHT },
+      ];
+      const best = candidates.reduce((a, b) => (b.score > a.score ? b : a));
+      return { project, confidence: best.score, via: best.via };
+    })
+    .filter(match => match.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+// Two projects scoring this close are a coin toss — let the user pick
+const AMBIGUITY_MARGIN = 0.05;
+
+/**
+ * Best match for a parsed project name, or null when nothing is confident
+ * enough to route to automatically (including near-ties between projects).
+ */
+export function matchProject(projects, projectName, { threshold = PROJECT_MATCH_THRESHOLD } = {}) {
+  const [best, runnerUp] = rankProjectMatches(projects, projectName);
+  if (!best || best.confidence < threshold) return null;
+  if (runnerUp && best.confidence < 1 && best.confidence - runnerUp.confidence < AMBIGUITY_MARGIN) return null;
+  return best;
+}
+
+/** 'high' | 'medium' | 'low' for display */
+export function confidenceLevel(confidence) {
+  if (confidence >= 0.9) return 'high';
+  if (confidence >= PROJECT_MATCH_THRESHOLD) return 'medium';
+  return 'low';
+}
+
+/**
+ * Distinct project names in a parse result, in order of first appearance,
+ * with how many items of each collection mention them.
+ * @returns {Array<{ name: string, tasks: number, project_updates: number, time_entries: number }>}
+ */
+export function groupParsedProjects(result) {
+  const groups = new Map();
+  ['tasks', 'project_updates', 'time_entries'].forEach(key => {
+    (result?.[key] || []).forEach(item => {
+      const name = item.project_name || '';
+      if (!groups.has(name)) groups.set(name, { name, tasks: 0, project_updates: 0, time_entries: 0 });
+      groups.get(name)[key]++;
+    });
+  });
+  return [...groups.values()];
+}
+
+export function toTaskRecord(task, { owner, order, sourceNoteId } = {}) {
+  return {
+    title: task.title,
+    subtitle: task.subtitle || null,
+    description: task.subtitle || '', // Use subtitle as description
+    status: task.status || 'todo',
+    assignee: task.assignee || owner?.name || '',
+    priority: task.priority || '',
+    is_mine: task.is_mine !== undefined ? task.is_mine : true,
+    due_date: task.due_date || null,
+    ...(order !== undefined && { order }),
+    energy: task.energy || '',
+    pomodoro_count: task.pomodoro_count || 0,
+    checklist: (task.checklist || []).map(item => ({ text: item.text, done: !!item.done })),
+    source_note_id: sourceNoteId || null, // notes_archive row it was extracted from
+  };
+}
+
+// Days to wait before a dependency shows up in the nudge list
+export const DEFAULT_FOLLOW_UP_DAYS = 3;
+
+const addDaysISO = (isoDate, days) => {
+  const d = new Date(isoDate + 'T12:00:00'); // noon to avoid timezone issues
+  d.setDate(d.getDate() + days);
+  return d.toISOString().split('T')[0];
+};
+
+/**
+ * One waiting_on row per "Waiting on:" entry of a parsed task.
+ * A date in the entry ("by end of week") becomes the follow-up date;
+ * otherwise follow up DEFAULT_FOLLOW_UP_DAYS after today.
+ */
+export function toWaitingOnRecords(task, taskId, people = [], referenceDate = new Date()) {
+  const since = referenceDate.toISOString().split('T')[0];
+
+  return (task.waiting_on || [])
+    .filter(entry => entry.contact)
+    .map(entry => ({
+      task_id: taskId,
+      contact_id: findContact(people, entry.contact)?.id || null,
+      contact_name: entry.contact.trim(),
+      description: entry.description || '',
+      date_context: entry.date_context || null,
+      since,
+      follow_up_date: parseGranolaDate(entry.date_context, referenceDate) || addDaysISO(since, DEFAULT_FOLLOW_UP_DAYS),
+    }));
+}
+
+export function toProjectRecord(project) {
+  if (!project || !project.name) {
+    throw new Error('Project name is required');
+  }
+
+  return {
+    name: project.name.trim(),
+    client: project.client || '',
+    status: project.status || 'in_progress',
+    phase: project.phase || '',
+    start_date: project.start_date || today(),
+    deadline: project.deadline || null,
+    next_milestone: project.next_milestone || '',
+    notes: project.notes || '',
+    milestones: project.milestones || [],
+  };
+}
+
+/** Contact whose name or company matches name (case-insensitive) */
+export function findContact(people = [], name) {
+  const contactName = (name || '').trim().toLowerCase();
+  if (!contactName) return null;
+  return people.find(p => p.name?.toLowerCase() === contactName || p.company?.toLowerCase() === contactName) || null;
+}
+
+// Link the deal to an existing contact by name, if there is one
+export function toOpportunityRecord(opp, people = []) {
+  const contact = findContact(people, opp.contact);
+
+  return {
+    title: opp.name,
+    contact_id: contact?.id || null,
+    value: opp.value || 0,
+    stage: opp.stage || 'lead',
+    next_action: opp.next_action || '',
+    expected_close: opp.due_date || null,
+    notes: [opp.notes, !contact && opp.contact ? `Contact: ${opp.contact}` : null].filter(Boolean).join('\n'),
+  };
+}
+
+export function toContactRecord(contact) {
+  return {
+    name: contact.name,
+    company: contact.company || '',
+    email: contact.email || '',
+    phone: contact.phone || '',
+    notes: contact.notes || '',
+  };
+}
+
+export function toTimeEntryRecord(entry, projectId) {
+  return {
+    project_id: projectId,
+    hours: entry.hours || 0,
+    notes: entry.notes || '',
+    date: entry.date || today(),
+  };
+}
+
+// Ignored item type → key in the parser result
+export const PARSED_COLLECTIONS = {
+  task: 'tasks',
+  project: 'projects',
+  'project-update': 'project_updates',
+  opportunity: 'opportunities',
+  contact: 'contacts',
+  'time-entry': 'time_entries',
+};
+
+// ---------------------------------------------------------------------------
+// Ignore history
+// ---------------------------------------------------------------------------
+
+export const DEFAULT_SUPPRESS_THRESHOLD = 0.85;
+
+// Field that names an item of each type
+const TITLE_FIELDS = {
+  task: 'title',
+  project: 'name',
+  'project-update': 'project_name',
+  opportunity: 'name',
+  contact: 'name',
+  'time-entry': 'notes',
+};
+
+export function getItemTitle(type, item) {
+  return item?.[TITLE_FIELDS[type]] || '';
+}
+
+/** Ignored rows (either storage format) as [{ type, title }], order kept */
+export function toIgnoredExamples(ignoredItems = []) {
+  return ignoredItems
+    .map(row => {
+      const type = row.item_type || row.type;
+      return { type, title: getItemTitle(type, row.item_data || row.item) };
+    })
+    .filter(example => example.title);
+}
+
+/**
+ * Find parsed items that look like something the user ignored before.
+ * Only items of the same type are compared.
+ * @returns {Map<string, string>} `${type}-${index}` → title of the ignored item it matched
+ */
+export function findSuppressedItems(result, ignoredExamples = [], { threshold = DEFAULT_SUPPRESS_THRESHOLD } = {}) {
+  const suppressed = new Map();
+  if (!result) return suppressed;
+
+  Object.entries(PARSED_COLLECTIONS).forEach(([type, key]) => {
+    const candidates = ignoredExamples.filter(example => example.type === type);
+    if (candidates.length === 0) return;
+
+    (result[key] || []).forEach((item, index) => {
+      const title = getItemTitle(type, item);
+      let best = null;
+      let bestScore = threshold;
+      candidates.forEach(example => {
+        const score = titleSimilarity(title, example.title);
+        if (score >= bestScore) {
+          best = example;
+          bestScore = score;
+        }
+      });
+      if (best) suppressed.set(`${type}-${index}`, best.title);
+    });
+  });
+
+  return suppressed;
+}
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toIgnoredExamples,
+  findSuppressedItems,
+  rankProjectMatches,
+  matchProject,
+} from './note-records.js';
+
+const projects = [
+  { id: 1, name: 'Kitchen Renovation', aliases: ['Lopez kitchen'], client: 'Lopez Homes' },
+  { id: 2, name: 'Website Redesign', aliases: [], client: 'Acme Corp' },
+  { id: 3, name: 'Brand Refresh', aliases: [], client: 'Acme Corp' },
+  { id: 4, name: 'Client Portal', aliases: [], client: '' },
+];
+
+describe('findSuppressedItems', () => {
+  const ignored = toIgnoredExamples([
+    { item_type: 'task', item_data: { title: 'Update the project tracker' } },
+    { type: 'contact', item: { name: 'Ana Lopez' } },
+  ]);
+
+  it('suppresses near-duplicates of ignored items', () => {
+    const result = {
+      tasks: [{ title: 'Update project tracker' }, { title: 'Order tile samples' }],
+      contacts: [{ name: 'ana lopez' }],
+    };
+
+    expect([...findSuppressedItems(result, ignored)]).toEqual([
+      ['task-0', 'Update the project tracker'],
+      ['contact-0', 'Ana Lopez'],
+    ]);
+  });
+
+  it('keeps items below the similarity threshold', () => {
+    const result = { tasks: [{ title: 'Update the budget tracker' }] };
+
+    expect(findSuppressedItems(result, ignored).size).toBe(0);
+    expect([...findSuppressedItems(result, ignored, { threshold: 0.6 })]).toEqual([
+      ['task-0', 'Update the project tracker'],
+    ]);
+  });
+
+  it('only compares items of the same type', () => {
+    const result = { tasks: [{ title: 'Ana Lopez' }], opportunities: [{ name: 'Ana Lopez' }] };
+
+    expect(findSuppressedItems(result, ignored).size).toBe(0);
+  });
+});
+
+describe('rankProjectMatches', () => {
+  it('matches a project by one of its aliases', () => {
+    const [best] = rankProjectMatches(projects, 'Lopez Kitchen');
+
+    expect(best).toMatchObject({ project: { id: 1 }, via: 'alias', confidence: 1 });
+  });
+
+  it('matches by client with less confidence than by name', () => {
+    const matches = rankProjectMatches(projects, 'Acme Corp');
+
+    expect(matches.map(m => [m.project.id, m.via])).toEqual([[2, 'client'], [3, 'client']]);
+    expect(matches[0].confidence).toBeLessThan(1);
+  });
+
+  it('ranks nothing for untagged projects', () => {
+    expect(rankProjectMatches(projects, '⚠️ Untagged')).toEqual([]);
+    expect(rankProjectMatches(projects, '')).toEqual([]);
+  });
+});
+
+describe('matchProject', () => {
+  it('routes a unique name, alias or client match', () => {
+    expect(matchProject(projects, 'Client Portal')).toMatchObject({ project: { id: 4 }, via: 'name' });
+    expect(matchProject(projects, 'Lopez Kitchen')).toMatchObject({ project: { id: 1 }, via: 'alias' });
+    expect(matchProject(projects, 'Lopez Homes')).toMatchObject({ project: { id: 1 }, via: 'client' });
+  });
+
+  it('returns null for a near-tie between projects', () => {
+    expect(matchProject(projects, 'Acme Corp')).toBeNull();
+  });
+
+  it('prefers an exact match over a close runner-up', () => {
+    const similar = [
+      { id: 5, name: 'Acme Website', aliases: [], client: '' },
+      { id: 6, name: 'Acme Websites', aliases: [], client: '' },
+    ];
+
+    expect(matchProject(similar, 'Acme Website')).toMatchObject({ project: { id: 5 }, confidence: 1 });
+  });
+
+  it('returns null below the threshold', () => {
+    expect(matchProject(projects, 'Garden shed')).toBeNull();
+  });
+});
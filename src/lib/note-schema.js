@@ -0,0 +1,99 @@
+import { z } from 'zod';
+
+/**
+ * Zod schemas for the notes parser result shape
+ * Used to validate LLM-normalized output before it reaches the review UI.
+ */
+
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'must be a YYYY-MM-DD date');
+
+export const waitingOnSchema = z.object({
+  contact: z.string().trim().min(1, 'needs a contact'),
+  description: z.string(),
+  date_context: z.string().nullable(),
+});
+
+export const checklistItemSchema = z.object({
+  text: z.string().trim().min(1, 'needs text'),
+  done: z.boolean(),
+});
+
+export const parsedTaskSchema = z.object({
+  title: z.string().trim().min(1, 'needs a title').max(200, 'title is too long'),
+  subtitle: z.string().nullable(),
+  project_name: z.string().nullable(),
+  status: z.string(),
+  due_date: isoDate.nullable(),
+  priority: z.enum(['', 'low', 'medium', 'high']),
+  is_mine: z.boolean(),
+  assignee: z.string().trim().min(1, 'needs an owner'),
+  energy: z.string(),
+  pomodoro_count: z.number().int().min(0),
+  waiting_on: z.array(waitingOnSchema),
+  checklist: z.array(checklistItemSchema),
+});
+
+export const milestoneSchema = z.object({
+  date: isoDate,
+  title: z.string().trim().min(1, 'needs a title'),
+  completed: z.boolean(),
+});
+
+export const projectUpdateSchema = z.object({
+  project_name: z.string().trim().min(1),
+  scope: z.string().nullable(),
+  milestones: z.array(milestoneSchema),
+});
+
+export const contactSchema = z.object({
+  name: z.string().trim().min(1, 'needs a name'),
+  company: z.string(),
+  email: z.union([z.literal(''), z.string().email('is not a valid email')]),
+  phone: z.string(),
+  notes: z.string(),
+});
+
+export const opportunitySchema = z.object({
+  name: z.string().trim().min(1, 'needs a name'),
+  contact: z.string(),
+  value: z.number().min(0),
+  stage: z.enum(['lead', 'qualified', 'proposal', 'negotiation']),
+  next_action: z.string(),
+  due_date: isoDate.nullable(),
+  notes: z.string(),
+});
+
+export const timeEntrySchema = z.object({
+  project_name: z.string().nullable(),
+  hours: z.number().positive('must be more than 0'),
+  date: isoDate.nullable(),
+  notes: z.string(),
+});
+
+export const parsedNotesSchema = z.object({
+  tasks: z.array(parsedTaskSchema),
+  project_updates: z.array(projectUpdateSchema),
+  contacts: z.array(contactSchema),
+  opportunities: z.array(opportunitySchema),
+  time_entries: z.array(timeEntrySchema),
+});
+
+/**
+ * Validate a parser result
+ * @param {Object} result - Output of parseStructuredNotes()
+ * @returns {Array<{text: string, reason: string}>} Human-readable issues (empty if valid)
+ */
+export function validateParsedNotes(result) {
+  const parsed = parsedNotesSchema.safeParse(result);
+  if (parsed.success) return [];
+
+  return parsed.error.issues.map((issue) => {
+    const [collection, index, ...field] = issue.path;
+    const item = result?.[collection]?.[index];
+    const label = item?.title || item?.name || item?.project_name || `${collection}[${index}]`;
+    return {
+      text: label,
+      reason: `${field.join('.') || collection} ${issue.message}`,
+    };
+  });
+}
@@ -0,0 +1,107 @@
+// ---------------------------------------------------------------------------
+// Project summary history + weekly digest
+//
+// Shared by the app (Overview tab, Digests view) and server.js (the weekly
+// digest job), so only relative imports with extensions.
+// ---------------------------------------------------------------------------
+
+import { format, startOfWeek, isValid } from 'date-fns';
+
+// Same rule as useProjects' activeProjects
+const CLOSED_STATUSES = ['complete', 'completed', 'cancelled'];
+
+export const isActiveProject = (project) => !CLOSED_STATUSES.includes(project.status);
+
+/** Monday of the week containing date, as YYYY-MM-DD */
+export function weekStartISO(date = new Date()) {
+  return format(startOfWeek(date, { weekStartsOn: 1 }), 'yyyy-MM-dd');
+}
+
+/**
+ * Task counts stored with each summary: { done, in_progress, todo, overdue }
+ * @param {Array} tasks - The project's tasks
+ * @param {Date} referenceDate - "Now" for overdue (default today)
+ */
+export function projectTaskStats(tasks = [], referenceDate = new Date()) {
+  const today = format(referenceDate, 'yyyy-MM-dd');
+  return {
+    done: tasks.filter(t => t.status === 'done').length,
+    in_progress: tasks.filter(t => t.status === 'in_progress').length,
+    todo: tasks.filter(t => t.status === 'todo').length,
+    overdue: tasks.filter(t => t.due_date && t.status !== 'done' && t.due_date < today).length,
+  };
+}
+
+const STAT_LABELS = {
+  done: 'done',
+  in_progress: 'in progress',
+  todo: 'to do',
+  overdue: 'overdue',
+};
+
+/**
+ * "5 done (+2), 3 in progress, 4 to do (−1), 1 overdue" — changes are shown
+ * against previous stats when given.
+ */
+export function describeStats(stats = {}, previous = null) {
+  return Object.entries(STAT_LABELS)
+    .filter(([key]) => key !== 'overdue' || stats.overdue > 0 || previous?.overdue > 0)
+    .map(([key, label]) => {
+      const count = stats[key] || 0;
+      const delta = previous ? count - (previous[key] || 0) : 0;
+      return `${count} ${label}${delta ? ` (${delta > 0 ? '+' : '−'}${Math.abs(delta)})` : ''}`;
+    })
+    .join(', ');
+}
+
+/**
+ * Summary to compare a newer one against: the latest that is at least
+ * minDays older (a week by default), else the latest older one.
+ * @param {Array} summaries - A project's summaries, newest first
+ * @param {Object} current - The summary being compared
+ */
+export function findComparisonSummary(summaries = [], current, { minDays = 7 } = {}) {
+  if (!current) return null;
+  const currentTime = new Date(current.created_at).getTime();
+  const older = summaries.filter(s => s.id !== current.id && new Date(s.created_at).getTime() < currentTime);
+  const cutoff = currentTime - minDays * 24 * 60 * 60 * 1000;
+  return older.find(s => new Date(s.created_at).getTime() <= cutoff) || older[0] || null;
+}
+
+const formatDay = (iso) => {
+  const date = new Date(iso + 'T12:00:00'); // noon to avoid timezone issues
+  return isValid(date) ? format(date, 'MMM d, yyyy') : iso;
+};
+
+/**
+ * Markdown report for a weekly digest.
+ * @param {string} weekStart - YYYY-MM-DD (Monday)
+ * @param {Array<{ project, summary, stats, previousStats? }>} entries
+ * @returns {string}
+ */
+export function buildDigestMarkdown(weekStart, entries = []) {
+  const totals = entries.reduce((sum, { stats }) => ({
+    done: sum.done + (stats.done || 0),
+    open: sum.open + (stats.in_progress || 0) + (stats.todo || 0),
+    overdue: sum.overdue + (stats.overdue || 0),
+  }), { done: 0, open: 0, overdue: 0 });
+
+  const lines = [
+    `# Weekly Digest — Week of ${formatDay(weekStart)}`,
+    '',
+    `${entries.length} active project${entries.length !== 1 ? 's' : ''} · ${totals.done} tasks done · ${totals.open} open · ${totals.overdue} overdue`,
+  ];
+
+  // Most overdue first, so what needs attention leads the report
+  const sorted = [...entries].sort((a, b) => (b.stats.overdue || 0) - (a.stats.overdue || 0));
+  for (const { project, summary, stats, previousStats } of sorted) {
+    lines.push('', `## ${project.name}${project.client ? ` (${project.client})` : ''}`, '');
+    const facts = [
+      project.deadline && `Deadline: ${formatDay(project.deadline)}`,
+      `Tasks: ${describeStats(stats, previousStats)}`,
+    ].filter(Boolean);
+    lines.push(`_${facts.join(' · ')}_`, '', summary.trim());
+  }
+
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,164 @@
+// ---------------------------------------------------------------------------
+// Prompt templates for the notes pipeline
+//
+// The system prompts the parser sends to the LLM. Edited versions live in the
+// prompt_templates table; the active ones are handed to setPromptTemplates()
+// (by PromptTemplatesProvider in the app, and by server.js) and everything
+// else falls back to DEFAULT_PROMPT_TEMPLATES.
+//
+// Templates may use {{variable}} placeholders — see PROMPT_VARIABLES.
+// ---------------------------------------------------------------------------
+
+import { format } from 'date-fns';
+import { DEFAULT_TASK_CATEGORIES } from './task-categories.js';
+
+export const PROMPT_VARIABLES = {
+  owner: "The task owner's name",
+  owner_with_aliases: 'The owner\'s name, plus "(also referred to as …)" when aliases are set',
+  categories: 'Task category labels, comma-separated',
+  today: "Today's date (YYYY-MM-DD)",
+};
+
+export const DEFAULT_PROMPT_TEMPLATES = {
+  normalize: {
+    label: 'Notes normalization',
+    description: 'Turns freeform notes into the structured task format. Items the user dismissed before are appended automatically.',
+    body: `You are a task extraction assistant. You will receive raw notes from a meeting, voice memo, message, or other source. Your job is to extract actionable tasks and return them in this exact format:
+
+Project: [project or client name, or ⚠️ Untagged if unclear]
+
+- Task: [short action-oriented description, max 10 words, start with a verb]
+  Category: [one of: {{categories}}]
+  Priority: [High if hard deadline or blocks other work, Medium if has a date or is important, Low otherwise]
+  Due: [YYYY-MM-DD if a date is mentioned or can be inferred, otherwise TBD]
+  Owner: [person responsible — {{owner}} unless someone else is clearly assigned]
+  Notes: [two to three sentences of context and dependencies]
+  Waiting on: [only if blocked — Person/Company — description, mentioned date context]
+  - [sub-step, one line each — only when the task has distinct steps]
+
+After all tasks for a project, if you identified a clear project scope or key milestones, add:
+
+Scope: [1-3 sentence summary of the project's goal and deliverables]
+
+Milestones:
+- [YYYY-MM-DD] [milestone description]
+- [YYYY-MM-DD] [milestone description]
+
+Only include Scope and Milestones if the notes contain enough information to summarize them. Skip if the notes are purely about tasks.
+
+If the notes clearly mention a new person worth saving, a potential deal, or time spent on a project, add these blocks under the relevant project:
+
+- Contact: [full name]
+  Company: [company, if mentioned]
+  Email: [email, if mentioned]
+  Phone: [phone, if mentioned]
+  Notes: [role or context]
+
+- Deal: [short deal name]
+  Contact: [person or company]
+  Value: [number only, if mentioned]
+  Stage: [one of: Lead, Qualified, Proposal, Negotiation]
+  Next action: [next step]
+  Due: [YYYY-MM-DD if a close date is mentioned, otherwise TBD]
+
+- Time: [hours spent, e.g. 1.5h]
+  Date: [YYYY-MM-DD, if mentioned]
+  Notes: [what the time was spent on]
+
+Rules:
+- Consolidate related actions into a single task. If multiple steps serve the same goal, combine them. Use the notes field for sub-steps. Aim for 8–12 tasks per meeting, not 20+.
+- Only extract real tasks — not discussion points, opinions, calendar reminders, or background context.
+- Quick actions under 2 minutes (a Slack message, a quick confirmation) should be folded into the notes of a related task, not their own card.
+- Travel constraints or scheduling notes should not be tasks. Mention them in the notes of the relevant task.
+- Default task owner is {{owner_with_aliases}} unless someone else is clearly assigned.
+- Do not use markdown formatting — plain text only.
+- If multiple projects are mentioned, group tasks under each project.
+- If no actionable tasks exist in the input, return: "No tasks found."`,
+  },
+  'new-project': {
+    label: 'New project from notes',
+    description: 'Extracts project fields, milestones, tasks and links as JSON.',
+    body: `You are a project setup assistant. You will receive raw notes about a new project — could be meeting notes, a brief, a message, or a brain dump. Extract all useful project details and return them as JSON.
+
+Return ONLY valid JSON with this exact structure (no markdown, no explanation):
+{
+  "name": "Project name if mentioned, otherwise empty string",
+  "client": "Client or company name if mentioned, otherwise empty string",
+  "phase": "Current phase if mentioned (e.g., Pre-production, Design, Development), otherwise empty string",
+  "deadline": "YYYY-MM-DD if a deadline is mentioned, otherwise empty string",
+  "budget": null or number (e.g., 5000),
+  "hours_estimate": null or number (e.g., 40),
+  "scope": "1-3 sentence summary of the project goal and deliverables, or empty string",
+  "notes": "Any remaining context, background info, or details that don't fit elsewhere",
+  "milestones": [
+    { "title": "Milestone description", "date": "YYYY-MM-DD or empty string", "completed": false }
+  ],
+  "tasks": [
+    { "title": "Short action-oriented task (start with verb)", "priority": "high|medium|low", "due_date": "YYYY-MM-DD or null", "subtitle": "Brief context or notes" }
+  ],
+  "links": [
+    { "title": "Link label", "url": "https://..." }
+  ]
+}
+
+Rules:
+- Extract as much as you can. Leave fields empty/null if not mentioned.
+- Tasks should be actionable — start with a verb, max 10 words.
+- Consolidate related actions into single tasks. Aim for quality over quantity.
+- Budget should be a number only (no currency symbols).
+- Links: extract any URLs mentioned with a descriptive title.
+- If no useful information can be extracted, return the JSON with all empty/null fields.`,
+  },
+  summary: {
+    label: 'Project summary',
+    description: 'Writes the status summary on a project\'s Overview tab and in weekly digests.',
+    body: `You are a project management assistant. Given the project data below, write a concise 2-3 sentence status summary. Focus on: what's been accomplished, what's in progress, what's blocked or overdue, and the most important next step. Be direct and specific — no filler. Use plain language.`,
+  },
+};
+
+export const PROMPT_KEYS = Object.keys(DEFAULT_PROMPT_TEMPLATES);
+
+let activeTemplates = {};
+
+/**
+ * Use these template bodies instead of the defaults.
+ * @param {Object<string, string>} templates - key → body; missing keys use the default
+ */
+export function setPromptTemplates(templates) {
+  activeTemplates = templates || {};
+}
+
+/** Active body for a template key, else the built-in one */
+export function getPromptTemplate(key) {
+  return activeTemplates[key] || DEFAULT_PROMPT_TEMPLATES[key].body;
+}
+
+/**
+ * Values for the {{variables}} in a template.
+ * @param {Object} owner - { name, aliases }
+ * @param {Array} categories - Task categories
+ * @param {Date} referenceDate - "Today" (default now)
+ */
+export function buildPromptVariables(owner, categories = DEFAULT_TASK_CATEGORIES, referenceDate = new Date()) {
+  const aliasNote = owner.aliases?.length > 0 ? ` (also referred to as ${owner.aliases.join(', ')})` : '';
+  return {
+    owner: owner.name,
+    owner_with_aliases: `${owner.name}${aliasNote}`,
+    categories: categories.map(cat => cat.label).join(', '),
+    today: format(referenceDate, 'yyyy-MM-dd'),
+  };
+}
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/** Fill in {{variables}}; unknown placeholders are left as written */
+export function renderPromptTemplate(body, variables) {
+  return body.replace(PLACEHOLDER, (placeholder, name) =>
+    Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : placeholder);
+}
+
+/** Placeholders in a template that are not in PROMPT_VARIABLES */
+export function findUnknownVariables(body) {
+  const names = [...body.matchAll(PLACEHOLDER)].map(match => match[1]);
+  return [...new Set(names)].filter(name => !(name in PROMPT_VARIABLES));
+}
@@ -0,0 +1,152 @@
+import { parseGranolaDate } from './note-parser';
+import { resolveTaskCategory } from './task-categories';
+import { makeTag } from './task-tags';
+
+/**
+ * Quick entry: one line in, task fields out.
+ *
+ *   "Send CAD to Bould fri !high #kitchen-reno @design"
+ *
+ *   !high / !med / !low   priority (also !h, !m, !l)
+ *   #name                 project (name, any case or punctuation, prefix ok);
+ *                         a tag when no project matches
+ *   @name                 task category (key, label or synonym); a tag when
+ *                         no category matches
+ *   a date phrase         due date, read by the notes parser's
+ *                         parseGranolaDate (friday, tomorrow, next week, in 3
+ *                         days, mar 3, 3/14, ...); the last one wins. Weekday
+ *                         abbreviations (fri) only count as the last word or
+ *                         after by / on / before / due / this / next
+ *
+ * Whatever is left is the title.
+ */
+
+const PRIORITIES = {
+  high: 'high', h: 'high', hi: 'high',
+  medium: 'medium', med: 'medium', m: 'medium',
+  low: 'low', l: 'low', lo: 'low',
+};
+
+const WEEKDAY = '(?:sunday|monday|tuesday|wednesday|thursday|friday|saturday)';
+const MONTH = '(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*';
+const DAY = '\\d{1,2}(?:st|nd|rd|th)?';
+
+// Phrases parseGranolaDate understands, spelled out so ordinary words in a
+// title never reach its loose new Date() fallback
+const DATE_PHRASE = new RegExp('^(?:(?:by|on|before|due) )?(?:' + [
+  'today', 'tomorrow', 'eod', 'eow', 'eom',
+  'end of (?:the )?(?:day|week|month)',
+  'next (?:week|month)',
+  `(?:this |next )?${WEEKDAY}`,
+  'in (?:\\d+|a|one|two|three|four) (?:day|week|month)s?',
+  `${MONTH} ${DAY}(?: \\d{4})?`,
+  `${DAY} ${MONTH}(?: \\d{4})?`,
+  '\\d{1,2}/\\d{1,2}(?:/\\d{4})?',
+  '\\d{4}-\\d{2}-\\d{2}',
+].join('|') + ')$');
+
+// "sat nav", "mon ami": abbreviations are also ordinary words, so they need
+// to end the line or follow a lead-in word
+const WEEKDAY_ABBR = /^(?:((?:by|on|before|due|this|next) ))?(?:sun|mon|tue|wed|thu|fri|sat)$/;
+
+const MAX_DATE_WORDS = 5;
+
+function isDatePhrase(phrase, atEnd) {
+  if (DATE_PHRASE.test(phrase)) return true;
+  const abbr = phrase.match(WEEKDAY_ABBR);
+  return !!abbr && (atEnd || !!abbr[1]);
+}
+
+// "Kitchen Reno", "kitchen-reno" and "kitchenreno" all compare equal
+const comparable = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function matchProject(raw, projects) {
+  const wanted = comparable(raw);
+  if (!wanted) return null;
+  return projects.find(p => comparable(p.name) === wanted) ||
+    projects.find(p => comparable(p.name).startsWith(wanted)) ||
+    projects.find(p => comparable(p.name).includes(wanted)) ||
+    null;
+}
+
+// Remove the last date phrase from words; returns [due_date, words left, phrase].
+// Scans from the end, taking the longest phrase that ends at each position, so
+// "next fri" is read whole but "next week then fri" only takes "fri".
+function extractDate(words, referenceDate) {
+  const lower = words.map(word => word.toLowerCase().replace(/[.,;:]+$/, ''));
+  for (let end = words.length; end >= 1; end--) {
+    for (let size = Math.min(MAX_DATE_WORDS, end); size >= 1; size--) {
+      const start = end - size;
+      const phrase = lower.slice(start, end).join(' ');
+      if (!isDatePhrase(phrase, end === words.length)) continue;
+      const date = parseGranolaDate(phrase.replace(/^due /, ''), referenceDate);
+      if (date) {
+        return [date, [...words.slice(0, start), ...words.slice(end)], words.slice(start, end).join(' ')];
+      }
+    }
+  }
+  return [null, words, null];
+}
+
+/**
+ * Parse a quick-entry line
+ * @param {string} text
+ * @param {Object} options
+ * @param {Array} options.projects - Projects # can refer to
+ * @param {Array} options.categories - Task categories @ can refer to
+ * @param {Date} options.referenceDate - "Today" for relative dates
+ * @returns {{ title, due_date, priority, project_id, project, energy, tags, dateText }}
+ */
+export function parseQuickEntry(text, { projects = [], categories, referenceDate = new Date() } = {}) {
+  const result = {
+    title: '',
+    due_date: null,
+    priority: null,
+    project_id: null,
+    project: null,
+    energy: null,
+    tags: [],
+    dateText: null,
+  };
+  const words = [];
+
+  String(text || '').trim().split(/\s+/).filter(Boolean).forEach(word => {
+    const token = word.match(/^([!#@])([\w-]+)$/);
+    if (!token) {
+      words.push(word);
+      return;
+    }
+    const [, sigil, name] = token;
+
+    if (sigil === '!') {
+      const priority = PRIORITIES[name.toLowerCase()];
+      if (priority) result.priority = priority;
+      else words.push(word);
+    } else if (sigil === '#') {
+      const project = matchProject(name, projects);
+      if (project) {
+        result.project = project;
+        result.project_id = project.id;
+      } else {
+        result.tags.push(makeTag(name));
+      }
+    } else {
+      const category = resolveTaskCategory(name, categories);
+      if (category) result.energy = category;
+      else result.tags.push(makeTag(name));
+    }
+  });
+
+  const [dueDate, titleWords, dateText] = extractDate(words, referenceDate);
+  result.due_date = dueDate;
+  result.dateText = dateText;
+  result.title = titleWords.join(' ');
+  // One of each tag
+  result.tags = result.tags.filter((tag, i) => result.tags.findIndex(t => t.label === tag.label) === i);
+  return result;
+}
+
+/** True when the line set anything besides the title */
+export function hasQuickEntryFields(parsed) {
+  return !!(parsed.due_date || parsed.priority || parsed.project_id || parsed.energy || parsed.tags.length);
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { parseQuickEntry, hasQuickEntryFields } from './quick-entry.js';
+
+const projects = [
+  { id: 1, name: 'Kitchen Reno' },
+  { id: 2, name: 'Client Portal' },
+];
+const wednesday = new Date(2026, 9, 14);
+
+describe('parseQuickEntry', () => {
+  it('fills in every field from one line', () => {
+    const parsed = parseQuickEntry('Send CAD to Bould fri !high #kitchen-reno @design', {
+      projects,
+      referenceDate: wednesday,
+    });
+
+    expect(parsed).toMatchObject({
+      title: 'Send CAD to Bould',
+      due_date: '2026-10-16',
+      dateText: 'fri',
+      priority: 'high',
+      project_id: 1,
+      energy: 'design',
+      tags: [],
+    });
+    expect(hasQuickEntryFields(parsed)).toBe(true);
+  });
+
+  it('leaves weekday abbreviations inside the title alone', () => {
+    const parsed = parseQuickEntry('Fix sat nav', { referenceDate: wednesday });
+
+    expect(parsed).toMatchObject({ title: 'Fix sat nav', due_date: null });
+    expect(hasQuickEntryFields(parsed)).toBe(false);
+  });
+
+  it('reads weekday abbreviations after a lead-in word', () => {
+    expect(parseQuickEntry('Fix sat nav by mon', { referenceDate: wednesday }))
+      .toMatchObject({ title: 'Fix sat nav', due_date: '2026-10-19' });
+    expect(parseQuickEntry('Call Ana on thu about tile', { referenceDate: wednesday }))
+      .toMatchObject({ title: 'Call Ana about tile', due_date: '2026-10-15' });
+  });
+
+  it('reads full weekday names and other phrases anywhere', () => {
+    expect(parseQuickEntry('Call Ana friday about tile', { referenceDate: wednesday }))
+      .toMatchObject({ title: 'Call Ana about tile', due_date: '2026-10-16' });
+    expect(parseQuickEntry('Order tile in 2 weeks', { referenceDate: wednesday }))
+      .toMatchObject({ title: 'Order tile', due_date: '2026-10-28' });
+  });
+
+  it('takes the last date phrase', () => {
+    expect(parseQuickEntry('Move tomorrow meeting to next friday', { referenceDate: wednesday }))
+      .toMatchObject({ title: 'Move tomorrow meeting to', due_date: '2026-10-16' });
+  });
+
+  it('turns unknown projects and categories into tags', () => {
+    expect(parseQuickEntry('Renew insurance #garage @errands !soon', { projects }))
+      .toMatchObject({
+        title: 'Renew insurance !soon',
+        project_id: null,
+        energy: null,
+        tags: [{ label: 'garage' }, { label: 'errands' }],
+      });
+  });
+});
@@ -0,0 +1,45 @@
+// Task categories (stored on tasks.energy as the category key).
+// User-defined in the task_categories table; DEFAULT_TASK_CATEGORIES is used
+// until that table has rows (and by the server-side parser as a fallback).
+// Not to be confused with project categories in categories.js.
+
+export const DEFAULT_TASK_CATEGORIES = [
+  { key: 'vendor',       label: 'Vendor',       color: '#f97316', icon: '🚚', synonyms: ['supplier', 'quote'] },
+  { key: 'design',       label: 'Design',       color: '#60a5fa', icon: '🎨', synonyms: ['drawing', 'rendering'] },
+  { key: 'coordination', label: 'Coordination', color: '#a78bfa', icon: '🤝', synonyms: ['meeting', 'scheduling'] },
+  { key: 'procurement',  label: 'Procurement',  color: '#10b981', icon: '📦', synonyms: ['purchasing', 'ordering'] },
+  { key: 'onsite',       label: 'On-site',      color: '#f59e0b', icon: '📍', synonyms: ['on-site', 'site visit'] },
+  { key: 'dev',          label: 'Dev',          color: '#22d3ee', icon: '💻', synonyms: ['development', 'engineering'] },
+  { key: 'admin',        label: 'Admin',        color: '#94a3b8', icon: '📋', synonyms: ['paperwork', 'invoicing'] },
+];
+
+// "On-site", "on site" and "onsite" all compare equal
+const comparable = (text) => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/** Key for a new category: "Site Visit" → "site-visit" */
+export function slugifyCategory(label) {
+  return String(label || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Resolve a category as written (key, label or synonym, any case or
+ * punctuation) to its key. Returns '' when nothing matches.
+ */
+export function resolveTaskCategory(raw, categories = DEFAULT_TASK_CATEGORIES) {
+  const wanted = comparable(raw);
+  if (!wanted) return '';
+  const match = categories.find(cat =>
+    [cat.key, cat.label, ...(cat.synonyms || [])].some(name => comparable(name) === wanted));
+  return match?.key || '';
+}
+
+/** Category for a task's energy key, or null when unset or since deleted */
+export function getTaskCategory(key, categories = DEFAULT_TASK_CATEGORIES) {
+  if (!key) return null;
+  return categories.find(cat => cat.key === key) || null;
+}
+
+/** Label as written in notes and exports; unknown keys come back as-is */
+export function taskCategoryLabel(key, categories = DEFAULT_TASK_CATEGORIES) {
+  return getTaskCategory(key, categories)?.label || key || '';
+}
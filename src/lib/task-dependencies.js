@@ -0,0 +1,90 @@
+// ---------------------------------------------------------------------------
+// Task-to-task dependencies
+//
+// A task_dependencies row says blocker_id blocks blocked_id. A task is
+// blocked while any of its blockers is not done. Links may not form a cycle.
+// ---------------------------------------------------------------------------
+
+/**
+ * True when adding "blockerId blocks blockedId" would close a loop, i.e.
+ * blockedId already (directly or transitively) blocks blockerId.
+ */
+export function wouldCreateCycle(dependencies = [], blockerId, blockedId) {
+  if (blockerId === blockedId) return true;
+  const stack = [blockedId];
+  const seen = new Set();
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === blockerId) return true;
+    if (seen.has(id)) continue;
+    seen.add(id);
+    dependencies.forEach(dep => {
+      if (dep.blocker_id === id) stack.push(dep.blocked_id);
+    });
+  }
+  return false;
+}
+
+/**
+ * Open blockers per task: Map of blocked task id → [blocker task]
+ * Only tasks with at least one blocker that is not done appear.
+ */
+export function findOpenBlockers(dependencies = [], tasks = []) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  const blockers = new Map();
+  dependencies.forEach(dep => {
+    const blocker = byId.get(dep.blocker_id);
+    if (!blocker || blocker.status === 'done') return;
+    if (!blockers.has(dep.blocked_id)) blockers.set(dep.blocked_id, []);
+    blockers.get(dep.blocked_id).push(blocker);
+  });
+  return blockers;
+}
+
+/**
+ * The longest chain of open tasks, linked by dependencies, that ends in a
+ * task due by `until` (YYYY-MM-DD; every open task when not given). Ties go
+ * to the chain whose last task is due first.
+ * @param {Array} tasks - One project's tasks
+ * @param {Array} dependencies - All dependency rows
+ * @returns {Array} Tasks in the order they must be done
+ */
+export function findCriticalPath(tasks = [], dependencies = [], { until = null } = {}) {
+  const open = new Map(tasks.filter(t => t.status !== 'done').map(t => [t.id, t]));
+  const blockersOf = new Map();
+  dependencies.forEach(dep => {
+    if (!open.has(dep.blocker_id) || !open.has(dep.blocked_id)) return;
+    if (!blockersOf.has(dep.blocked_id)) blockersOf.set(dep.blocked_id, []);
+    blockersOf.get(dep.blocked_id).push(dep.blocker_id);
+  });
+
+  // Longest chain ending at each task (the visiting set guards against bad data)
+  const memo = new Map();
+  const visiting = new Set();
+  const chainTo = (id) => {
+    if (memo.has(id)) return memo.get(id);
+    if (visiting.has(id)) return [];
+    visiting.add(id);
+    let best = [];
+    (blockersOf.get(id) || []).forEach(blockerId => {
+      const chain = chainTo(blockerId);
+      if (chain.length > best.length) best = chain;
+    });
+    visiting.delete(id);
+    const chain = [...best, open.get(id)];
+    memo.set(id, chain);
+    return chain;
+  };
+
+  const targets = [...open.values()].filter(t => !until || (t.due_date && t.due_date <= until));
+  let path = [];
+  targets.forEach(task => {
+    const chain = chainTo(task.id);
+    const last = path[path.length - 1];
+    if (chain.length > path.length ||
+        (chain.length === path.length && (task.due_date || '9999') < (last?.due_date || '9999'))) {
+      path = chain;
+    }
+  });
+  return path;
+}
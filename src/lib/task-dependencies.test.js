@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import { wouldCreateCycle, findOpenBlockers, findCriticalPath } from './task-dependencies.js';
+
+describe('wouldCreateCycle', () => {
+  const chain = [
+    { blocker_id: 'a', blocked_id: 'b' },
+    { blocker_id: 'b', blocked_id: 'c' },
+  ];
+
+  it('rejects a task depending on itself', () => {
+    expect(wouldCreateCycle([], 'a', 'a')).toBe(true);
+  });
+
+  it('rejects direct and indirect cycles', () => {
+    expect(wouldCreateCycle(chain, 'b', 'a')).toBe(true);
+    expect(wouldCreateCycle(chain, 'c', 'a')).toBe(true);
+  });
+
+  it('allows links that keep the graph acyclic', () => {
+    expect(wouldCreateCycle(chain, 'a', 'c')).toBe(false);
+    expect(wouldCreateCycle(chain, 'c', 'd')).toBe(false);
+    expect(wouldCreateCycle([...chain, { blocker_id: 'a', blocked_id: 'c' }], 'd', 'a')).toBe(false);
+  });
+});
+
+describe('findOpenBlockers', () => {
+  it('lists only blockers that are not done', () => {
+    const tasks = [
+      { id: 'a', status: 'done' },
+      { id: 'b', status: 'todo' },
+      { id: 'c', status: 'todo' },
+    ];
+    const dependencies = [
+      { blocker_id: 'a', blocked_id: 'c' },
+      { blocker_id: 'b', blocked_id: 'c' },
+      { blocker_id: 'a', blocked_id: 'b' },
+    ];
+    const blockers = findOpenBlockers(dependencies, tasks);
+
+    expect([...blockers.keys()]).toEqual(['c']);
+    expect(blockers.get('c').map(t => t.id)).toEqual(['b']);
+  });
+});
+
+describe('findCriticalPath', () => {
+  // a → b → d and a → c1 → c2 → d: the longer side of the diamond is critical
+  const tasks = [
+    { id: 'a', status: 'todo', due_date: '2026-11-01' },
+    { id: 'b', status: 'todo', due_date: '2026-11-05' },
+    { id: 'c1', status: 'todo', due_date: '2026-11-03' },
+    { id: 'c2', status: 'todo', due_date: '2026-11-06' },
+    { id: 'd', status: 'todo', due_date: '2026-11-10' },
+  ];
+  const diamond = [
+    { blocker_id: 'a', blocked_id: 'b' },
+    { blocker_id: 'a', blocked_id: 'c1' },
+    { blocker_id: 'c1', blocked_id: 'c2' },
+    { blocker_id: 'b', blocked_id: 'd' },
+    { blocker_id: 'c2', blocked_id: 'd' },
+  ];
+
+  it('follows the longest branch of a diamond', () => {
+    expect(findCriticalPath(tasks, diamond).map(t => t.id)).toEqual(['a', 'c1', 'c2', 'd']);
+  });
+
+  it('leaves out done tasks', () => {
+    const withDone = tasks.map(t => (t.id === 'c1' ? { ...t, status: 'done' } : t));
+
+    expect(findCriticalPath(withDone, diamond).map(t => t.id)).toEqual(['a', 'b', 'd']);
+  });
+
+  it('only ends in tasks due by the cut-off, breaking ties by due date', () => {
+    // a → b and a → c1 are equally long; c1 is due first
+    expect(findCriticalPath(tasks, diamond, { until: '2026-11-05' }).map(t => t.id)).toEqual(['a', 'c1']);
+  });
+});
@@ -0,0 +1,114 @@
+// ---------------------------------------------------------------------------
+// Recurring tasks
+//
+// A task_series row holds the repeat rule and the fields every occurrence
+// shares; its occurrences are ordinary tasks with series_id set. Completing
+// one spawns the next (see useTasks), dated by nextDueDate().
+// ---------------------------------------------------------------------------
+
+import { addDays, addWeeks, addMonths, format, getDay, lastDayOfMonth, parseISO, startOfMonth } from 'date-fns';
+
+export const REPEAT_TYPES = [
+  { id: 'interval', label: 'Every N days or weeks' },
+  { id: 'weekdays', label: 'On specific weekdays' },
+  { id: 'monthly_weekday', label: 'Nth weekday of the month' },
+  { id: 'after_completion', label: 'N days after completion' },
+];
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const ORDINALS = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', '-1': 'Last' };
+
+// Columns of task_series that make up the rule
+export const RULE_FIELDS = ['repeat_type', 'repeat_every', 'repeat_unit', 'weekdays', 'week_of_month', 'weekday'];
+
+// Task fields every occurrence shares; editing the series updates them on open occurrences
+export const SERIES_TASK_FIELDS = ['title', 'subtitle', 'project_id', 'priority', 'energy'];
+
+// Weekly on the task's own weekday is the usual starting point
+export function defaultRule(dueDate) {
+  const weekday = dueDate ? getDay(parseISO(dueDate)) : getDay(new Date());
+  return {
+    repeat_type: 'interval',
+    repeat_every: 1,
+    repeat_unit: 'weeks',
+    weekdays: [weekday],
+    week_of_month: 1,
+    weekday,
+  };
+}
+
+export function pickRule(series) {
+  return Object.fromEntries(RULE_FIELDS.map(field => [field, series[field]]));
+}
+
+const toISO = (date) => format(date, 'yyyy-MM-dd');
+
+const addEvery = (date, rule) =>
+  rule.repeat_unit === 'weeks' ? addWeeks(date, rule.repeat_every || 1) : addDays(date, rule.repeat_every || 1);
+
+/** The nth (1–4, or -1 for last) given weekday in date's month */
+export function nthWeekdayOfMonth(date, weekday, n) {
+  if (n === -1) {
+    const last = lastDayOfMonth(date);
+    return addDays(last, -((getDay(last) - weekday + 7) % 7));
+  }
+  const first = startOfMonth(date);
+  return addDays(first, (weekday - getDay(first) + 7) % 7 + (n - 1) * 7);
+}
+
+/**
+ * Due date of the occurrence after one that was due on dueDate and completed
+ * on completedOn (both YYYY-MM-DD). Calendar rules step from the due date but
+ * skip dates already past, so finishing late doesn't spawn an overdue task;
+ * after_completion counts from the completion date.
+ */
+export function nextDueDate(rule, { dueDate, completedOn = toISO(new Date()) } = {}) {
+  const completed = parseISO(completedOn);
+  if (rule.repeat_type === 'after_completion') return toISO(addEvery(completed, rule));
+
+  const base = dueDate ? parseISO(dueDate) : completed;
+  const after = base > completed ? base : completed;
+
+  if (rule.repeat_type === 'weekdays') {
+    const days = rule.weekdays?.length ? rule.weekdays : [getDay(base)];
+    let date = addDays(after, 1);
+    while (!days.includes(getDay(date))) date = addDays(date, 1);
+    return toISO(date);
+  }
+
+  if (rule.repeat_type === 'monthly_weekday') {
+    const weekday = rule.weekday ?? getDay(base);
+    const n = rule.week_of_month || 1;
+    let month = base;
+    let date = nthWeekdayOfMonth(month, weekday, n);
+    while (date <= after) {
+      month = addMonths(startOfMonth(month), 1);
+      date = nthWeekdayOfMonth(month, weekday, n);
+    }
+    return toISO(date);
+  }
+
+  // interval
+  let date = addEvery(base, rule);
+  while (date <= completed) date = addEvery(date, rule);
+  return toISO(date);
+}
+
+/** "Every 2 weeks", "Every Mon, Thu", "2nd Tuesday of the month", "3 days after completion" */
+export function describeRecurrence(rule) {
+  if (!rule?.repeat_type) return '';
+  const every = rule.repeat_every || 1;
+  const unit = rule.repeat_unit === 'weeks' ? 'week' : 'day';
+
+  switch (rule.repeat_type) {
+    case 'weekdays':
+      return `Every ${[...(rule.weekdays || [])].sort().map(d => WEEKDAY_LABELS[d]).join(', ')}`;
+    case 'monthly_weekday':
+      return `${ORDINALS[rule.week_of_month] || ORDINALS[1]} ${WEEKDAY_NAMES[rule.weekday ?? 1]} of the month`;
+    case 'after_completion':
+      return `${every} ${unit}${every !== 1 ? 's' : ''} after completion`;
+    default:
+      return every === 1 ? `Every ${unit}` : `Every ${every} ${unit}s`;
+  }
+}
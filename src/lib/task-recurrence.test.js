@@ -0,0 +1,49 @@
+import { describe, it, expect } from 'vitest';
+import { nextDueDate } from './task-recurrence.js';
+
+describe('nextDueDate', () => {
+  it('steps intervals from the due date, skipping dates already past', () => {
+    const weekly = { repeat_type: 'interval', repeat_every: 1, repeat_unit: 'weeks' };
+
+    expect(nextDueDate(weekly, { dueDate: '2026-10-19', completedOn: '2026-10-19' })).toBe('2026-10-26');
+    expect(nextDueDate(weekly, { dueDate: '2026-10-05', completedOn: '2026-10-19' })).toBe('2026-10-26');
+  });
+
+  it('lands on a leap day', () => {
+    const daily = { repeat_type: 'interval', repeat_every: 1, repeat_unit: 'days' };
+    const weekly = { repeat_type: 'interval', repeat_every: 1, repeat_unit: 'weeks' };
+    const lastTuesday = { repeat_type: 'monthly_weekday', week_of_month: -1, weekday: 2 };
+
+    expect(nextDueDate(daily, { dueDate: '2028-02-28', completedOn: '2028-02-28' })).toBe('2028-02-29');
+    expect(nextDueDate(weekly, { dueDate: '2028-02-22', completedOn: '2028-02-22' })).toBe('2028-02-29');
+    expect(nextDueDate(lastTuesday, { dueDate: '2028-01-25', completedOn: '2028-01-25' })).toBe('2028-02-29');
+  });
+
+  it('finds the last weekday of the next month', () => {
+    const lastFriday = { repeat_type: 'monthly_weekday', week_of_month: -1, weekday: 5 };
+
+    expect(nextDueDate(lastFriday, { dueDate: '2026-01-30', completedOn: '2026-01-30' })).toBe('2026-02-27');
+    expect(nextDueDate(lastFriday, { dueDate: '2026-10-30', completedOn: '2026-10-30' })).toBe('2026-11-27');
+  });
+
+  it('finds the nth weekday of the month', () => {
+    const secondTuesday = { repeat_type: 'monthly_weekday', week_of_month: 2, weekday: 2 };
+
+    expect(nextDueDate(secondTuesday, { dueDate: '2026-10-13', completedOn: '2026-10-13' })).toBe('2026-11-10');
+    // Completed after next month's date has passed
+    expect(nextDueDate(secondTuesday, { dueDate: '2026-10-13', completedOn: '2026-11-12' })).toBe('2026-12-08');
+  });
+
+  it('moves to the next listed weekday', () => {
+    const monThu = { repeat_type: 'weekdays', weekdays: [1, 4] };
+
+    expect(nextDueDate(monThu, { dueDate: '2026-10-19', completedOn: '2026-10-19' })).toBe('2026-10-22');
+    expect(nextDueDate(monThu, { dueDate: '2026-10-22', completedOn: '2026-10-23' })).toBe('2026-10-26');
+  });
+
+  it('counts from the completion date after completion', () => {
+    const threeDays = { repeat_type: 'after_completion', repeat_every: 3, repeat_unit: 'days' };
+
+    expect(nextDueDate(threeDays, { dueDate: '2026-10-01', completedOn: '2028-02-27' })).toBe('2028-03-01');
+  });
+});
@@ -0,0 +1,18 @@
+// Task tags (stored on tasks.tags as [{ label, color }]).
+
+export const TAG_PRESETS = [
+  { label: 'bug', color: '#ef4444' },
+  { label: 'feature', color: '#22d3ee' },
+  { label: 'design', color: '#60a5fa' },
+  { label: 'urgent', color: '#f97316' },
+  { label: 'research', color: '#a78bfa' },
+  { label: 'finance', color: '#10b981' },
+];
+
+const DEFAULT_TAG_COLOR = '#94a3b8';
+
+/** Tag for a label, using the preset colour when there is one */
+export function makeTag(label) {
+  const clean = String(label || '').trim().toLowerCase();
+  return TAG_PRESETS.find(tag => tag.label === clean) || { label: clean, color: DEFAULT_TAG_COLOR };
+}
@@ -0,0 +1,165 @@
+import { supabase, isSupabaseConfigured } from './supabase';
+
+/**
+ * Speech-to-text backends for voice memos in AI Notes
+ *
+ * Every backend exposes one method:
+ *   transcribe(file) → Promise<string>
+ * where file is an audio File/Blob. The transcript then goes through the
+ * normal notes pipeline (isStructuredFormat / normalizeAndParse).
+ *
+ * Selected by VITE_STT_PROVIDER:
+ *   whisper (default) — a whisper-compatible /audio/transcriptions server
+ *                       (whisper.cpp server, faster-whisper-server)
+ *   fixture           — offline, deterministic transcripts (tests / CI)
+ * whisper needs VITE_STT_BASE_URL (VITE_STT_MODEL is optional). The upload goes
+ * straight from the browser with no API key, so point it at a server you run
+ * yourself rather than a hosted API.
+ */
+
+export const AUDIO_BUCKET = 'voice-memos';
+
+/**
+ * Whisper-compatible transcription endpoint (multipart upload)
+ */
+export function createWhisperTranscriber({ baseUrl, model = 'whisper-1' } = {}) {
+  if (!baseUrl) {
+    throw new Error('Set VITE_STT_BASE_URL to a whisper-compatible server to transcribe audio');
+  }
+
+  return {
+    name: 'whisper',
+    async transcribe(file) {
+      const form = new FormData();
+      form.append('file', file, file.name || 'audio');
+      form.append('model', model);
+      form.append('response_format', 'json');
+
+      const response = await fetch(`${baseUrl.replace(/\/$/, '')}/audio/transcriptions`, {
+        method: 'POST',
+        body: form,
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+        const errorMessage =
+          (typeof errorData.error === 'string' ? errorData.error : errorData.error?.message) ||
+          `HTTP error! status: ${response.status}`;
+        throw new Error(`${response.status} ${errorMessage}`);
+      }
+
+      const data = await response.json();
+      if (typeof data.text !== 'string') {
+        throw new Error('Unexpected response shape from transcription API');
+      }
+      return data.text.trim();
+    },
+  };
+}
+
+/**
+ * Deterministic backend for tests and offline runs.
+ * @param {Object} fixtures - Transcripts by file name: { [name]: string | (file) => string }
+ * @returns {Object} Backend; `calls` records every file transcribed
+ */
+export function createFixtureTranscriber(fixtures = {}) {
+  const calls = [];
+
+  return {
+    name: 'fixture',
+    calls,
+    async transcribe(file) {
+      calls.push(file);
+      const transcript = fixtures[file.name];
+      if (transcript === undefined) {
+        return `Voice memo${file.name ? ` (${file.name})` : ''}\n- Listen back to this voice memo`;
+      }
+      return typeof transcript === 'function' ? transcript(file) : transcript;
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Backend selection
+// ---------------------------------------------------------------------------
+
+let activeTranscriber = null;
+
+function createTranscriberFromEnv() {
+  const env = import.meta.env;
+  const options = {
+    ...(env.VITE_STT_BASE_URL && { baseUrl: env.VITE_STT_BASE_URL }),
+    ...(env.VITE_STT_MODEL && { model: env.VITE_STT_MODEL }),
+  };
+
+  switch (env.VITE_STT_PROVIDER || 'whisper') {
+    case 'whisper':
+      return createWhisperTranscriber(options);
+    case 'fixture':
+      return createFixtureTranscriber();
+    default:
+      throw new Error(`Unknown VITE_STT_PROVIDER "${env.VITE_STT_PROVIDER}"`);
+  }
+}
+
+/**
+ * Get the configured backend (created lazily from env)
+ * @returns {Object} Backend with transcribe()
+ */
+export function getTranscriber() {
+  if (!activeTranscriber) activeTranscriber = createTranscriberFromEnv();
+  return activeTranscriber;
+}
+
+/**
+ * Override the backend (tests, or switching at runtime). Pass null to reset
+ * to the env-configured backend.
+ * @param {Object|null} transcriber
+ */
+export function setTranscriber(transcriber) {
+  activeTranscriber = transcriber;
+}
+
+// ---------------------------------------------------------------------------
+// Audio storage
+// ---------------------------------------------------------------------------
+
+/**
+ * Keep the original recording in Supabase Storage so the archive can point
+ * back to it.
+ * @param {File} file
+ * @returns {Promise<{data: string|null, error: Error|null}>} data is the storage path
+ */
+export async function storeAudio(file) {
+  if (!isSupabaseConfigured()) {
+    return { data: null, error: new Error('Supabase not configured') };
+  }
+
+  try {
+    const safeName = (file.name || 'audio').replace(/[^\w.-]+/g, '_');
+    const path = `${Date.now()}-${safeName}`;
+    const { error } = await supabase.storage
+      .from(AUDIO_BUCKET)
+      .upload(path, file, { contentType: file.type || undefined });
+    if (error) throw error;
+    return { data: path, error: null };
+  } catch (err) {
+    console.error('Error storing audio:', err);
+    return { data: null, error: err };
+  }
+}
+
+/**
+ * Short-lived URL for playing back an archived recording
+ * @param {string} path - Storage path returned by storeAudio()
+ * @returns {Promise<string|null>}
+ */
+export async function getAudioUrl(path) {
+  if (!path || !isSupabaseConfigured()) return null;
+  const { data, error } = await supabase.storage.from(AUDIO_BUCKET).createSignedUrl(path, 60 * 60);
+  if (error) {
+    console.error('Error creating audio URL:', error);
+    return null;
+  }
+  return data.signedUrl;
+}
@@ -0,0 +1,47 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import {
+  createFixtureTranscriber,
+  createWhisperTranscriber,
+  getTranscriber,
+  setTranscriber,
+} from './transcription.js';
+
+vi.mock('./supabase', () => ({ supabase: null, isSupabaseConfigured: false }));
+
+afterEach(() => setTranscriber(null));
+
+describe('createFixtureTranscriber', () => {
+  it('returns the fixture for the file name', async () => {
+    const transcriber = createFixtureTranscriber({ 'site-walk.m4a': 'Pantry wall moves 6 inches' });
+
+    expect(await transcriber.transcribe(new File(['audio'], 'site-walk.m4a'))).toBe('Pantry wall moves 6 inches');
+  });
+
+  it('calls function fixtures with the file', async () => {
+    const transcriber = createFixtureTranscriber({ 'memo.webm': file => `${file.size} bytes` });
+
+    expect(await transcriber.transcribe(new File(['12345'], 'memo.webm'))).toBe('5 bytes');
+  });
+
+  it('falls back to a one-task memo for unknown files', async () => {
+    const transcript = await createFixtureTranscriber().transcribe(new File([''], 'call.mp3'));
+
+    expect(transcript).toBe('Voice memo (call.mp3)\n- Listen back to this voice memo');
+  });
+
+  it('records every file transcribed', async () => {
+    const transcriber = createFixtureTranscriber();
+    const file = new File([''], 'a.m4a');
+    setTranscriber(transcriber);
+    await getTranscriber().transcribe(file);
+
+    expect(transcriber.calls).toEqual([file]);
+  });
+});
+
+describe('createWhisperTranscriber', () => {
+  it('needs an explicit server URL', () => {
+    expect(() => createWhisperTranscriber()).toThrow('Set VITE_STT_BASE_URL');
+    expect(createWhisperTranscriber({ baseUrl: 'http://localhost:8080/v1' }).name).toBe('whisper');
+  });
+});
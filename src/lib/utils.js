@@ -68,3 +68,14 @@ export function daysUntil(deadline) {
 
 
 
+
+/**
+ * Whether a key press is going into a form field, so single-key shortcuts
+ * should leave it alone
+ * @param {EventTarget} target - The keydown event's target
+ * @returns {boolean} True for inputs, textareas, selects and editable content
+ */
+export function isTypingTarget(target) {
+  if (!target) return false;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || !!target.isContentEditable;
+}
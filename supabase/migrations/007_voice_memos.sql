@@ -0,0 +1,27 @@
+-- ============================================
+-- 007: Voice memo ingestion for AI Notes
+-- ============================================
+
+-- =====================
+-- Audio reference on archived notes
+-- =====================
+
+ALTER TABLE notes_archive
+  ADD COLUMN IF NOT EXISTS audio_path TEXT;
+
+ALTER TABLE notes_archive
+  ADD COLUMN IF NOT EXISTS audio_name TEXT;
+
+
+-- =====================
+-- Private storage bucket for the original recordings
+-- =====================
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('voice-memos', 'voice-memos', false)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE POLICY "Allow all for authenticated users on voice-memos" ON storage.objects
+    FOR ALL TO authenticated
+    USING (bucket_id = 'voice-memos')
+    WITH CHECK (bucket_id = 'voice-memos');
@@ -0,0 +1,9 @@
+-- ============================================
+-- 008: Link ignored items to their source notes
+-- ============================================
+
+-- Restoring an ignored item reopens the notes it was extracted from
+ALTER TABLE ignored_items
+  ADD COLUMN IF NOT EXISTS notes_archive_id UUID REFERENCES notes_archive(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ignored_items_notes_archive_id ON ignored_items(notes_archive_id);
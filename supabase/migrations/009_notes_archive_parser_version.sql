@@ -0,0 +1,10 @@
+-- ============================================
+-- 009: Parser version on archived notes
+-- ============================================
+
+-- Entries saved before this column existed are treated as version 1
+ALTER TABLE notes_archive
+  ADD COLUMN IF NOT EXISTS parser_version INTEGER;
+
+ALTER TABLE notes_archive
+  ADD COLUMN IF NOT EXISTS reparsed_at TIMESTAMP WITH TIME ZONE;
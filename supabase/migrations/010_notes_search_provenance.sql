@@ -0,0 +1,62 @@
+-- ============================================
+-- 010: Notes archive search + task provenance
+-- ============================================
+
+-- =====================
+-- Task provenance: which archived notes a task was created from
+-- =====================
+
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS source_note_id UUID REFERENCES notes_archive(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_source_note_id ON tasks(source_note_id);
+
+
+-- =====================
+-- Full-text search over archived notes (title weighted above body)
+-- =====================
+
+ALTER TABLE notes_archive
+  ADD COLUMN IF NOT EXISTS search_vector TSVECTOR
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(raw_text, '')), 'B')
+  ) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_notes_archive_search ON notes_archive USING GIN (search_vector);
+
+-- Search with optional date range and project filter. A note matches a
+-- project when it produced tasks in that project or mentions it by name.
+-- Snippets mark matches with ⟦ ⟧ so the client can highlight them safely.
+CREATE OR REPLACE FUNCTION search_notes_archive(
+    search_query TEXT DEFAULT NULL,
+    date_from DATE DEFAULT NULL,
+    date_to DATE DEFAULT NULL,
+    filter_project_id UUID DEFAULT NULL
+)
+RETURNS TABLE (id UUID, title TEXT, created_at TIMESTAMP WITH TIME ZONE, snippet TEXT, rank REAL)
+LANGUAGE sql STABLE
+AS $$
+    SELECT
+        n.id,
+        n.title,
+        n.created_at,
+        CASE
+            WHEN coalesce(search_query, '') = '' THEN left(n.raw_text, 200)
+            ELSE ts_headline('english', n.raw_text, websearch_to_tsquery('english', search_query),
+                'StartSel=⟦, StopSel=⟧, MaxFragments=2, MaxWords=25, MinWords=8')
+        END AS snippet,
+        CASE
+            WHEN coalesce(search_query, '') = '' THEN 0
+            ELSE ts_rank(n.search_vector, websearch_to_tsquery('english', search_query))
+        END AS rank
+    FROM notes_archive n
+    WHERE (coalesce(search_query, '') = '' OR n.search_vector @@ websearch_to_tsquery('english', search_query))
+      AND (date_from IS NULL OR n.created_at >= date_from)
+      AND (date_to IS NULL OR n.created_at < date_to + 1)
+      AND (filter_project_id IS NULL
+        OR EXISTS (SELECT 1 FROM tasks t WHERE t.source_note_id = n.id AND t.project_id = filter_project_id)
+        OR EXISTS (SELECT 1 FROM projects p WHERE p.id = filter_project_id AND n.raw_text ILIKE '%' || p.name || '%'))
+    ORDER BY rank DESC, n.created_at DESC
+    LIMIT 50;
+$$;
@@ -0,0 +1,32 @@
+-- ============================================
+-- 011: Waiting-on tracking
+-- ============================================
+
+-- =====================
+-- Open dependencies on other people: one row per "Waiting on:" entry.
+-- A task is blocked while it has rows with received_at IS NULL.
+-- =====================
+
+CREATE TABLE IF NOT EXISTS waiting_on (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    contact_id UUID REFERENCES contacts(id) ON DELETE SET NULL,
+    contact_name TEXT NOT NULL,
+    description TEXT,
+    date_context TEXT,
+    since DATE NOT NULL DEFAULT CURRENT_DATE,
+    follow_up_date DATE,
+    last_nudged_at TIMESTAMP WITH TIME ZONE,
+    received_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_waiting_on_task_id ON waiting_on(task_id);
+CREATE INDEX IF NOT EXISTS idx_waiting_on_contact_id ON waiting_on(contact_id);
+CREATE INDEX IF NOT EXISTS idx_waiting_on_open ON waiting_on(follow_up_date) WHERE received_at IS NULL;
+
+ALTER TABLE waiting_on ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for authenticated users on waiting_on" ON waiting_on
+    FOR ALL TO authenticated USING (true) WITH CHECK (true);
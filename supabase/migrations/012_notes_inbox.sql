@@ -0,0 +1,43 @@
+-- ============================================
+-- 012: Notes ingestion (watched folder / email drop) + review inbox
+-- ============================================
+
+-- =====================
+-- Where an archive entry came from, and whether it still needs review.
+-- Notes pasted into AI Notes are reviewed on the spot (review_status NULL).
+-- =====================
+
+ALTER TABLE notes_archive
+  ADD COLUMN IF NOT EXISTS source TEXT;
+
+ALTER TABLE notes_archive
+  ADD COLUMN IF NOT EXISTS source_file TEXT;
+
+ALTER TABLE notes_archive
+  ADD COLUMN IF NOT EXISTS review_status TEXT CHECK (review_status IN ('pending', 'reviewed'));
+
+-- Freeform imports are parsed (by the LLM) only when opened for review
+ALTER TABLE notes_archive
+  ALTER COLUMN parsed_data DROP NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notes_archive_pending ON notes_archive(created_at) WHERE review_status = 'pending';
+
+
+-- =====================
+-- Files already imported, keyed by content hash so a file is never
+-- imported twice (renamed copies and re-sent emails included)
+-- =====================
+
+CREATE TABLE IF NOT EXISTS imported_files (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    content_hash TEXT NOT NULL UNIQUE,
+    file_name TEXT,
+    source TEXT NOT NULL CHECK (source IN ('folder', 'api', 'email')),
+    notes_archive_id UUID REFERENCES notes_archive(id) ON DELETE SET NULL,
+    imported_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE imported_files ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for authenticated users on imported_files" ON imported_files
+    FOR ALL TO authenticated USING (true) WITH CHECK (true);
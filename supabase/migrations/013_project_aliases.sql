@@ -0,0 +1,11 @@
+-- ============================================
+-- 013: Project aliases for routing parsed notes
+-- ============================================
+
+-- =====================
+-- Other names a project goes by in meeting notes ("Acme web", "the showroom").
+-- Parsed project names are matched against name, aliases and client.
+-- =====================
+
+ALTER TABLE projects
+  ADD COLUMN IF NOT EXISTS aliases TEXT[] NOT NULL DEFAULT '{}';
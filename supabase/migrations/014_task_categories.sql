@@ -0,0 +1,42 @@
+-- ============================================
+-- 014: User-defined task categories
+-- ============================================
+
+-- =====================
+-- Categories a task can carry (stored on tasks.energy as the key).
+-- The notes parser, the normalization prompt, task cards, filters and the
+-- Asana export all read this table. Synonyms are extra words the parser
+-- accepts for a category ("supplier" → Vendor).
+-- =====================
+
+CREATE TABLE IF NOT EXISTS task_categories (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    key TEXT NOT NULL UNIQUE,
+    label TEXT NOT NULL,
+    color TEXT NOT NULL DEFAULT '#94a3b8',
+    icon TEXT,
+    synonyms TEXT[] NOT NULL DEFAULT '{}',
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE task_categories ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for authenticated users on task_categories" ON task_categories
+    FOR ALL TO authenticated USING (true) WITH CHECK (true);
+
+
+-- =====================
+-- Seed with the categories the parser used to hard-code
+-- =====================
+
+INSERT INTO task_categories (key, label, color, icon, synonyms, sort_order) VALUES
+    ('vendor',       'Vendor',       '#f97316', '🚚', '{supplier,quote}',         1),
+    ('design',       'Design',       '#60a5fa', '🎨', '{drawing,rendering}',      2),
+    ('coordination', 'Coordination', '#a78bfa', '🤝', '{meeting,scheduling}',     3),
+    ('procurement',  'Procurement',  '#10b981', '📦', '{purchasing,ordering}',    4),
+    ('onsite',       'On-site',      '#f59e0b', '📍', '{on-site,site visit}',     5),
+    ('dev',          'Dev',          '#22d3ee', '💻', '{development,engineering}', 6),
+    ('admin',        'Admin',        '#94a3b8', '📋', '{paperwork,invoicing}',    7)
+ON CONFLICT (key) DO NOTHING;
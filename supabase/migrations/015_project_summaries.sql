@@ -0,0 +1,45 @@
+-- ============================================
+-- 015: Project summary history + weekly digests
+-- ============================================
+
+-- =====================
+-- One row per weekly digest: every active project summarized into a single
+-- markdown report. week_start is the Monday of the digest's week.
+-- =====================
+
+CREATE TABLE IF NOT EXISTS weekly_digests (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    week_start DATE NOT NULL UNIQUE,
+    content TEXT NOT NULL,
+    project_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE weekly_digests ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for authenticated users on weekly_digests" ON weekly_digests
+    FOR ALL TO authenticated USING (true) WITH CHECK (true);
+
+
+-- =====================
+-- Every AI summary of a project, from the Overview tab or a weekly digest.
+-- stats holds the task counts at the time, so summaries can be compared.
+-- =====================
+
+CREATE TABLE IF NOT EXISTS project_summaries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    summary TEXT NOT NULL,
+    stats JSONB NOT NULL DEFAULT '{}',
+    source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'digest')),
+    digest_id UUID REFERENCES weekly_digests(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_summaries_project ON project_summaries(project_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_project_summaries_digest ON project_summaries(digest_id);
+
+ALTER TABLE project_summaries ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for authenticated users on project_summaries" ON project_summaries
+    FOR ALL TO authenticated USING (true) WITH CHECK (true);
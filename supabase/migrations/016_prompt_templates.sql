@@ -0,0 +1,27 @@
+-- ============================================
+-- 016: Versioned LLM prompt templates
+-- ============================================
+
+-- =====================
+-- Every saved version of a prompt template. At most one version per key is
+-- active; with none active the built-in prompt (version 0) is used.
+-- Rolling back just moves is_active — versions are never edited.
+-- =====================
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    key TEXT NOT NULL CHECK (key IN ('normalize', 'new-project', 'summary')),
+    version INTEGER NOT NULL,
+    body TEXT NOT NULL,
+    note TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (key, version)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_prompt_templates_active ON prompt_templates(key) WHERE is_active;
+
+ALTER TABLE prompt_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for authenticated users on prompt_templates" ON prompt_templates
+    FOR ALL TO authenticated USING (true) WITH CHECK (true);
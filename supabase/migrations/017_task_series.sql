@@ -0,0 +1,44 @@
+-- ============================================
+-- 017: Recurring tasks
+-- ============================================
+
+-- =====================
+-- A repeating task. Occurrences are ordinary tasks with series_id set;
+-- completing one creates the next. The series keeps the shared fields so it
+-- can be edited as a whole.
+--
+-- repeat_type:
+--   interval         every repeat_every days/weeks (repeat_unit)
+--   weekdays         on each of weekdays (0 = Sunday … 6 = Saturday)
+--   monthly_weekday  the week_of_month'th weekday of each month (-1 = last)
+--   after_completion repeat_every days/weeks after the previous one is done
+-- =====================
+
+CREATE TABLE IF NOT EXISTS task_series (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    title TEXT NOT NULL,
+    subtitle TEXT,
+    project_id UUID REFERENCES projects(id) ON DELETE CASCADE,
+    priority TEXT,
+    energy TEXT,
+    repeat_type TEXT NOT NULL CHECK (repeat_type IN ('interval', 'weekdays', 'monthly_weekday', 'after_completion')),
+    repeat_every INTEGER NOT NULL DEFAULT 1 CHECK (repeat_every > 0),
+    repeat_unit TEXT NOT NULL DEFAULT 'days' CHECK (repeat_unit IN ('days', 'weeks')),
+    weekdays SMALLINT[] NOT NULL DEFAULT '{}',
+    week_of_month SMALLINT CHECK (week_of_month IN (-1, 1, 2, 3, 4)),
+    weekday SMALLINT CHECK (weekday BETWEEN 0 AND 6),
+    end_date DATE,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE task_series ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for authenticated users on task_series" ON task_series
+    FOR ALL TO authenticated USING (true) WITH CHECK (true);
+
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES task_series(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_tasks_series_id ON tasks(series_id);
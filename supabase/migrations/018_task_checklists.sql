@@ -0,0 +1,11 @@
+-- ============================================
+-- 018: Task checklists
+-- ============================================
+
+-- =====================
+-- Checklist items inside a task, in display order: [{ text, done }].
+-- Parsed from indented "- " lines under a task in structured notes.
+-- =====================
+
+ALTER TABLE tasks
+  ADD COLUMN IF NOT EXISTS checklist JSONB NOT NULL DEFAULT '[]';
@@ -0,0 +1,24 @@
+-- ============================================
+-- 019: Task-to-task dependencies
+-- ============================================
+
+-- =====================
+-- blocker_id blocks blocked_id: the blocked task stays blocked until the
+-- blocker is done. The app refuses links that would form a cycle.
+-- =====================
+
+CREATE TABLE IF NOT EXISTS task_dependencies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    blocker_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    blocked_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (blocker_id, blocked_id),
+    CHECK (blocker_id <> blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_blocked ON task_dependencies(blocked_id);
+
+ALTER TABLE task_dependencies ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Allow all for authenticated users on task_dependencies" ON task_dependencies
+    FOR ALL TO authenticated USING (true) WITH CHECK (true);